@@ -0,0 +1,97 @@
+// AuctionPanel.js - Live bid panel with the highest bid and a countdown
+export class AuctionPanel {
+  // onBid(amount) and onPass() send the player's action to the server
+  constructor(container = document.body, { getName, onBid, onPass }) {
+    this.container = container;
+    this.getName = getName;
+    this.onBid = onBid;
+    this.onPass = onPass;
+    this.deadline = 0;
+    this.countdownTimer = null;
+    this.element = this.createElement();
+    this.container.appendChild(this.element);
+  }
+
+  createElement() {
+    const panel = document.createElement('div');
+    panel.className = 'auction-panel';
+    Object.assign(panel.style, {
+      position: 'fixed',
+      right: '20px',
+      top: '20px',
+      width: '240px',
+      padding: '16px',
+      borderRadius: '12px',
+      background: '#202530',
+      color: '#ffffff',
+      boxShadow: '0 8px 30px rgba(0, 0, 0, 0.5)',
+      fontFamily: 'sans-serif',
+      display: 'none',
+      zIndex: 1000
+    });
+
+    this.titleEl = document.createElement('div');
+    this.titleEl.style.fontWeight = 'bold';
+
+    this.bidEl = document.createElement('div');
+    this.bidEl.style.fontSize = '20px';
+    this.bidEl.style.margin = '8px 0';
+
+    this.countdownEl = document.createElement('div');
+    this.countdownEl.style.opacity = '0.7';
+
+    this.amountInput = document.createElement('input');
+    this.amountInput.type = 'number';
+    this.amountInput.style.width = '100px';
+
+    this.bidBtn = document.createElement('button');
+    this.bidBtn.textContent = '입찰';
+    this.bidBtn.onclick = () => this.onBid(parseInt(this.amountInput.value, 10) || 0);
+
+    this.passBtn = document.createElement('button');
+    this.passBtn.textContent = '포기';
+    this.passBtn.onclick = () => this.onPass();
+
+    const controls = document.createElement('div');
+    controls.style.marginTop = '8px';
+    controls.append(this.amountInput, this.bidBtn, this.passBtn);
+
+    panel.append(this.titleEl, this.bidEl, this.countdownEl, controls);
+    return panel;
+  }
+
+  // auction is the server's state.auction; canBid is false once the player has passed
+  update(auction, tileName, increment, deadline, canBid) {
+    this.titleEl.textContent = `경매: ${tileName}`;
+    this.bidEl.textContent = auction.highestBidderId
+      ? `${auction.highestBid.toLocaleString()} (${this.getName(auction.highestBidderId)})`
+      : '입찰 없음';
+
+    const minimum = auction.highestBid + increment;
+    this.amountInput.min = String(minimum);
+    this.amountInput.step = String(increment);
+    if ((parseInt(this.amountInput.value, 10) || 0) < minimum) this.amountInput.value = minimum;
+
+    this.bidBtn.disabled = !canBid;
+    this.passBtn.disabled = !canBid;
+
+    if (deadline) this.deadline = deadline;
+    this.element.style.display = 'block';
+    this.startCountdown();
+  }
+
+  startCountdown() {
+    clearInterval(this.countdownTimer);
+    const tick = () => {
+      const seconds = Math.max(0, Math.ceil((this.deadline - Date.now()) / 1000));
+      this.countdownEl.textContent = `남은 시간 ${seconds}초`;
+    };
+    tick();
+    this.countdownTimer = setInterval(tick, 250);
+  }
+
+  hide() {
+    clearInterval(this.countdownTimer);
+    this.element.style.display = 'none';
+  }
+}
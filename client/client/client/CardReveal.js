@@ -0,0 +1,65 @@
+// CardReveal.js - HUD overlay that reveals drawn Golden Key cards
+export class CardReveal {
+  constructor(container = document.body) {
+    this.container = container;
+    this.element = this.createElement();
+    this.container.appendChild(this.element);
+  }
+
+  createElement() {
+    const card = document.createElement('div');
+    card.className = 'golden-key-card';
+    Object.assign(card.style, {
+      position: 'fixed',
+      left: '50%',
+      top: '50%',
+      width: '240px',
+      padding: '20px',
+      borderRadius: '12px',
+      background: 'linear-gradient(160deg, #ffe680, #d4a017)',
+      color: '#3b2a00',
+      boxShadow: '0 8px 30px rgba(0, 0, 0, 0.5)',
+      fontFamily: 'sans-serif',
+      textAlign: 'center',
+      transform: 'translate(-50%, -50%) rotateY(90deg)',
+      transition: 'transform 0.4s ease',
+      display: 'none',
+      zIndex: 1000
+    });
+
+    const label = document.createElement('div');
+    label.textContent = '황금열쇠';
+    label.style.fontSize = '12px';
+    label.style.letterSpacing = '0.2em';
+
+    this.titleEl = document.createElement('div');
+    this.titleEl.style.fontSize = '22px';
+    this.titleEl.style.fontWeight = 'bold';
+    this.titleEl.style.margin = '12px 0';
+
+    this.textEl = document.createElement('div');
+    this.textEl.style.fontSize = '14px';
+
+    card.append(label, this.titleEl, this.textEl);
+    return card;
+  }
+
+  // Flips the card in, holds it, then hides it and calls onDone
+  show(card, onDone = () => {}, holdMs = 2000) {
+    this.titleEl.textContent = card.title;
+    this.textEl.textContent = card.text;
+
+    this.element.style.display = 'block';
+    requestAnimationFrame(() => {
+      this.element.style.transform = 'translate(-50%, -50%) rotateY(0deg)';
+    });
+
+    setTimeout(() => {
+      this.element.style.transform = 'translate(-50%, -50%) rotateY(90deg)';
+      setTimeout(() => {
+        this.element.style.display = 'none';
+        onDone();
+      }, 400);
+    }, holdMs);
+  }
+}
@@ -98,19 +98,14 @@ export class DiceRoller {
     return positions[number] || [];
   }
 
-  roll(callback) {
+  // results are the server's dice values; the client never rolls on its own
+  roll(results, callback) {
     if (this.isRolling) return;
     
     this.isRolling = true;
     this.rollCallback = callback;
     this.diceGroup.visible = true;
     
-    // Generate random results (1-6 for each die)
-    const results = [
-      Math.floor(Math.random() * 6) + 1,
-      Math.floor(Math.random() * 6) + 1
-    ];
-    
     // Reset dice positions and rotations
     this.dice.forEach((die, i) => {
       die.position.set(i * 1.5 - 0.75, 2, 5);
@@ -1,41 +1,62 @@
-// GameState.js - Manages player turn state and movement logic
+// GameState.js - Renders server-authoritative player state and movement
 import * as THREE from 'three';
+import '../../../shared/board.js';
+import '../../../shared/golden-keys.js';
+import '../../../shared/rules-engine.js';
+
+const { RulesEngine, getGoldenKey } = globalThis.BlueMarble;
 
 export class GameState {
-  constructor(tileRenderer, scene) {
+  constructor(tileRenderer, scene, cardReveal = null) {
     this.tileRenderer = tileRenderer;
     this.scene = scene;
+    this.cardReveal = cardReveal;
+    this.rules = {};
+    this.engine = new RulesEngine(tileRenderer.board);
     this.players = [];
     this.currentPlayerIndex = 0;
     this.gamePhase = 'SETUP'; // SETUP, PLAYING, ENDED
-    this.turnPhase = 'ROLL'; // ROLL, MOVE, ACTION, END_TURN
-    
+    this.turnPhase = 'ROLL'; // ROLL, ACTION, CHOOSE_DESTINATION, LIQUIDATE, AUCTION (mirrors the server)
+
     this.maxPlayers = 4;
     this.playerColors = [0xff0000, 0x00ff00, 0x0000ff, 0xffff00];
     this.playerMeshes = [];
+
+    // Server events are animated one batch at a time
+    this.eventQueue = [];
+    this.isAnimating = false;
   }
 
-  initializePlayers(numPlayers = 2) {
-    if (numPlayers > this.maxPlayers) {
-      numPlayers = this.maxPlayers;
-    }
+  // Keeps rule lookups in step with a board swapped in by TileRenderer.setBoard
+  setBoard(board) {
+    this.engine = new RulesEngine(board, this.rules);
+  }
+
+  // Uses the room's rules (from room_created / room_joined / game_started) for rent and cost display
+  setRules(rules) {
+    this.rules = rules;
+    this.engine = new RulesEngine(this.engine.board, rules);
+  }
+
+  // Creates local player pieces from the server's player list
+  initializePlayers(serverPlayers, names = {}) {
+    this.playerMeshes.forEach(mesh => this.scene.remove(mesh));
+    this.players = [];
+    this.playerMeshes = [];
+    this.eventQueue = [];
+    this.isAnimating = false;
 
-    for (let i = 0; i < numPlayers; i++) {
+    serverPlayers.slice(0, this.maxPlayers).forEach((serverPlayer, i) => {
       const player = {
-        id: i,
-        name: `Player ${i + 1}`,
-        color: this.playerColors[i],
-        position: 0, // Current tile position
-        money: 2000000, // Starting money (2M)
-        properties: [], // Owned property IDs
-        inJail: false,
-        jailTurns: 0,
-        doublesCount: 0 // Count of consecutive doubles
+        ...serverPlayer,
+        index: i,
+        name: names[serverPlayer.id] || `Player ${i + 1}`,
+        color: this.playerColors[i]
       };
-      
+
       this.players.push(player);
       this.createPlayerMesh(player);
-    }
+    });
 
     this.gamePhase = 'PLAYING';
     this.turnPhase = 'ROLL';
@@ -44,72 +65,252 @@ export class GameState {
   createPlayerMesh(player) {
     // Create a cone to represent the player
     const geometry = new THREE.ConeGeometry(0.3, 0.6, 8);
-    const material = new THREE.MeshPhongMaterial({ 
+    const material = new THREE.MeshPhongMaterial({
       color: player.color,
       emissive: player.color,
       emissiveIntensity: 0.3
     });
     const mesh = new THREE.Mesh(geometry, material);
-    
-    // Position on start tile
-    const startTile = this.tileRenderer.tiles[0];
-    if (startTile) {
-      const startPos = startTile.children[0].position;
-      mesh.position.set(
-        startPos.x + (player.id * 0.4 - 0.6),
-        0.5,
-        startPos.z
-      );
-    }
-    
+
     mesh.userData = { playerId: player.id };
     this.playerMeshes.push(mesh);
     this.scene.add(mesh);
+
+    this.placePlayer(player, player.position);
+  }
+
+  // Snaps a player piece onto a tile without animation
+  placePlayer(player, tileId) {
+    const mesh = this.playerMeshes[player.index];
+    const tile = this.tileRenderer.tiles[tileId];
+    if (!mesh || !tile) return;
+
+    const tilePos = tile.children[0].position;
+    mesh.position.set(
+      tilePos.x + (player.index * 0.4 - 0.6),
+      0.5,
+      tilePos.z
+    );
+  }
+
+  getPlayer(playerId) {
+    return this.players.find(p => p.id === playerId);
   }
 
   getCurrentPlayer() {
     return this.players[this.currentPlayerIndex];
   }
 
-  movePlayer(playerId, diceRoll) {
-    const player = this.players.find(p => p.id === playerId);
-    if (!player) return;
-
-    const startPosition = player.position;
-    const endPosition = (startPosition + diceRoll) % 40;
-    
-    // Check if player passed Start (position 0)
-    if (endPosition < startPosition) {
-      player.money += 200000; // Collect salary
-      console.log(`${player.name} passed Start! +200,000`);
+  setCurrentPlayer(playerId, turnPhase = 'ROLL') {
+    const index = this.players.findIndex(p => p.id === playerId);
+    if (index !== -1) {
+      this.currentPlayerIndex = index;
     }
+    this.turnPhase = turnPhase;
+  }
+
+  // Copies the authoritative server snapshot onto local players and tiles
+  applyServerState(state) {
+    if (!state) return;
+
+    state.players.forEach(serverPlayer => {
+      const player = this.getPlayer(serverPlayer.id);
+      if (!player) return;
+
+      Object.assign(player, serverPlayer);
+      this.placePlayer(player, player.position);
+
+      // Bankrupt players leave the board
+      const mesh = this.playerMeshes[player.index];
+      if (mesh) mesh.visible = !player.bankrupt;
+    });
 
-    player.position = endPosition;
-    this.animatePlayerMovement(player, startPosition, endPosition);
+    // Walk every tile so sold or forfeited properties are cleared too
+    const ownership = state.ownership || {};
+    this.tileRenderer.tiles.forEach((tile, tileId) => {
+      const owned = ownership[tileId];
+      this.tileRenderer.updateTile(tileId, {
+        owner: owned ? owned.ownerId : null,
+        buildingLevel: owned ? owned.buildingLevel : 0,
+        mortgaged: owned ? !!owned.mortgaged : false
+      });
+    });
+
+    this.tileRenderer.updatePot(state.pot || 0);
+
+    this.setCurrentPlayer(state.currentPlayerId, state.turnPhase);
+    this.gamePhase = state.gamePhase || this.gamePhase;
   }
 
-  animatePlayerMovement(player, fromPos, toPos) {
-    const mesh = this.playerMeshes[player.id];
-    const steps = Math.abs(toPos - fromPos);
+  // Animates a batch of rules-engine events, then applies the resulting state
+  playEvents(events, state) {
+    this.eventQueue.push({ events: events, state: state });
+    if (!this.isAnimating) {
+      this.playNextBatch();
+    }
+  }
+
+  playNextBatch() {
+    const batch = this.eventQueue.shift();
+    if (!batch) {
+      this.isAnimating = false;
+      return;
+    }
+
+    this.isAnimating = true;
+    const events = batch.events.slice();
+
+    const playNext = () => {
+      const event = events.shift();
+      if (!event) {
+        this.applyServerState(batch.state);
+        this.playNextBatch();
+        return;
+      }
+      this.playEvent(event, playNext);
+    };
+
+    playNext();
+  }
+
+  playEvent(event, done) {
+    const player = this.getPlayer(event.playerId);
+    if (!player) {
+      done();
+      return;
+    }
+
+    switch (event.type) {
+      case 'moved':
+        if (event.via === 'travel') {
+          this.animatePlayerTravel(player, event.to, () => {
+            this.onPlayerLanded(player, event.to, done);
+          });
+        } else {
+          this.animatePlayerMovement(player, event.from, event.steps, () => {
+            this.onPlayerLanded(player, event.to, done);
+          });
+        }
+        break;
+      case 'space_travel_pending':
+        console.log(`${player.name} boards the space shuttle and picks a destination next turn`);
+        done();
+        break;
+      case 'space_travel_declined':
+        console.log(`${player.name} rolled instead of taking Space Travel`);
+        done();
+        break;
+      case 'sent_to_island':
+        console.log(event.turns > 0
+          ? `${player.name} is on Deserted Island for ${event.turns} turns`
+          : `${player.name} visits Deserted Island`);
+        this.placePlayer(player, this.engine.islandTile);
+        done();
+        break;
+      case 'salary':
+        console.log(`${player.name} passed Start! +${event.amount.toLocaleString()}`);
+        done();
+        break;
+      case 'rent_paid':
+        console.log(`${player.name} paid ${event.amount.toLocaleString()} rent`);
+        done();
+        break;
+      case 'island_escaped':
+        console.log(`${player.name} left Deserted Island`);
+        done();
+        break;
+      case 'card_drawn': {
+        const card = getGoldenKey(event.cardId);
+        console.log(`${player.name} drew Golden Key: ${card.title}`);
+        if (this.cardReveal) {
+          this.cardReveal.show(card, done);
+        } else {
+          done();
+        }
+        break;
+      }
+      case 'card_held':
+        console.log(`${player.name} keeps ${getGoldenKey(event.cardId).title}`);
+        done();
+        break;
+      case 'card_used':
+        console.log(`${player.name} used ${getGoldenKey(event.cardId).title}`);
+        done();
+        break;
+      case 'cash_changed':
+        console.log(`${player.name} ${event.amount >= 0 ? '+' : ''}${event.amount.toLocaleString()}`);
+        done();
+        break;
+      case 'fund_paid':
+        console.log(`${player.name} paid ${event.amount.toLocaleString()} to the Social Welfare Fund`);
+        this.tileRenderer.updatePot(event.pot);
+        done();
+        break;
+      case 'fund_received':
+        console.log(`${player.name} received ${event.amount.toLocaleString()} from the Social Welfare Fund`);
+        this.tileRenderer.updatePot(0);
+        done();
+        break;
+      case 'debt_incurred':
+        console.log(`${player.name} is ${event.amount.toLocaleString()} short and must sell assets`);
+        done();
+        break;
+      case 'asset_sold':
+        console.log(`${player.name} sold a ${event.kind} on ${this.tileRenderer.getTileInfo(event.tileId).name} for ${event.amount.toLocaleString()}`);
+        done();
+        break;
+      case 'debt_paid':
+        console.log(`${player.name} paid ${event.amount.toLocaleString()} towards their debt (${event.remaining.toLocaleString()} left)`);
+        done();
+        break;
+      case 'player_bankrupt': {
+        console.log(`${player.name} is bankrupt!`);
+        const mesh = this.playerMeshes[player.index];
+        if (mesh) mesh.visible = false;
+        done();
+        break;
+      }
+      case 'property_mortgaged':
+        console.log(`${player.name} mortgaged ${this.tileRenderer.getTileInfo(event.tileId).name} for ${event.amount.toLocaleString()}`);
+        done();
+        break;
+      case 'property_unmortgaged':
+        console.log(`${player.name} redeemed ${this.tileRenderer.getTileInfo(event.tileId).name} for ${event.amount.toLocaleString()}`);
+        done();
+        break;
+      case 'auction_won':
+        console.log(`${player.name} won ${this.tileRenderer.getTileInfo(event.tileId).name} at auction for ${event.amount.toLocaleString()}`);
+        done();
+        break;
+      case 'island_stay':
+        console.log(`${player.name} remains on Deserted Island (${event.turnsLeft} turns left)`);
+        done();
+        break;
+      default:
+        done();
+    }
+  }
+
+  animatePlayerMovement(player, fromPos, steps, onComplete) {
+    const mesh = this.playerMeshes[player.index];
+    const path = this.engine.getPath(fromPos, steps);
     let currentStep = 0;
 
     const moveStep = () => {
-      if (currentStep >= steps) {
+      if (currentStep >= path.length) {
         // Movement complete
-        this.onPlayerLanded(player);
+        onComplete();
         return;
       }
 
+      const tile = this.tileRenderer.tiles[path[currentStep]];
       currentStep++;
-      const currentPos = (fromPos + currentStep) % 40;
-      const tile = this.tileRenderer.tiles[currentPos];
-      
+
       if (tile) {
         const tilePos = tile.children[0].position;
-        
+
         // Animate to tile position
         const startY = mesh.position.y;
-        const targetY = startY + 0.5;
         const duration = 200;
         const startTime = Date.now();
 
@@ -131,198 +332,66 @@ export class GameState {
         };
 
         animate();
+      } else {
+        moveStep();
       }
     };
 
     moveStep();
   }
 
-  easeInOutQuad(t) {
-    return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
-  }
+  // Flies a piece in a single arc to a chosen tile (Space Travel)
+  animatePlayerTravel(player, toPos, onComplete) {
+    const mesh = this.playerMeshes[player.index];
+    const tile = this.tileRenderer.tiles[toPos];
+    if (!mesh || !tile) {
+      onComplete();
+      return;
+    }
 
-  onPlayerLanded(player) {
-    const tileInfo = this.tileRenderer.getTileInfo(player.position);
-    console.log(`${player.name} landed on ${tileInfo.name}`);
-    
-    this.tileRenderer.highlightTile(player.position, true);
-    
-    // Handle different tile types
-    setTimeout(() => {
-      this.tileRenderer.highlightTile(player.position, false);
-      this.handleTileAction(player, tileInfo);
-    }, 1000);
-  }
+    const start = mesh.position.clone();
+    const tilePos = tile.children[0].position;
+    const target = new THREE.Vector3(tilePos.x + (player.index * 0.4 - 0.6), 0.5, tilePos.z);
+    const duration = 1200;
+    const startTime = Date.now();
 
-  handleTileAction(player, tileInfo) {
-    switch(tileInfo.type) {
-      case 'city':
-        this.handleCityTile(player, tileInfo);
-        break;
-      case 'chance':
-        this.handleChanceTile(player);
-        break;
-      case 'special':
-        this.handleSpecialTile(player, tileInfo);
-        break;
-    }
-    
-    this.turnPhase = 'END_TURN';
-  }
+    const animate = () => {
+      const progress = Math.min((Date.now() - startTime) / duration, 1);
+      const easeProgress = this.easeInOutQuad(progress);
 
-  handleCityTile(player, tileInfo) {
-    const tile = this.tileRenderer.tiles[tileInfo.id];
-    const owner = tile.userData.owner;
+      mesh.position.lerpVectors(start, target, easeProgress);
+      mesh.position.y = 0.5 + Math.sin(progress * Math.PI) * 4;
 
-    if (!owner) {
-      // Property is available for purchase
-      if (player.money >= tileInfo.price) {
-        console.log(`${player.name} can buy ${tileInfo.name} for ${tileInfo.price}`);
-        // In real implementation, prompt player to buy
+      if (progress < 1) {
+        requestAnimationFrame(animate);
+      } else {
+        mesh.position.copy(target);
+        onComplete();
       }
-    } else if (owner !== player.id) {
-      // Pay rent to owner
-      const rent = this.calculateRent(tileInfo, tile.userData.building.userData.level);
-      player.money -= rent;
-      this.players[owner].money += rent;
-      console.log(`${player.name} paid ${rent} rent to Player ${owner + 1}`);
-    }
-  }
-
-  handleChanceTile(player) {
-    console.log(`${player.name} drew a chance card`);
-    // Implement chance card logic
-  }
+    };
 
-  handleSpecialTile(player, tileInfo) {
-    console.log(`${player.name} is on ${tileInfo.name}`);
-    
-    if (tileInfo.name === 'Deserted Island') {
-      player.inJail = true;
-      player.jailTurns = 3;
-      console.log(`${player.name} is on Deserted Island for 3 turns`);
-    } else if (tileInfo.name === 'Space Travel') {
-      // Move to random location
-      const newPos = Math.floor(Math.random() * 40);
-      player.position = newPos;
-      this.animatePlayerMovement(player, player.position, newPos);
-    }
+    animate();
   }
 
-  calculateRent(tileInfo, buildingLevel) {
-    const baseRent = tileInfo.rent || 0;
-    const multiplier = 1 + (buildingLevel * 0.5);
-    return Math.floor(baseRent * multiplier);
+  easeInOutQuad(t) {
+    return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
   }
 
-  buyProperty(playerId, tileId) {
-    const player = this.players.find(p => p.id === playerId);
+  onPlayerLanded(player, tileId, done) {
     const tileInfo = this.tileRenderer.getTileInfo(tileId);
-    const tile = this.tileRenderer.tiles[tileId];
-
-    if (!player || !tileInfo || tile.userData.owner !== null) {
-      return false;
-    }
-
-    if (player.money >= tileInfo.price) {
-      player.money -= tileInfo.price;
-      player.properties.push(tileId);
-      
-      this.tileRenderer.updateTile(tileId, { owner: playerId });
-      
-      console.log(`${player.name} bought ${tileInfo.name} for ${tileInfo.price}`);
-      return true;
-    }
-
-    return false;
-  }
-
-  buildOnProperty(playerId, tileId) {
-    const player = this.players.find(p => p.id === playerId);
-    const tile = this.tileRenderer.tiles[tileId];
-
-    if (!player || tile.userData.owner !== playerId) {
-      return false;
-    }
-
-    const currentLevel = tile.userData.building.userData.level;
-    if (currentLevel >= 5) {
-      return false; // Max 5 buildings (4 houses + 1 hotel)
-    }
-
-    const buildCost = 100000 * (currentLevel + 1);
-    if (player.money >= buildCost) {
-      player.money -= buildCost;
-      
-      this.tileRenderer.updateTile(tileId, { 
-        buildingLevel: currentLevel + 1 
-      });
-      
-      console.log(`${player.name} built on tile ${tileId}`);
-      return true;
-    }
+    console.log(`${player.name} landed on ${tileInfo.name}`);
 
-    return false;
-  }
+    this.tileRenderer.highlightTile(tileId, true);
 
-  nextTurn() {
-    this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
-    this.turnPhase = 'ROLL';
-    
-    const currentPlayer = this.getCurrentPlayer();
-    console.log(`\nTurn: ${currentPlayer.name}`);
-    console.log(`Money: ${currentPlayer.money}`);
-    console.log(`Position: ${currentPlayer.position}`);
+    setTimeout(() => {
+      this.tileRenderer.highlightTile(tileId, false);
+      done();
+    }, 1000);
   }
 
-  handleDiceRoll(diceResult) {
-    if (this.turnPhase !== 'ROLL') {
-      return;
-    }
-
-    const player = this.getCurrentPlayer();
-    
-    // Handle doubles
-    if (diceResult.isDouble) {
-      player.doublesCount++;
-      console.log(`${player.name} rolled doubles! (${player.doublesCount})`);
-      
-      if (player.doublesCount >= 3) {
-        // Three doubles = go to jail
-        player.inJail = true;
-        player.jailTurns = 3;
-        player.position = 10; // Deserted Island
-        player.doublesCount = 0;
-        console.log(`${player.name} rolled 3 doubles and goes to Deserted Island!`);
-        this.turnPhase = 'END_TURN';
-        return;
-      }
-    } else {
-      player.doublesCount = 0;
-    }
-
-    // Handle jail
-    if (player.inJail) {
-      if (diceResult.isDouble) {
-        player.inJail = false;
-        player.jailTurns = 0;
-        console.log(`${player.name} rolled doubles and escaped Deserted Island!`);
-      } else {
-        player.jailTurns--;
-        if (player.jailTurns <= 0) {
-          player.inJail = false;
-          console.log(`${player.name} served time and left Deserted Island`);
-        } else {
-          console.log(`${player.name} remains on Deserted Island (${player.jailTurns} turns left)`);
-          this.turnPhase = 'END_TURN';
-          return;
-        }
-      }
-    }
-
-    // Move player
-    this.turnPhase = 'MOVE';
-    this.movePlayer(player.id, diceResult.total);
+  // Rent the owner would collect on a tile, for display only
+  calculateRent(tileInfo, buildingLevel, setComplete = false) {
+    return this.engine.calculateRent(tileInfo, buildingLevel, setComplete);
   }
 
   getGameState() {
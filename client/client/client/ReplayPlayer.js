@@ -0,0 +1,170 @@
+// ReplayPlayer.js - Plays a downloaded replay file back through the live message handlers
+const REPLAY_FORMAT = 'blue-marble-replay';
+const REPLAY_VERSION = 1;
+const SPEEDS = [0.5, 1, 2, 4, 8];
+const TICK_MS = 100;
+
+function formatTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+export class ReplayPlayer {
+  // onLoad(replay) prepares the scene (may return a promise), onEvent({ type, payload }) handles
+  // one recorded server message, onSeek(gameState) snaps to a state, onClose() leaves playback
+  constructor(container = document.body, { onLoad, onEvent, onSeek, onClose }) {
+    this.container = container;
+    this.onLoad = onLoad;
+    this.onEvent = onEvent;
+    this.onSeek = onSeek;
+    this.onClose = onClose;
+    this.replay = null;
+    this.index = 0; // next event to play
+    this.time = 0; // replay clock in ms since game start
+    this.speed = 1;
+    this.tickTimer = null;
+    this.element = this.createElement();
+    this.container.appendChild(this.element);
+  }
+
+  createElement() {
+    const panel = document.createElement('div');
+    panel.className = 'replay-player';
+    Object.assign(panel.style, {
+      position: 'fixed',
+      left: '50%',
+      bottom: '20px',
+      transform: 'translateX(-50%)',
+      padding: '10px 16px',
+      borderRadius: '12px',
+      background: '#202530',
+      color: '#ffffff',
+      boxShadow: '0 8px 30px rgba(0, 0, 0, 0.5)',
+      fontFamily: 'sans-serif',
+      display: 'none',
+      alignItems: 'center',
+      gap: '8px',
+      zIndex: 1000
+    });
+
+    this.playBtn = document.createElement('button');
+    this.playBtn.onclick = () => (this.tickTimer ? this.pause() : this.play());
+
+    this.seekInput = document.createElement('input');
+    this.seekInput.type = 'range';
+    this.seekInput.min = '0';
+    this.seekInput.style.width = '320px';
+    this.seekInput.oninput = () => this.seek(parseInt(this.seekInput.value, 10));
+
+    this.timeEl = document.createElement('span');
+    this.timeEl.style.fontVariantNumeric = 'tabular-nums';
+
+    this.speedSelect = document.createElement('select');
+    SPEEDS.forEach(speed => this.speedSelect.add(new Option(`${speed}x`, String(speed))));
+    this.speedSelect.value = '1';
+    this.speedSelect.onchange = () => { this.speed = parseFloat(this.speedSelect.value); };
+
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = '닫기';
+    closeBtn.onclick = () => this.close();
+
+    panel.append(this.playBtn, this.seekInput, this.timeEl, this.speedSelect, closeBtn);
+    return panel;
+  }
+
+  // replay is the parsed file from GET /replay/<roomId> or /archive/<gameId>/replay
+  async load(replay) {
+    if (!replay || replay.format !== REPLAY_FORMAT || !Array.isArray(replay.events)) {
+      throw new Error('리플레이 파일이 아닙니다');
+    }
+    if (replay.version !== REPLAY_VERSION) {
+      throw new Error(`지원하지 않는 리플레이 버전입니다 (${replay.version})`);
+    }
+
+    this.pause();
+    this.replay = replay;
+    this.duration = replay.events.length ? replay.events[replay.events.length - 1][0] : 0;
+    this.seekInput.max = String(this.duration);
+    this.index = 0;
+    this.time = 0;
+    await this.onLoad(replay);
+    this.element.style.display = 'flex';
+    this.render();
+  }
+
+  play() {
+    if (!this.replay) return;
+    if (this.index >= this.replay.events.length) this.seek(0);
+
+    let last = Date.now();
+    this.tickTimer = setInterval(() => {
+      const now = Date.now();
+      this.time = Math.min(this.duration, this.time + (now - last) * this.speed);
+      last = now;
+      this.playDue();
+      if (this.index >= this.replay.events.length) this.pause();
+      this.render();
+    }, TICK_MS);
+    this.render();
+  }
+
+  pause() {
+    clearInterval(this.tickTimer);
+    this.tickTimer = null;
+    if (this.replay) this.render();
+  }
+
+  // Jumps without animating: the scene snaps to the last state at or before time
+  seek(time) {
+    if (!this.replay) return;
+    const events = this.replay.events;
+    this.time = Math.max(0, Math.min(this.duration, time));
+    this.index = 0;
+
+    let state = null;
+    while (this.index < events.length && events[this.index][0] <= this.time) {
+      const payload = events[this.index][2];
+      if (payload && payload.gameState) state = payload.gameState;
+      this.index++;
+    }
+    this.onSeek(state);
+    this.render();
+  }
+
+  playDue() {
+    const events = this.replay.events;
+    while (this.index < events.length && events[this.index][0] <= this.time) {
+      const [offset, type, payload] = events[this.index++];
+      this.onEvent({ type: type, payload: this.shiftDeadlines(payload, offset) });
+    }
+  }
+
+  // Recorded deadlines are wall-clock times from the original game; move them to now
+  // so countdowns show the time that was left (at 1x speed)
+  shiftDeadlines(payload, offset) {
+    if (!payload) return payload;
+    const shift = Date.now() - (this.replay.startedAt + offset);
+    const shifted = { ...payload };
+    ['deadline', 'auctionDeadline'].forEach(key => {
+      if (shifted[key]) shifted[key] += shift;
+    });
+    return shifted;
+  }
+
+  render() {
+    this.playBtn.textContent = this.tickTimer ? '일시정지' : '재생';
+    this.seekInput.value = String(Math.round(this.time));
+    this.timeEl.textContent = `${formatTime(this.time)} / ${formatTime(this.duration)}`;
+  }
+
+  close() {
+    this.pause();
+    this.replay = null;
+    this.element.style.display = 'none';
+    this.onClose();
+  }
+
+  isActive() {
+    return !!this.replay;
+  }
+}
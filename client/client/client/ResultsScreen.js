@@ -0,0 +1,94 @@
+// ResultsScreen.js - End-of-game overlay with final standings
+const REASON_LABELS = {
+  last_standing: '최후의 생존자',
+  round_limit: '제한 라운드 종료',
+  monopoly: '독점 승리',
+  no_humans: '남은 플레이어 없음'
+};
+
+export class ResultsScreen {
+  constructor(container = document.body) {
+    this.container = container;
+    this.element = this.createElement();
+    this.container.appendChild(this.element);
+  }
+
+  createElement() {
+    const panel = document.createElement('div');
+    panel.className = 'results-screen';
+    Object.assign(panel.style, {
+      position: 'fixed',
+      inset: '0',
+      display: 'none',
+      alignItems: 'center',
+      justifyContent: 'center',
+      background: 'rgba(10, 12, 20, 0.8)',
+      color: '#ffffff',
+      fontFamily: 'sans-serif',
+      zIndex: 1100
+    });
+
+    this.content = document.createElement('div');
+    Object.assign(this.content.style, {
+      minWidth: '320px',
+      padding: '24px',
+      borderRadius: '12px',
+      background: '#202530',
+      boxShadow: '0 8px 30px rgba(0, 0, 0, 0.5)'
+    });
+
+    panel.appendChild(this.content);
+    return panel;
+  }
+
+  // standings: [{ playerId, rank, netWorth, cash, properties, bankrupt }]
+  show({ winnerId, reason, standings }, getName) {
+    this.content.innerHTML = '';
+
+    const title = document.createElement('h2');
+    title.textContent = winnerId ? `🏆 ${getName(winnerId)} 승리!` : '게임 종료';
+    const subtitle = document.createElement('div');
+    subtitle.textContent = REASON_LABELS[reason] || '';
+    subtitle.style.marginBottom = '16px';
+    subtitle.style.opacity = '0.7';
+
+    const table = document.createElement('table');
+    table.style.width = '100%';
+    table.style.borderCollapse = 'collapse';
+    const header = table.insertRow();
+    ['순위', '플레이어', '총자산', '현금', '토지'].forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      th.style.textAlign = 'left';
+      th.style.padding = '4px 8px';
+      header.appendChild(th);
+    });
+
+    (standings || []).forEach(entry => {
+      const row = table.insertRow();
+      [
+        entry.rank,
+        getName(entry.playerId) + (entry.bankrupt ? ' (파산)' : ''),
+        entry.netWorth.toLocaleString(),
+        entry.cash.toLocaleString(),
+        entry.properties
+      ].forEach(value => {
+        const cell = row.insertCell();
+        cell.textContent = value;
+        cell.style.padding = '4px 8px';
+      });
+    });
+
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = '닫기';
+    closeBtn.style.marginTop = '16px';
+    closeBtn.onclick = () => this.hide();
+
+    this.content.append(title, subtitle, table, closeBtn);
+    this.element.style.display = 'flex';
+  }
+
+  hide() {
+    this.element.style.display = 'none';
+  }
+}
@@ -0,0 +1,79 @@
+// RoomBrowser.js - Lobby list of public rooms, kept current by the server's room_list updates
+import { HOUSE_RULE_LABELS } from './RoomSettingsForm.js';
+
+const STATUS_LABELS = {
+  waiting: '대기 중',
+  playing: '게임 중',
+  ended: '게임 종료'
+};
+
+export class RoomBrowser {
+  // onJoin(room) is called with the clicked room summary; the caller decides to join or spectate
+  constructor(container = document.body, { onJoin }) {
+    this.container = container;
+    this.onJoin = onJoin;
+    this.element = this.createElement();
+    this.container.appendChild(this.element);
+  }
+
+  createElement() {
+    const list = document.createElement('fieldset');
+    list.className = 'room-browser';
+    Object.assign(list.style, {
+      maxHeight: '240px',
+      overflowY: 'auto',
+      fontFamily: 'sans-serif',
+      fontSize: '13px'
+    });
+
+    const legend = document.createElement('legend');
+    legend.textContent = '공개 방';
+    list.appendChild(legend);
+
+    this.rowsEl = document.createElement('div');
+    list.appendChild(this.rowsEl);
+    return list;
+  }
+
+  // rooms is the payload of room_list
+  render(rooms) {
+    this.rowsEl.innerHTML = '';
+    if (!rooms.length) {
+      this.rowsEl.textContent = '열린 방이 없습니다';
+      return;
+    }
+
+    rooms.forEach(room => {
+      const row = document.createElement('div');
+      Object.assign(row.style, { padding: '4px 6px', borderBottom: '1px solid #444', cursor: 'pointer' });
+      row.title = room.status === 'waiting' && room.playerCount < room.maxPlayers ? '클릭하여 입장' : '클릭하여 관전';
+      row.onclick = () => this.onJoin(room);
+
+      const title = document.createElement('div');
+      title.textContent = `${room.hasPassword ? '🔒 ' : ''}${room.hostName || '(방장 없음)'}의 방 · ` +
+        `${room.playerCount}/${room.maxPlayers}명 · ${STATUS_LABELS[room.status] || room.status}` +
+        `${room.spectatorCount ? ` · 관전 ${room.spectatorCount}` : ''}`;
+
+      const rules = document.createElement('div');
+      rules.textContent = this.describeRules(room.rules);
+      rules.style.opacity = '0.7';
+      rules.style.fontSize = '0.9em';
+
+      row.append(title, rules);
+      this.rowsEl.appendChild(row);
+    });
+  }
+
+  // e.g. "시작 자금 2,000,000 · 30라운드 제한 · 경매"
+  describeRules({ startingCash, victory, houseRules }) {
+    const parts = [`시작 자금 ${startingCash.toLocaleString()}`];
+    parts.push(victory.mode === 'round_limit' ? `${victory.roundLimit}라운드 제한` : '최후의 생존자');
+    if (victory.monopolyWin) parts.push('독점 승리');
+    houseRules.forEach(key => parts.push(HOUSE_RULE_LABELS[key] || key));
+    return parts.join(' · ');
+  }
+
+  setVisible(visible) {
+    this.element.style.display = visible ? '' : 'none';
+  }
+}
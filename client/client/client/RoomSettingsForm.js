@@ -0,0 +1,136 @@
+// RoomSettingsForm.js - Lobby form for the rules a new room is created with
+import '../../../shared/board.js';
+import '../../../shared/golden-keys.js';
+import '../../../shared/rules-engine.js';
+
+const { DEFAULT_RULES, ROOM_RULE_LIMITS, DEFAULT_VICTORY, DEFAULT_HOUSE_RULES } = globalThis.BlueMarble;
+
+const RULE_LABELS = {
+  startingCash: '시작 자금',
+  salary: '월급',
+  jailTurns: '무인도 턴 수',
+  doublesLimit: '더블 제한',
+  rentMultiplier: '통행료 배율',
+  setRentMultiplier: '세트 통행료 배율',
+  buildCostMultiplier: '건설비 배율',
+  rollSeconds: '주사위 제한 시간(초)',
+  actionSeconds: '행동 제한 시간(초)',
+  liquidateSeconds: '매각 제한 시간(초)',
+  afkTimeouts: '자리 비움 판정 횟수',
+  spectatorDelaySeconds: '관전 지연(초)'
+};
+
+export const HOUSE_RULE_LABELS = {
+  auction: '경매',
+  transportTravel: '교통 칸 이동'
+};
+
+export class RoomSettingsForm {
+  // container is usually the lobby panel; the form is appended to it
+  constructor(container = document.body) {
+    this.container = container;
+    this.inputs = {};
+    this.element = this.createElement();
+    this.container.appendChild(this.element);
+  }
+
+  createElement() {
+    const form = document.createElement('fieldset');
+    form.className = 'room-settings';
+    Object.assign(form.style, {
+      display: 'grid',
+      gridTemplateColumns: 'auto 120px',
+      gap: '4px 8px',
+      fontFamily: 'sans-serif',
+      fontSize: '13px'
+    });
+
+    const legend = document.createElement('legend');
+    legend.textContent = '방 설정';
+    form.appendChild(legend);
+
+    Object.keys(ROOM_RULE_LIMITS).forEach(key => {
+      const [min, max, integer] = ROOM_RULE_LIMITS[key];
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = String(min);
+      input.max = String(max);
+      input.step = integer ? (max >= 100000 ? '10000' : '1') : '0.1';
+      input.value = DEFAULT_RULES[key];
+      this.addRow(form, RULE_LABELS[key] || key, key, input);
+    });
+
+    const mode = document.createElement('select');
+    mode.add(new Option('최후의 생존자', 'last_standing'));
+    mode.add(new Option('제한 라운드', 'round_limit'));
+    mode.value = DEFAULT_VICTORY.mode;
+    this.addRow(form, '승리 조건', 'victoryMode', mode);
+
+    const roundLimit = document.createElement('input');
+    roundLimit.type = 'number';
+    roundLimit.min = '1';
+    roundLimit.max = '200';
+    roundLimit.value = DEFAULT_VICTORY.roundLimit;
+    this.addRow(form, '제한 라운드', 'roundLimit', roundLimit);
+
+    const checkboxes = { monopolyWin: ['독점 승리', DEFAULT_VICTORY.monopolyWin] };
+    Object.keys(DEFAULT_HOUSE_RULES).forEach(key => {
+      checkboxes[key] = [HOUSE_RULE_LABELS[key] || key, DEFAULT_HOUSE_RULES[key]];
+    });
+    Object.keys(checkboxes).forEach(key => {
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = checkboxes[key][1];
+      this.addRow(form, checkboxes[key][0], key, box);
+    });
+
+    return form;
+  }
+
+  addRow(form, label, key, input) {
+    const text = document.createElement('label');
+    text.textContent = label;
+    form.append(text, input);
+    this.inputs[key] = input;
+  }
+
+  // Rules payload for create_room; empty numeric fields fall back to the server defaults
+  read() {
+    const rules = {};
+    Object.keys(ROOM_RULE_LIMITS).forEach(key => {
+      const value = parseFloat(this.inputs[key].value);
+      if (!Number.isNaN(value)) rules[key] = value;
+    });
+
+    rules.victory = {
+      mode: this.inputs.victoryMode.value,
+      monopolyWin: this.inputs.monopolyWin.checked
+    };
+    const roundLimit = parseInt(this.inputs.roundLimit.value, 10);
+    if (!Number.isNaN(roundLimit)) rules.victory.roundLimit = roundLimit;
+
+    rules.houseRules = {};
+    Object.keys(DEFAULT_HOUSE_RULES).forEach(key => {
+      rules.houseRules[key] = this.inputs[key].checked;
+    });
+    return rules;
+  }
+
+  // Shows the room's effective rules (as echoed by the server) and locks the form
+  show(rules) {
+    Object.keys(ROOM_RULE_LIMITS).forEach(key => {
+      this.inputs[key].value = rules[key];
+    });
+    this.inputs.victoryMode.value = rules.victory.mode;
+    this.inputs.roundLimit.value = rules.victory.roundLimit;
+    this.inputs.monopolyWin.checked = rules.victory.monopolyWin;
+    Object.keys(DEFAULT_HOUSE_RULES).forEach(key => {
+      this.inputs[key].checked = rules.houseRules[key];
+    });
+    this.setLocked(true);
+  }
+
+  setLocked(locked) {
+    Object.values(this.inputs).forEach(input => { input.disabled = locked; });
+  }
+}
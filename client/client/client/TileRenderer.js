@@ -1,64 +1,45 @@
 // TileRenderer.js - Renders tiles with deed/building/price information
 import * as THREE from 'three';
+import '../../../shared/board.js';
+
+const { loadBoard } = globalThis.BlueMarble;
+
+// Fetches and validates a board definition served from shared/boards/
+export async function fetchBoard(boardId) {
+  const response = await fetch(new URL(`../../../shared/boards/${encodeURIComponent(boardId)}.json`, import.meta.url));
+  if (!response.ok) throw new Error(`Board "${boardId}" could not be fetched (HTTP ${response.status})`);
+  return loadBoard(await response.json());
+}
 
 export class TileRenderer {
-  constructor(scene) {
+  // board comes from loadBoard() / fetchBoard()
+  constructor(scene, board) {
     this.scene = scene;
+    this.board = board;
     this.tiles = [];
     this.tileData = this.initializeTileData();
+    this.potSprite = null;
   }
 
   initializeTileData() {
-    // Blue Marble tile configuration (40 tiles total)
-    return [
-      { id: 0, name: 'Start', type: 'special', price: 0, color: 0xff0000 },
-      { id: 1, name: 'Taipei', type: 'city', price: 50000, color: 0x8B4513, rent: 2000 },
-      { id: 2, name: 'Chance', type: 'chance', price: 0, color: 0xFFD700 },
-      { id: 3, name: 'Beijing', type: 'city', price: 80000, color: 0x8B4513, rent: 4000 },
-      { id: 4, name: 'Manila', type: 'city', price: 80000, color: 0x8B4513, rent: 4000 },
-      { id: 5, name: 'Jeju Island', type: 'special', price: 200000, color: 0x00CED1 },
-      { id: 6, name: 'Singapore', type: 'city', price: 100000, color: 0x4169E1, rent: 6000 },
-      { id: 7, name: 'Chance', type: 'chance', price: 0, color: 0xFFD700 },
-      { id: 8, name: 'Cairo', type: 'city', price: 100000, color: 0x4169E1, rent: 6000 },
-      { id: 9, name: 'Istanbul', type: 'city', price: 120000, color: 0x4169E1, rent: 8000 },
-      { id: 10, name: 'Deserted Island', type: 'special', price: 0, color: 0x808080 },
-      { id: 11, name: 'Athens', type: 'city', price: 140000, color: 0xFF4500, rent: 10000 },
-      { id: 12, name: 'Social Welfare', type: 'special', price: 0, color: 0x90EE90 },
-      { id: 13, name: 'Copenhagen', type: 'city', price: 160000, color: 0xFF4500, rent: 13000 },
-      { id: 14, name: 'Stockholm', type: 'city', price: 160000, color: 0xFF4500, rent: 13000 },
-      { id: 15, name: 'Concorde', type: 'special', price: 200000, color: 0x00CED1 },
-      { id: 16, name: 'Bern', type: 'city', price: 180000, color: 0xFF1493, rent: 15000 },
-      { id: 17, name: 'Chance', type: 'chance', price: 0, color: 0xFFD700 },
-      { id: 18, name: 'Berlin', type: 'city', price: 180000, color: 0xFF1493, rent: 15000 },
-      { id: 19, name: 'Ottawa', type: 'city', price: 200000, color: 0xFF1493, rent: 18000 },
-      { id: 20, name: 'Free Pass', type: 'special', price: 0, color: 0x00FF00 },
-      { id: 21, name: 'Buenos Aires', type: 'city', price: 220000, color: 0x9370DB, rent: 20000 },
-      { id: 22, name: 'Chance', type: 'chance', price: 0, color: 0xFFD700 },
-      { id: 23, name: 'Sao Paulo', type: 'city', price: 240000, color: 0x9370DB, rent: 22000 },
-      { id: 24, name: 'Sydney', type: 'city', price: 240000, color: 0x9370DB, rent: 22000 },
-      { id: 25, name: 'Busan', type: 'special', price: 200000, color: 0x00CED1 },
-      { id: 26, name: 'Hawaii', type: 'city', price: 260000, color: 0x228B22, rent: 25000 },
-      { id: 27, name: 'Lisboa', type: 'city', price: 260000, color: 0x228B22, rent: 25000 },
-      { id: 28, name: 'Social Welfare', type: 'special', price: 0, color: 0x90EE90 },
-      { id: 29, name: 'Madrid', type: 'city', price: 280000, color: 0x228B22, rent: 28000 },
-      { id: 30, name: 'Space Travel', type: 'special', price: 0, color: 0x191970 },
-      { id: 31, name: 'Tokyo', type: 'city', price: 300000, color: 0xDC143C, rent: 35000 },
-      { id: 32, name: 'Chance', type: 'chance', price: 0, color: 0xFFD700 },
-      { id: 33, name: 'Paris', type: 'city', price: 320000, color: 0xDC143C, rent: 38000 },
-      { id: 34, name: 'Rome', type: 'city', price: 320000, color: 0xDC143C, rent: 38000 },
-      { id: 35, name: 'Columbia', type: 'special', price: 200000, color: 0x00CED1 },
-      { id: 36, name: 'London', type: 'city', price: 350000, color: 0x000080, rent: 50000 },
-      { id: 37, name: 'Chance', type: 'chance', price: 0, color: 0xFFD700 },
-      { id: 38, name: 'New York', type: 'city', price: 350000, color: 0x000080, rent: 50000 },
-      { id: 39, name: 'Seoul', type: 'city', price: 1000000, color: 0x000080, rent: 200000 }
-    ];
+    // Tile configuration from the board definition, shared with the server
+    return this.board.tiles.map(tile => ({ ...tile }));
+  }
+
+  // Replaces the rendered board, e.g. when the server runs a different one
+  setBoard(board) {
+    this.tiles.forEach(tile => this.scene.remove(tile));
+    this.tiles = [];
+    this.board = board;
+    this.tileData = this.initializeTileData();
+    this.createBoard();
   }
 
   createBoard() {
-    const boardSize = 40;
+    const boardSize = this.tileData.length;
     const tileSize = 2;
     const gap = 0.1;
-    const side = 10; // tiles per side
+    const side = boardSize / 4; // tiles per side, corners included once
 
     for (let i = 0; i < boardSize; i++) {
       const position = this.calculatePosition(i, tileSize, gap, side);
@@ -131,7 +112,8 @@ export class TileRenderer {
       tileId: index,
       tileInfo: tileInfo,
       building: building,
-      owner: null
+      owner: null,
+      mortgaged: false
     };
 
     return group;
@@ -145,6 +127,15 @@ export class TileRenderer {
       tile.userData.owner = data.owner;
     }
 
+    // Mortgaged tiles are greyed out until redeemed
+    if (data.mortgaged !== undefined && data.mortgaged !== tile.userData.mortgaged) {
+      tile.userData.mortgaged = data.mortgaged;
+      const material = tile.children[0].material;
+      const color = data.mortgaged ? 0x555555 : tile.userData.tileInfo.color;
+      material.color.set(color);
+      material.emissive.set(color);
+    }
+
     if (data.buildingLevel !== undefined) {
       const building = tile.userData.building;
       building.visible = data.buildingLevel > 0;
@@ -157,6 +148,46 @@ export class TileRenderer {
     }
   }
 
+  // Shows the Social Welfare Fund pot as a floating label in the board centre
+  updatePot(amount) {
+    if (!this.potSprite) {
+      const canvas = document.createElement('canvas');
+      canvas.width = 512;
+      canvas.height = 128;
+      const material = new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true });
+      this.potSprite = new THREE.Sprite(material);
+      this.potSprite.position.set(0, 1.5, 0);
+      this.potSprite.scale.set(8, 2, 1);
+      this.potSprite.userData = { canvas: canvas, amount: null };
+      this.scene.add(this.potSprite);
+    }
+
+    if (this.potSprite.userData.amount === amount) return;
+    this.potSprite.userData.amount = amount;
+
+    const canvas = this.potSprite.userData.canvas;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = 'rgba(0, 60, 0, 0.7)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#90EE90';
+    ctx.font = 'bold 44px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`사회복지기금 ${amount.toLocaleString()}`, canvas.width / 2, canvas.height / 2);
+    this.potSprite.material.map.needsUpdate = true;
+  }
+
+  // Returns the id of the tile under the raycaster, or null
+  pickTile(raycaster) {
+    const meshes = this.tiles.map(tile => tile.children[0]);
+    const hit = raycaster.intersectObjects(meshes, false)[0];
+    if (!hit) return null;
+
+    const tile = this.tiles.find(group => group.children[0] === hit.object);
+    return tile ? tile.userData.tileId : null;
+  }
+
   getTileInfo(tileId) {
     return this.tileData[tileId];
   }
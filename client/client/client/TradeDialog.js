@@ -0,0 +1,160 @@
+// TradeDialog.js - Overlay for composing and answering property trades
+export class TradeDialog {
+  // getName(playerId) and getTileName(tileId) format labels for display
+  constructor(container = document.body, { getName, getTileName }) {
+    this.container = container;
+    this.getName = getName;
+    this.getTileName = getTileName;
+    this.element = this.createElement();
+    this.container.appendChild(this.element);
+  }
+
+  createElement() {
+    const panel = document.createElement('div');
+    panel.className = 'trade-dialog';
+    Object.assign(panel.style, {
+      position: 'fixed',
+      left: '50%',
+      top: '50%',
+      transform: 'translate(-50%, -50%)',
+      minWidth: '420px',
+      padding: '20px',
+      borderRadius: '12px',
+      background: '#202530',
+      color: '#ffffff',
+      boxShadow: '0 8px 30px rgba(0, 0, 0, 0.5)',
+      fontFamily: 'sans-serif',
+      display: 'none',
+      zIndex: 1050
+    });
+    return panel;
+  }
+
+  // Opens an editable offer. players are server player objects; prefill is
+  // { toId, offer, request } when countering an existing trade.
+  // onSubmit receives { toId, offer, request }.
+  compose(me, players, onSubmit, prefill = null) {
+    const partners = players.filter(p => p.id !== me.id && !p.bankrupt);
+    if (!partners.length) return;
+
+    this.element.innerHTML = '';
+    const title = document.createElement('h3');
+    title.textContent = prefill ? '거래 역제안' : '거래 제안';
+    title.style.marginTop = '0';
+
+    const partnerSelect = document.createElement('select');
+    partners.forEach(p => partnerSelect.add(new Option(this.getName(p.id), p.id)));
+    if (prefill) {
+      partnerSelect.value = prefill.toId;
+      partnerSelect.disabled = true;
+    }
+
+    const columns = document.createElement('div');
+    Object.assign(columns.style, { display: 'flex', gap: '24px', margin: '12px 0' });
+
+    const mySide = this.createSideEditor('내가 주는 것', me, prefill && prefill.offer);
+    let partnerSide = null;
+    const renderPartner = () => {
+      const partner = partners.find(p => p.id === partnerSelect.value);
+      const side = this.createSideEditor(`${this.getName(partner.id)}에게 받는 것`, partner, prefill && prefill.request);
+      if (partnerSide) columns.replaceChild(side.element, partnerSide.element);
+      else columns.appendChild(side.element);
+      partnerSide = side;
+    };
+    columns.appendChild(mySide.element);
+    renderPartner();
+    partnerSelect.onchange = renderPartner;
+
+    const submitBtn = document.createElement('button');
+    submitBtn.textContent = '제안하기';
+    submitBtn.onclick = () => {
+      onSubmit({ toId: partnerSelect.value, offer: mySide.read(), request: partnerSide.read() });
+      this.hide();
+    };
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = '취소';
+    cancelBtn.onclick = () => this.hide();
+
+    this.element.append(title, partnerSelect, columns, submitBtn, cancelBtn);
+    this.element.style.display = 'block';
+  }
+
+  // Checkbox per property plus a cash field; read() returns { tiles, cash }
+  createSideEditor(label, player, selected = null) {
+    const element = document.createElement('div');
+    const heading = document.createElement('div');
+    heading.textContent = label;
+    heading.style.fontWeight = 'bold';
+    element.appendChild(heading);
+
+    const boxes = player.properties.map(tileId => {
+      const row = document.createElement('label');
+      row.style.display = 'block';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = tileId;
+      box.checked = !!selected && selected.tiles.includes(tileId);
+      row.append(box, ` ${this.getTileName(tileId)}`);
+      element.appendChild(row);
+      return box;
+    });
+
+    const cash = document.createElement('input');
+    cash.type = 'number';
+    cash.min = '0';
+    cash.step = '10000';
+    cash.value = selected ? selected.cash : 0;
+    cash.title = `보유 현금 ${player.money.toLocaleString()}`;
+    element.append('현금 ', cash);
+
+    return {
+      element: element,
+      read: () => ({
+        tiles: boxes.filter(box => box.checked).map(box => parseInt(box.value, 10)),
+        cash: Math.max(0, parseInt(cash.value, 10) || 0)
+      })
+    };
+  }
+
+  // Shows an incoming trade with accept / reject / counter buttons
+  showOffer(trade, { onAccept, onReject, onCounter }) {
+    this.element.innerHTML = '';
+    const title = document.createElement('h3');
+    title.textContent = `${this.getName(trade.fromId)}의 거래 제안`;
+    title.style.marginTop = '0';
+
+    const describe = (label, side) => {
+      const line = document.createElement('div');
+      const items = side.tiles.map(tileId => this.getTileName(tileId));
+      if (side.cash) items.push(`현금 ${side.cash.toLocaleString()}`);
+      line.textContent = `${label}: ${items.length ? items.join(', ') : '없음'}`;
+      return line;
+    };
+
+    const buttons = document.createElement('div');
+    buttons.style.marginTop = '12px';
+    [['수락', onAccept], ['거절', onReject], ['역제안', onCounter]].forEach(([text, handler]) => {
+      const btn = document.createElement('button');
+      btn.textContent = text;
+      btn.onclick = () => {
+        this.hide();
+        handler(trade);
+      };
+      buttons.appendChild(btn);
+    });
+
+    this.element.append(title, describe('받는 것', trade.offer), describe('주는 것', trade.request), buttons);
+    this.element.style.display = 'block';
+    this.openTradeId = trade.id;
+  }
+
+  // Closes the dialog if it is showing the given trade
+  dismiss(tradeId) {
+    if (this.openTradeId === tradeId) this.hide();
+  }
+
+  hide() {
+    this.element.style.display = 'none';
+    this.openTradeId = null;
+  }
+}
@@ -1,8 +1,22 @@
 // main.js - Enhanced client with room UI, WebSocket sync, and gameplay integration
 import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
-import { TileRenderer } from './TileRenderer.js';
+import '../../../shared/board.js';
+import '../../../shared/golden-keys.js';
+import '../../../shared/rules-engine.js';
+import '../../../shared/seeded-random.js';
+import '../../../shared/protocol.js';
+import { TileRenderer, fetchBoard } from './TileRenderer.js';
 import { GameState } from './GameState.js';
 import { DiceRoller } from './DiceRoller.js';
+import { CardReveal } from './CardReveal.js';
+import { ResultsScreen } from './ResultsScreen.js';
+import { TradeDialog } from './TradeDialog.js';
+import { AuctionPanel } from './AuctionPanel.js';
+import { RoomSettingsForm } from './RoomSettingsForm.js';
+import { RoomBrowser } from './RoomBrowser.js';
+import { ReplayPlayer } from './ReplayPlayer.js';
+
+const { PURCHASABLE_TYPES, verifyRandomLog, PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, MAX_NAME_LENGTH, MAX_PASSWORD_LENGTH, SERVER_MESSAGES, validateMessage } = globalThis.BlueMarble;
 
 // --------- Basic scene setup ---------
 const canvas = document.getElementById('app');
@@ -19,15 +33,31 @@ scene.add(dirLight);
 scene.add(new THREE.AmbientLight(0xffffff, 0.35));
 
 // --------- Render board ---------
-const tileRenderer = new TileRenderer(scene);
+// ?board=<id> previews another board; the server's board replaces it on connect
+const initialBoardId = new URLSearchParams(location.search).get('board') || 'classic';
+const board = await fetchBoard(initialBoardId).catch((error) => {
+  document.body.prepend(Object.assign(document.createElement('pre'), { textContent: error.message }));
+  throw error;
+});
+const tileRenderer = new TileRenderer(scene, board);
 tileRenderer.createBoard();
 
 // --------- Game state & dice ---------
-const gameState = new GameState(tileRenderer, scene);
+const gameState = new GameState(tileRenderer, scene, new CardReveal(document.body));
 const diceRoller = new DiceRoller(scene, camera);
+const resultsScreen = new ResultsScreen(document.body);
+const tradeDialog = new TradeDialog(document.body, {
+  getName: (id) => findName(id),
+  getTileName: (tileId) => tileRenderer.getTileInfo(tileId).name
+});
+const auctionPanel = new AuctionPanel(document.body, {
+  getName: (id) => findName(id),
+  onBid: (amount) => ws.send(JSON.stringify({ type: 'bid', payload: { amount } })),
+  onPass: () => ws.send(JSON.stringify({ type: 'pass' }))
+});
 
 // --------- Simple orbit-like camera controls ---------
-let isDown = false, lastX = 0, lastY = 0, yaw = 0.8, pitch = 0.45, dist = 20;
+let isDown = false, lastX = 0, lastY = 0, yaw = 0.8, pitch = 0.45, dist = board.tiles.length / 2;
 function updateCamera() {
   const cx = Math.cos(yaw) * Math.cos(pitch) * dist;
   const cy = Math.sin(pitch) * dist;
@@ -46,6 +76,22 @@ window.addEventListener('mousemove', (e) => {
   lastX = e.clientX; lastY = e.clientY;
   updateCamera();
 });
+// Space Travel / transport travel: a click (not a drag) on a tile picks the destination
+const raycaster = new THREE.Raycaster();
+let downX = 0, downY = 0;
+window.addEventListener('pointerdown', (e) => { downX = e.clientX; downY = e.clientY; });
+canvas.addEventListener('click', (e) => {
+  if (Math.abs(e.clientX - downX) > 5 || Math.abs(e.clientY - downY) > 5) return;
+  const spaceTravel = gameServerState.currentPlayerId === client.playerId && gameServerState.turnPhase === 'CHOOSE_DESTINATION';
+  if (!spaceTravel && !canTransportTravel()) return;
+  const pointer = new THREE.Vector2((e.clientX / window.innerWidth) * 2 - 1, -(e.clientY / window.innerHeight) * 2 + 1);
+  raycaster.setFromCamera(pointer, camera);
+  const tileId = tileRenderer.pickTile(raycaster);
+  if (tileId == null || !ws) return;
+  if (!spaceTravel && tileRenderer.getTileInfo(tileId).type !== 'transport') return;
+  if (!window.confirm(`${tileRenderer.getTileInfo(tileId).name}(으)로 여행할까요?`)) return;
+  ws.send(JSON.stringify({ type: spaceTravel ? 'choose_destination' : 'transport_travel', payload: { tileId } }));
+});
 window.addEventListener('wheel', (e) => { dist = Math.max(8, Math.min(40, dist + e.deltaY * 0.01)); updateCamera(); });
 window.addEventListener('resize', () => {
   renderer.setSize(window.innerWidth, window.innerHeight);
@@ -54,160 +100,717 @@ window.addEventListener('resize', () => {
 });
 
 // --------- UI: Room create/join & nickname ---------
-// Expect these elements in index.html: #ui, #nickname, #roomId, #createBtn, #joinBtn, #leaveBtn,
-// #status, #players, #startBtn, #rollBtn, #endTurnBtn, #log
+// Expect these elements in index.html: #ui, #nickname, #roomId, #createBtn, #joinBtn, #spectateBtn, #leaveBtn,
+// #roomSettings (optional container for the room rules form), #lobby (optional container for the public room list),
+// #roomPassword (password to create or join a room with), #privateRoom (checkbox: keep a new room out of the list),
+// #status, #players, #spectators (spectator count), #startBtn, #rollBtn, #buyBtn, #buildBtn, #tradeBtn, #endTurnBtn, #assets, #liquidation, #turnTimer, #log,
+// #replayBtn (download the finished game's replay), #replayFile (file input to watch a replay),
+// #botStrategy (select, filled from the server) and #addBotBtn for the host to fill seats with bots
 const $ = (sel) => document.querySelector(sel);
 const ui = {
   nickname: $('#nickname'),
   roomId: $('#roomId'),
+  roomSettings: $('#roomSettings'),
+  lobby: $('#lobby'),
+  roomPassword: $('#roomPassword'),
+  privateRoom: $('#privateRoom'),
   createBtn: $('#createBtn'),
   joinBtn: $('#joinBtn'),
+  spectateBtn: $('#spectateBtn'),
   leaveBtn: $('#leaveBtn'),
   startBtn: $('#startBtn'),
+  botStrategy: $('#botStrategy'),
+  addBotBtn: $('#addBotBtn'),
   rollBtn: $('#rollBtn'),
+  buyBtn: $('#buyBtn'),
+  buildBtn: $('#buildBtn'),
+  tradeBtn: $('#tradeBtn'),
   endTurnBtn: $('#endTurnBtn'),
   status: $('#status'),
   players: $('#players'),
+  spectators: $('#spectators'),
+  assets: $('#assets'),
+  liquidation: $('#liquidation'),
+  turnTimer: $('#turnTimer'),
+  replayBtn: $('#replayBtn'),
+  replayFile: $('#replayFile'),
   log: $('#log')
 };
+const roomSettings = new RoomSettingsForm(ui.roomSettings || document.body);
+const roomBrowser = new RoomBrowser(ui.lobby || document.body, { onJoin: (room) => joinListedRoom(room) });
 function log(msg) { if (ui.log) { const li = document.createElement('div'); li.textContent = msg; ui.log.prepend(li); } console.log(msg); }
 function setStatus(text) { if (ui.status) ui.status.textContent = text; }
+function renderSpectatorCount(count) { if (ui.spectators) ui.spectators.textContent = count ? `관전자 ${count}명` : ''; }
 function renderPlayers(list, currentId) {
   if (!ui.players) return;
   ui.players.innerHTML = '';
   list.forEach(p => {
     const div = document.createElement('div');
     div.textContent = `${p.name || p.id}${p.id === currentId ? ' (턴)' : ''}`;
+    // Colour-set progress, e.g. "brown 2/3 · navy ★"
+    const sets = (gameServerState.setProgress[p.id] || []).filter(s => s.owned > 0);
+    if (sets.length) {
+      const progress = document.createElement('div');
+      progress.textContent = sets.map(s => s.complete ? `${s.group} ★` : `${s.group} ${s.owned}/${s.total}`).join(' · ');
+      progress.style.fontSize = '0.8em';
+      div.appendChild(progress);
+    }
     ui.players.appendChild(div);
   });
 }
 
 // --------- WebSocket client ---------
 let ws = null;
-let client = { roomId: null, playerId: null, isHost: false, name: null };
+let client = { roomId: null, playerId: null, isHost: false, name: null, spectating: false };
 const WS_URL = (location.protocol === 'https:' ? 'wss://' : 'ws://') + (location.hostname || 'localhost') + (location.port ? ':' + location.port : ':8080');
+const HTTP_URL = WS_URL.replace(/^ws/, 'http');
+
+// Error and warning codes worth translating; anything else shows the server's message
+const ERROR_TEXT = {
+  UNSUPPORTED_PROTOCOL: '클라이언트가 오래되었습니다. 페이지를 새로고침하세요',
+  ROOM_NOT_FOUND: '방을 찾을 수 없습니다',
+  ROOM_FULL: '방이 가득 찼습니다',
+  GAME_ALREADY_STARTED: '이미 시작된 게임입니다',
+  NOT_HOST: '방장만 할 수 있습니다',
+  NOT_ENOUGH_PLAYERS: '플레이어가 2명 이상 필요합니다',
+  SPECTATORS_FULL: '관전 인원이 가득 찼습니다',
+  PASSWORD_REQUIRED: '비밀번호가 필요한 방입니다',
+  WRONG_PASSWORD: '비밀번호가 틀렸습니다',
+  TOO_MANY_PASSWORD_TRIES: '비밀번호를 너무 많이 틀렸습니다. 잠시 후 다시 시도하세요',
+  INVALID_NAME: '사용할 수 없는 닉네임입니다',
+  TOO_MANY_ROOMS: '더 이상 방을 만들 수 없습니다',
+  DISCONNECTED: '경고가 누적되어 연결이 끊겼습니다',
+  RATE_LIMITED: '너무 빠르게 보내고 있습니다',
+  BANNED_WORD: '금칙어는 사용할 수 없습니다'
+};
+
+// The session token from room_created/room_joined survives a refresh so a running game can be rejoined
+const SESSION_KEY = 'blueMarbleSession';
+let rejoining = false;
+function rejoin() {
+  rejoining = true;
+  connect();
+}
 
 function connect() {
   if (ws && ws.readyState === WebSocket.OPEN) return;
-  ws = new WebSocket(WS_URL);
-  ws.onopen = () => setStatus('서버 연결됨');
-  ws.onclose = () => setStatus('연결 종료');
+  ws = new WebSocket(`${WS_URL}/?protocol=${PROTOCOL_VERSION}`);
+  ws.onopen = () => {
+    setStatus('서버 연결됨');
+    if (rejoining) ws.send(JSON.stringify({ type: 'rejoin', payload: { sessionToken: sessionStorage.getItem(SESSION_KEY) } }));
+    else showLobby();
+  };
+  ws.onclose = () => {
+    setStatus('연결 종료');
+    // The server holds our seat for a while; keep trying to get back in
+    if (client.roomId && gameServerState.gamePhase === 'PLAYING' && sessionStorage.getItem(SESSION_KEY)) {
+      setTimeout(rejoin, 2000);
+    }
+  };
   ws.onerror = (e) => setStatus('연결 오류');
   ws.onmessage = (ev) => {
-    const { type, payload, message } = JSON.parse(ev.data);
-    switch (type) {
-      case 'connected':
-        log(message);
-        break;
-      case 'room_created':
-        client = { ...client, roomId: payload.roomId, playerId: payload.playerId, isHost: payload.isHost };
-        setStatus(`방 생성: ${payload.roomId}`);
-        log(`방 생성됨: ${payload.roomId}`);
-        break;
-      case 'room_joined':
-        client = { ...client, roomId: payload.roomId, playerId: payload.playerId, isHost: payload.isHost };
-        setStatus(`방 입장: ${payload.roomId}`);
-        renderPlayers(payload.players || [], payload.currentPlayerId);
-        log(`방 참여: ${payload.roomId}`);
-        break;
-      case 'player_joined':
-        log(`${payload.playerName} 입장`);
-        break;
-      case 'player_left':
-        log(`${payload.playerName} 퇴장`);
-        break;
-      case 'game_started':
-        log('게임 시작');
-        syncGameFromServer(payload.gameState);
-        break;
-      case 'dice_rolled':
-        handleRemoteDice(payload.playerId, payload.diceResult);
-        break;
-      case 'turn_changed':
-        gameServerState.currentPlayerId = payload.currentPlayerId;
-        updateTurnUI();
-        break;
-      case 'property_bought':
-        // simple reflect on client model
-        if (payload.tileId != null) tileRenderer.updateTile(payload.tileId, { owner: payload.playerId });
-        break;
-      case 'building_built':
-        if (payload.tileId != null) tileRenderer.updateTile(payload.tileId, { buildingLevel: 1 });
-        break;
-      case 'chat_message':
-        log(`[${payload.playerName}] ${payload.message}`);
-        break;
-      case 'error':
-        log(`오류: ${payload?.message}`);
-        break;
-    }
+    // The scene belongs to the replay while one is open
+    if (replayPlayer.isActive()) return;
+    const data = JSON.parse(ev.data);
+    const problem = validateMessage(SERVER_MESSAGES, data);
+    if (problem) console.warn(`Unexpected ${data.type} message: ${problem.message}`);
+    handleServerMessage(data);
   };
 }
 
+// Live socket messages and recorded replay events both go through here
+function handleServerMessage({ type, payload, message }) {
+  switch (type) {
+    case 'connected':
+      if (payload.protocolVersion < MIN_PROTOCOL_VERSION) {
+        setStatus('서버 버전이 맞지 않습니다');
+        ws.close();
+        break;
+      }
+      log(message);
+      useServerBoard(payload.board);
+      renderBotStrategies(payload.botStrategies || []);
+      break;
+    case 'room_created':
+      client = { ...client, roomId: payload.roomId, playerId: payload.playerId, isHost: payload.isHost };
+      sessionStorage.setItem(SESSION_KEY, payload.sessionToken);
+      useRoomRules(payload.rules);
+      roomBrowser.setVisible(false);
+      setStatus(`방 생성: ${payload.roomId}`);
+      log(`방 생성됨: ${payload.roomId}${payload.visibility === 'private' ? ' (비공개)' : ''}${payload.hasPassword ? ' 🔒' : ''}`);
+      break;
+    case 'room_joined':
+      client = { ...client, roomId: payload.roomId, playerId: payload.playerId, isHost: payload.isHost };
+      sessionStorage.setItem(SESSION_KEY, payload.sessionToken);
+      useRoomRules(payload.rules);
+      roomBrowser.setVisible(false);
+      setStatus(`방 입장: ${payload.roomId}`);
+      renderPlayers(payload.players || [], payload.currentPlayerId);
+      log(`방 참여: ${payload.roomId}`);
+      break;
+    case 'player_joined':
+      log(`${payload.playerName} ${payload.isBot ? '봇 추가' : '입장'}`);
+      break;
+    case 'player_left':
+      log(`${payload.playerName} 퇴장`);
+      applyActionResult(payload.gameState);
+      break;
+    case 'player_disconnected':
+      log(`${payload.playerName} 연결 끊김 (${Math.ceil((payload.deadline - Date.now()) / 1000)}초간 자리 유지)`);
+      break;
+    case 'player_reconnected':
+      log(`${payload.playerName} 재접속`);
+      break;
+    case 'sync_state':
+      rejoining = false;
+      applySyncState(payload);
+      renderSpectatorCount(payload.spectatorCount);
+      break;
+    case 'spectating':
+      client.spectating = true;
+      applySyncState(payload);
+      renderSpectatorCount(payload.spectatorCount);
+      setStatus(`관전 중: ${payload.roomId}${payload.delaySeconds ? ` (${payload.delaySeconds}초 지연)` : ''}`);
+      break;
+    case 'spectators_changed':
+      renderSpectatorCount(payload.count);
+      break;
+    case 'spectator_chat':
+      log(`[관전] ${payload.name}: ${payload.message}`);
+      break;
+    case 'room_closed':
+      log(`방이 닫혔습니다: ${payload.roomId}`);
+      client = { ...client, roomId: null, spectating: false };
+      renderSpectatorCount(0);
+      setStatus('방 닫힘');
+      showLobby();
+      break;
+    case 'room_list':
+      roomBrowser.render(payload.rooms);
+      break;
+    case 'game_started':
+      log('게임 시작');
+      useRoomRules(payload.rules);
+      fairness = { seedHash: payload.seedHash, rolls: [] };
+      syncGameFromServer(payload.gameState);
+      startTurnCountdown(payload.deadline);
+      break;
+    case 'dice_rolled':
+      handleRemoteDice(payload);
+      break;
+    case 'turn_changed':
+      gameServerState.currentPlayerId = payload.currentPlayerId;
+      gameServerState.turnPhase = payload.turnPhase;
+      gameServerState.round = payload.round;
+      gameServerState.landedTileId = null;
+      gameState.setCurrentPlayer(payload.currentPlayerId, payload.turnPhase);
+      updateTurnUI();
+      startTurnCountdown(payload.deadline);
+      break;
+    case 'turn_timer':
+      startTurnCountdown(payload.deadline);
+      break;
+    case 'turn_timeout':
+      log(`시간 초과: ${payload.playerIds.map(findName).join(', ')}`);
+      break;
+    case 'player_afk':
+      log(`${findName(payload.playerId)} 자리 비움으로 제외됨`);
+      applyActionResult(payload.gameState);
+      break;
+    case 'auto_liquidated':
+      log(`${findName(payload.playerId)} 자산 자동 매각`);
+      mirrorServerState(payload.gameState);
+      gameState.playEvents(payload.events || [], payload.gameState);
+      break;
+    case 'property_bought':
+      log(`${findName(payload.playerId)} 구매: ${tileRenderer.getTileInfo(payload.tileId).name} (${payload.price.toLocaleString()})`);
+      applyActionResult(payload.gameState);
+      break;
+    case 'building_built':
+      log(`${findName(payload.playerId)} 건설: ${tileRenderer.getTileInfo(payload.tileId).name} Lv.${payload.buildingLevel}`);
+      applyActionResult(payload.gameState);
+      break;
+    case 'destination_chosen':
+      log(`${findName(payload.playerId)} 우주여행: ${tileRenderer.getTileInfo(payload.tileId).name}`);
+      mirrorServerState(payload.gameState);
+      gameState.playEvents(payload.events || [], payload.gameState);
+      break;
+    case 'transport_travelled':
+      log(`${findName(payload.playerId)} 교통수단 이동: ${tileRenderer.getTileInfo(payload.tileId).name}`);
+      mirrorServerState(payload.gameState);
+      gameState.playEvents(payload.events || [], payload.gameState);
+      break;
+    case 'asset_sold':
+      log(`${findName(payload.playerId)} 매각: ${tileRenderer.getTileInfo(payload.tileId).name}`);
+      mirrorServerState(payload.gameState);
+      gameState.playEvents(payload.events || [], payload.gameState);
+      break;
+    case 'trade_proposed':
+      log(`${findName(payload.trade.fromId)} → ${findName(payload.trade.toId)} 거래 제안`);
+      if (payload.replacesId != null) tradeDialog.dismiss(payload.replacesId);
+      applyActionResult(payload.gameState);
+      if (payload.trade.toId === client.playerId) showTradeOffer(payload.trade);
+      break;
+    case 'trade_accepted':
+      log(`거래 성사 #${payload.tradeId}`);
+      mirrorServerState(payload.gameState);
+      gameState.playEvents(payload.events || [], payload.gameState);
+      break;
+    case 'trade_rejected':
+      log(`거래 취소 #${payload.tradeId} (${payload.reason})`);
+      tradeDialog.dismiss(payload.tradeId);
+      applyActionResult(payload.gameState);
+      break;
+    case 'auction_started':
+      log(`경매 시작: ${tileRenderer.getTileInfo(payload.tileId).name}`);
+      auctionIncrement = payload.minimumBid;
+      applyActionResult(payload.gameState);
+      renderAuction(payload.deadline);
+      break;
+    case 'auction_bid':
+      log(`${findName(payload.playerId)} 입찰 ${payload.amount.toLocaleString()}`);
+      applyActionResult(payload.gameState);
+      renderAuction(payload.deadline);
+      break;
+    case 'auction_passed':
+      log(`${findName(payload.playerId)} 경매 포기`);
+      applyActionResult(payload.gameState);
+      renderAuction(null);
+      break;
+    case 'auction_ended':
+      log(payload.winnerId
+        ? `낙찰: ${findName(payload.winnerId)} ${payload.amount.toLocaleString()}`
+        : `유찰: ${tileRenderer.getTileInfo(payload.tileId).name}`);
+      auctionPanel.hide();
+      mirrorServerState(payload.gameState);
+      gameState.playEvents(payload.events || [], payload.gameState);
+      break;
+    case 'mortgage_changed':
+      log(`${findName(payload.playerId)} ${payload.mortgaged ? '저당' : '저당 해제'}: ${tileRenderer.getTileInfo(payload.tileId).name} (${payload.amount.toLocaleString()})`);
+      mirrorServerState(payload.gameState);
+      gameState.playEvents(payload.events || [], payload.gameState);
+      break;
+    case 'player_bankrupt':
+      log(`${findName(payload.playerId)} 파산!`);
+      applyActionResult(payload.gameState);
+      break;
+    case 'game_over':
+      log(`게임 종료 - 승자: ${payload.winnerId ? findName(payload.winnerId) : '없음'}`);
+      applyActionResult(payload.gameState);
+      startTurnCountdown(null);
+      resultsScreen.show(payload, findName);
+      verifyFairness(payload.seed, payload.randomLog).then(log);
+      if (ui.replayBtn) ui.replayBtn.disabled = !client.roomId;
+      break;
+    case 'card_drawn':
+      log(`${findName(payload.playerId)} 황금열쇠: ${payload.card.title}`);
+      break;
+    case 'action_rejected':
+      log(`거부됨 (${payload.action}): ${payload.message}`);
+      if (payload.action === 'rejoin') {
+        rejoining = false;
+        client.roomId = null;
+        sessionStorage.removeItem(SESSION_KEY);
+        showLobby();
+      }
+      break;
+    case 'chat_message':
+      log(`[${payload.playerName}] ${payload.message}`);
+      break;
+    case 'error':
+      log(`오류: ${ERROR_TEXT[payload?.code] || payload?.message}`);
+      if (payload?.code === 'UNSUPPORTED_PROTOCOL') setStatus('클라이언트 업데이트 필요 (새로고침)');
+      // Kicked: do not rejoin the held seat automatically
+      if (payload?.code === 'DISCONNECTED') sessionStorage.removeItem(SESSION_KEY);
+      break;
+    case 'warning':
+      log(`경고: ${ERROR_TEXT[payload.code] || payload.message} (남은 경고 ${payload.warningsLeft})`);
+      break;
+  }
+}
+
 // Local mirror of server game session
-const gameServerState = { currentPlayerId: null, players: [] };
+const gameServerState = { gamePhase: null, round: 1, currentPlayerId: null, turnPhase: null, landedTileId: null, ownership: {}, setProgress: {}, auction: null, houseRules: {}, debts: [], players: [] };
+// Rebuilds the room and scene from a sync_state snapshot after a rejoin (or the spectating one)
+function applySyncState(snapshot) {
+  client = { ...client, roomId: snapshot.roomId, playerId: snapshot.playerId, isHost: snapshot.isHost };
+  useServerBoard(snapshot.board);
+  useRoomRules(snapshot.rules);
+  roomBrowser.setVisible(false);
+  setStatus(`방 재접속: ${snapshot.roomId}`);
+  if (!snapshot.gameState) {
+    renderPlayers(snapshot.players, null);
+    return;
+  }
+  // Rolls made while we were away are not ours to check, so verification compares the tail of the log
+  fairness = { seedHash: snapshot.seedHash, rolls: [] };
+  syncGameFromServer(snapshot.gameState);
+  startTurnCountdown(snapshot.deadline);
+  auctionIncrement = gameState.engine.rules.auctionIncrement;
+  renderAuction(snapshot.auctionDeadline);
+  const offer = (snapshot.gameState.trades || []).filter(t => t.toId === client.playerId).pop();
+  if (offer) showTradeOffer(offer);
+}
 function syncGameFromServer(state) {
   if (!state) return;
   gameServerState.currentPlayerId = state.currentPlayerId;
+  mirrorServerState(state);
+  // Rebuild local pieces from the authoritative player list
+  const names = {};
+  gameServerState.players.forEach(p => { names[p.id] = findName(p.id); });
+  gameState.initializePlayers(gameServerState.players, names);
+  gameState.applyServerState(state);
+}
+function mirrorServerState(state) {
+  gameServerState.gamePhase = state.gamePhase;
+  gameServerState.round = state.round;
+  gameServerState.currentPlayerId = state.currentPlayerId;
+  gameServerState.debts = state.debts || [];
   gameServerState.players = state.players || [];
-  // Reset local GameState to number of players
-  sceneRemovePlayerMeshes();
-  gameState.players = [];
-  gameState.playerMeshes = [];
-  gameState.currentPlayerIndex = 0;
-  gameState.initializePlayers(gameServerState.players.length);
-  updateTurnUI();
+  gameServerState.turnPhase = state.turnPhase;
+  gameServerState.landedTileId = state.landedTileId;
+  gameServerState.ownership = state.ownership || {};
+  gameServerState.setProgress = state.setProgress || {};
+  gameServerState.auction = state.auction || null;
+  gameServerState.houseRules = state.houseRules || {};
   renderPlayers(gameServerState.players.map(p => ({ id: p.id, name: findName(p.id) })), gameServerState.currentPlayerId);
+  updateTurnUI();
+  renderAssets();
+  renderLiquidation();
 }
-function sceneRemovePlayerMeshes() {
-  (gameState.playerMeshes || []).forEach(m => scene.remove(m));
+// Lists my properties with mortgage / redeem buttons
+function renderAssets() {
+  if (!ui.assets) return;
+  ui.assets.innerHTML = '';
+  const me = gameServerState.players.find(p => p.id === client.playerId);
+  if (!me || gameServerState.gamePhase !== 'PLAYING') return;
+
+  me.properties.forEach(tileId => {
+    const owned = gameServerState.ownership[tileId];
+    const tileInfo = tileRenderer.getTileInfo(tileId);
+    const row = document.createElement('div');
+    row.textContent = `${tileInfo.name}${owned.buildingLevel > 0 ? ` Lv.${owned.buildingLevel}` : ''} `;
+    const btn = document.createElement('button');
+    if (owned.mortgaged) {
+      btn.textContent = `저당 해제 (${gameState.engine.getRedeemCost(tileInfo).toLocaleString()})`;
+      btn.onclick = () => ws.send(JSON.stringify({ type: 'unmortgage', payload: { tileId } }));
+    } else {
+      btn.textContent = `저당 (+${gameState.engine.getMortgageValue(tileInfo).toLocaleString()})`;
+      btn.disabled = owned.buildingLevel > 0;
+      btn.onclick = () => ws.send(JSON.stringify({ type: 'mortgage', payload: { tileId } }));
+    }
+    row.appendChild(btn);
+    ui.assets.appendChild(row);
+  });
 }
-function findName(id) { return (id === client.playerId ? (client.name || 'Me') : `Player ${id.slice(0,4)}`); }
+// Lists my assets with sell buttons while I owe money
+function renderLiquidation() {
+  if (!ui.liquidation) return;
+  ui.liquidation.innerHTML = '';
+  const owed = gameServerState.debts
+    .filter(d => d.debtorId === client.playerId)
+    .reduce((sum, d) => sum + d.amount, 0);
+  if (!owed) return;
+
+  const title = document.createElement('div');
+  title.textContent = `부채 ${owed.toLocaleString()} - 자산을 매각하세요`;
+  ui.liquidation.appendChild(title);
+
+  const me = gameServerState.players.find(p => p.id === client.playerId);
+  (me ? me.properties : []).forEach(tileId => {
+    const owned = gameServerState.ownership[tileId];
+    const btn = document.createElement('button');
+    const kind = owned.buildingLevel > 0 ? 'sell_building' : 'sell_property';
+    btn.textContent = `${tileRenderer.getTileInfo(tileId).name} ${owned.buildingLevel > 0 ? `건물 매각 (Lv.${owned.buildingLevel})` : '토지 매각'}`;
+    btn.onclick = () => ws.send(JSON.stringify({ type: kind, payload: { tileId } }));
+    ui.liquidation.appendChild(btn);
+  });
+
+  const bankruptBtn = document.createElement('button');
+  bankruptBtn.textContent = '파산 선언';
+  bankruptBtn.onclick = () => { if (window.confirm('파산을 선언할까요?')) ws.send(JSON.stringify({ type: 'declare_bankruptcy' })); };
+  ui.liquidation.appendChild(bankruptBtn);
+}
+// Queue behind any running animation so pieces are not snapped mid-move
+function applyActionResult(state) {
+  if (!state) return;
+  mirrorServerState(state);
+  gameState.playEvents([], state);
+}
+// Standing on our own transport tile with the transportTravel house rule on
+function canTransportTravel() {
+  const tileId = gameServerState.landedTileId;
+  const owned = tileId != null ? gameServerState.ownership[tileId] : null;
+  return gameServerState.currentPlayerId === client.playerId && !!gameServerState.houseRules.transportTravel &&
+    ['ROLL', 'ACTION'].includes(gameServerState.turnPhase) &&
+    tileRenderer.getTileInfo(tileId)?.type === 'transport' && !!owned && owned.ownerId === client.playerId;
+}
+// Swaps in the server's board if it differs from the one we rendered
+async function useServerBoard(serverBoard) {
+  const current = tileRenderer.board;
+  if (!serverBoard || (serverBoard.id === current.id && serverBoard.version === current.version)) return;
+  try {
+    const next = await fetchBoard(serverBoard.id);
+    tileRenderer.setBoard(next);
+    gameState.setBoard(next);
+    log(`보드 변경: ${next.name} (${next.version})`);
+  } catch (error) {
+    log(`보드를 불러올 수 없습니다: ${error.message}`);
+  }
+}
+function findName(id) { return (id === client.playerId ? (client.name || 'Me') : (replayNames[id] || `Player ${id.slice(0,4)}`)); }
 function updateTurnUI() {
   if (!ui.rollBtn || !ui.endTurnBtn) return;
-  const myTurn = gameServerState.currentPlayerId === client.playerId;
-  ui.rollBtn.disabled = !myTurn;
-  ui.endTurnBtn.disabled = !myTurn;
-  setStatus(myTurn ? '내 턴입니다' : '상대 턴 대기중');
+  const myTurn = gameServerState.gamePhase !== 'ENDED' && gameServerState.currentPlayerId === client.playerId;
+  ui.rollBtn.disabled = !myTurn || (gameServerState.turnPhase !== 'ROLL' && gameServerState.turnPhase !== 'CHOOSE_DESTINATION');
+  ui.endTurnBtn.disabled = !myTurn || gameServerState.turnPhase !== 'ACTION';
+  // Buy/build target the tile the server says we landed on this turn
+  const tileId = gameServerState.landedTileId;
+  const tileInfo = tileId != null ? tileRenderer.getTileInfo(tileId) : null;
+  const owned = tileId != null ? gameServerState.ownership[tileId] : null;
+  const canAct = myTurn && !['LIQUIDATE', 'AUCTION'].includes(gameServerState.turnPhase) && tileInfo;
+  const onCity = canAct && tileInfo.type === 'city';
+  if (ui.buyBtn) ui.buyBtn.disabled = !canAct || !PURCHASABLE_TYPES.includes(tileInfo.type) || !!owned;
+  if (ui.buildBtn) ui.buildBtn.disabled = !onCity || !owned || owned.ownerId !== client.playerId;
+  if (ui.tradeBtn) ui.tradeBtn.disabled = gameServerState.gamePhase !== 'PLAYING';
+  if (gameServerState.gamePhase === 'ENDED') {
+    setStatus('게임 종료');
+  } else if (gameServerState.turnPhase === 'LIQUIDATE') {
+    setStatus('부채 정산 중');
+  } else if (gameServerState.turnPhase === 'AUCTION') {
+    setStatus('경매 진행 중');
+  } else if (canTransportTravel()) {
+    setStatus('교통수단: 다른 교통 칸을 클릭하면 이동합니다');
+  } else if (myTurn && gameServerState.turnPhase === 'CHOOSE_DESTINATION') {
+    setStatus('우주여행: 보드에서 목적지를 클릭하세요 (주사위를 굴리면 포기)');
+  } else {
+    setStatus(`[${gameServerState.round}라운드] ${myTurn ? '내 턴입니다' : '상대 턴 대기중'}`);
+  }
 }
 
 // --------- Button handlers ---------
 if (ui.createBtn) ui.createBtn.onclick = () => {
   connect();
-  client.name = (ui.nickname?.value || 'Player');
-  ws.send(JSON.stringify({ type: 'create_room', payload: { playerName: client.name, maxPlayers: 4 } }));
+  client.name = (ui.nickname?.value || 'Player').slice(0, MAX_NAME_LENGTH);
+  ws.send(JSON.stringify({ type: 'create_room', payload: {
+    playerName: client.name, maxPlayers: 4, rules: roomSettings.read(),
+    visibility: ui.privateRoom?.checked ? 'private' : 'public', password: readPassword()
+  } }));
 };
+// Shows the running auction; a null deadline keeps the current countdown
+let auctionIncrement = 0;
+function renderAuction(deadline) {
+  const auction = gameServerState.auction;
+  if (!auction) { auctionPanel.hide(); return; }
+  const canBid = auction.bidderIds.includes(client.playerId);
+  auctionPanel.update(auction, tileRenderer.getTileInfo(auction.tileId).name, auctionIncrement, deadline, canBid);
+}
+// Trades can be proposed at any time, not just on your turn
+function sendTrade(type, payload) { ws.send(JSON.stringify({ type, payload })); }
+function myServerPlayer() { return gameServerState.players.find(p => p.id === client.playerId); }
+function showTradeOffer(trade) {
+  tradeDialog.showOffer(trade, {
+    onAccept: (t) => sendTrade('accept_trade', { tradeId: t.id }),
+    onReject: (t) => sendTrade('reject_trade', { tradeId: t.id }),
+    // A counter swaps perspective: what they offered is what we now request
+    onCounter: (t) => tradeDialog.compose(myServerPlayer(), gameServerState.players,
+      ({ offer, request }) => sendTrade('counter_trade', { tradeId: t.id, offer, request }),
+      { toId: t.fromId, offer: t.request, request: t.offer })
+  });
+}
+if (ui.tradeBtn) ui.tradeBtn.onclick = () => {
+  if (!ws || !myServerPlayer()) return;
+  tradeDialog.compose(myServerPlayer(), gameServerState.players, (trade) => sendTrade('propose_trade', trade));
+};
+// The room's effective rules drive the settings form and local rent/cost display
+function useRoomRules(rules) {
+  if (!rules) return;
+  roomSettings.show(rules);
+  gameState.setRules(rules);
+}
+// An empty password field means none; undefined leaves the field out of the message
+function readPassword() {
+  return (ui.roomPassword?.value || '').slice(0, MAX_PASSWORD_LENGTH) || undefined;
+}
 if (ui.joinBtn) ui.joinBtn.onclick = () => {
   connect();
-  client.name = (ui.nickname?.value || 'Player');
+  client.name = (ui.nickname?.value || 'Player').slice(0, MAX_NAME_LENGTH);
   const rid = (ui.roomId?.value || '').trim();
   if (!rid) { setStatus('방 ID를 입력하세요'); return; }
-  ws.send(JSON.stringify({ type: 'join_room', payload: { roomId: rid, playerName: client.name } }));
+  ws.send(JSON.stringify({ type: 'join_room', payload: { roomId: rid, playerName: client.name, password: readPassword() } }));
+};
+// Rooms still gathering players are joined, the rest are watched; locked rooms ask for the password first
+function joinListedRoom(room) {
+  if (!ws || client.roomId) return;
+  const spectate = room.status !== 'waiting' || room.playerCount >= room.maxPlayers;
+  const password = room.hasPassword ? window.prompt('비밀번호를 입력하세요') : undefined;
+  if (room.hasPassword && !password) return;
+  client.name = (ui.nickname?.value || (spectate ? 'Spectator' : 'Player')).slice(0, MAX_NAME_LENGTH);
+  if (spectate) sessionStorage.removeItem(SESSION_KEY);
+  ws.send(JSON.stringify({ type: 'join_room', payload: { roomId: room.roomId, playerName: client.name, spectate: spectate || undefined, password } }));
+}
+// Asks for the public rooms; the server keeps sending the list while we are outside a room
+function showLobby() {
+  roomBrowser.setVisible(true);
+  if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'list_rooms' }));
+}
+// Spectators get every broadcast (possibly delayed) but no seat, session token or actions
+if (ui.spectateBtn) ui.spectateBtn.onclick = () => {
+  connect();
+  client.name = (ui.nickname?.value || 'Spectator').slice(0, MAX_NAME_LENGTH);
+  const rid = (ui.roomId?.value || '').trim();
+  if (!rid) { setStatus('방 ID를 입력하세요'); return; }
+  sessionStorage.removeItem(SESSION_KEY);
+  ws.send(JSON.stringify({ type: 'join_room', payload: { roomId: rid, playerName: client.name, spectate: true, password: readPassword() } }));
 };
 if (ui.leaveBtn) ui.leaveBtn.onclick = () => {
-  if (!ws) return; ws.send(JSON.stringify({ type: 'leave_room' })); client.roomId = null; setStatus('방 나감');
+  if (!ws) return; ws.send(JSON.stringify({ type: 'leave_room' })); client.roomId = null; client.spectating = false; sessionStorage.removeItem(SESSION_KEY); roomSettings.setLocked(false); renderSpectatorCount(0); setStatus('방 나감'); showLobby();
 };
 if (ui.startBtn) ui.startBtn.onclick = () => {
   if (!ws) return; ws.send(JSON.stringify({ type: 'start_game' }));
 };
+// Bots are added by the host in the lobby and play on the server
+function renderBotStrategies(strategies) {
+  if (!ui.botStrategy) return;
+  ui.botStrategy.innerHTML = '';
+  strategies.forEach(s => {
+    const option = new Option(s.label, s.id);
+    option.title = s.description;
+    ui.botStrategy.add(option);
+  });
+}
+if (ui.addBotBtn) ui.addBotBtn.onclick = () => {
+  if (!ws || !client.isHost) return;
+  ws.send(JSON.stringify({ type: 'add_bot', payload: { strategy: ui.botStrategy?.value } }));
+};
 if (ui.rollBtn) ui.rollBtn.onclick = () => {
   if (!ws) return;
   // Ask server to roll; server will broadcast authoritative result
   ws.send(JSON.stringify({ type: 'roll_dice' }));
 };
+if (ui.buyBtn) ui.buyBtn.onclick = () => {
+  if (!ws || gameServerState.landedTileId == null) return;
+  ws.send(JSON.stringify({ type: 'buy_property', payload: { tileId: gameServerState.landedTileId } }));
+};
+if (ui.buildBtn) ui.buildBtn.onclick = () => {
+  if (!ws || gameServerState.landedTileId == null) return;
+  ws.send(JSON.stringify({ type: 'build', payload: { tileId: gameServerState.landedTileId } }));
+};
 if (ui.endTurnBtn) ui.endTurnBtn.onclick = () => {
   if (!ws) return; ws.send(JSON.stringify({ type: 'end_turn' }));
 };
 
-function handleRemoteDice(playerId, diceResult) {
+// Counts down to the server's turn deadline; null hides the timer
+let turnCountdown = null;
+function startTurnCountdown(deadline) {
+  clearInterval(turnCountdown);
+  if (!ui.turnTimer) return;
+  if (!deadline) { ui.turnTimer.textContent = ''; return; }
+  const tick = () => { ui.turnTimer.textContent = `남은 시간 ${Math.max(0, Math.ceil((deadline - Date.now()) / 1000))}초`; };
+  tick();
+  turnCountdown = setInterval(tick, 250);
+}
+
+// Seed commitment from game_started and every roll we saw, checked against the revealed seed at game over
+let fairness = { seedHash: null, rolls: [] };
+async function verifyFairness(seed, randomLog) {
+  if (!seed || !randomLog || !fairness.seedHash) return '난수 검증 불가: 시드 정보 없음';
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(seed));
+  const hash = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  if (hash !== fairness.seedHash) return '난수 검증 실패: 시드가 게임 시작 때 공개된 해시와 다릅니다';
+  const replay = verifyRandomLog(seed, randomLog);
+  if (!replay.valid) return `난수 검증 실패: ${replay.index}번째 추첨이 시드와 맞지 않습니다`;
+  // Re-derive every roll from the logged dice draws; the rolls we saw must be the last of them
+  const diceDraws = randomLog.filter(entry => entry.purpose === 'dice').map(entry => entry.value / 4294967296);
+  const derived = [];
+  while (diceDraws.length >= 2) derived.push(gameState.engine.rollDice(() => diceDraws.shift()).dice);
+  const offset = derived.length - fairness.rolls.length;
+  const tampered = offset < 0 || fairness.rolls.some((dice, i) => {
+    return derived[offset + i][0] !== dice[0] || derived[offset + i][1] !== dice[1];
+  });
+  if (tampered) return '난수 검증 실패: 받은 주사위가 로그와 다릅니다';
+  return `난수 검증 완료 (${randomLog.length}회 추첨)`;
+}
+
+// Rolls that arrive while the dice are still spinning (fast replays, quick doubles) wait their turn;
+// sceneEpoch drops the ones still waiting when the scene is rebuilt
+let diceQueue = Promise.resolve();
+let sceneEpoch = 0;
+function handleRemoteDice({ playerId, diceResult, events, gameState: state }) {
   const isMe = playerId === client.playerId;
   log(`${isMe ? '내' : '상대'} 주사위: ${diceResult.dice[0]} + ${diceResult.dice[1]} = ${diceResult.total}${diceResult.isDouble ? ' (더블)' : ''}`);
-  // Animate local dice and move current player locally
-  diceRoller.roll(() => {}); // show animation
-  // If it's my turn, also move local GameState current player
-  // Find player index by turn order mirror
-  const localCurrent = gameState.getCurrentPlayer();
-  gameState.handleDiceRoll(diceResult);
+  // Server already resolved the move; mirror the phase and animate the outcome
+  mirrorServerState(state);
+  fairness.rolls.push(diceResult.dice);
+  const epoch = sceneEpoch;
+  diceQueue = diceQueue.then(() => new Promise(resolve => {
+    if (epoch !== sceneEpoch) { resolve(); return; }
+    diceRoller.roll(diceResult.dice, () => {
+      if (epoch === sceneEpoch) gameState.playEvents(events || [], state);
+      resolve();
+    });
+  }));
+}
+
+// --------- Replays ---------
+// Recorded events are fed to handleServerMessage as a spectator with no seat
+let replayNames = {};
+let liveClient = null;
+const replayPlayer = new ReplayPlayer(document.body, {
+  onLoad: async (replay) => {
+    liveClient = client;
+    client = { roomId: null, playerId: null, isHost: false, name: null, spectating: false };
+    replayNames = Object.fromEntries(replay.players.map(p => [p.id, p.name]));
+    await useServerBoard(replay.board);
+    useRoomRules(replay.rules);
+    resetReplayScene();
+    log(`리플레이: ${replay.roomId} (${new Date(replay.startedAt).toLocaleString()})`);
+  },
+  onEvent: handleServerMessage,
+  onSeek: (state) => {
+    resetReplayScene();
+    // Only rolls watched from here on are compared against the log at game over
+    fairness.rolls = [];
+    syncGameFromServer(state);
+    renderAuction(null);
+  },
+  onClose: () => {
+    client = liveClient;
+    replayNames = {};
+    startTurnCountdown(null);
+    auctionPanel.hide();
+    resultsScreen.hide();
+    setStatus('리플레이 종료');
+  }
+});
+// Drops queued animations and overlays left from the previous position
+function resetReplayScene() {
+  sceneEpoch++;
+  gameState.initializePlayers([]);
+  startTurnCountdown(null);
+  auctionPanel.hide();
+  resultsScreen.hide();
+}
+if (ui.replayFile) ui.replayFile.onchange = async () => {
+  const file = ui.replayFile.files[0];
+  ui.replayFile.value = '';
+  if (!file) return;
+  if (gameServerState.gamePhase === 'PLAYING' && client.roomId) { log('게임 중에는 리플레이를 볼 수 없습니다'); return; }
+  try {
+    await replayPlayer.load(JSON.parse(await file.text()));
+    replayPlayer.play();
+  } catch (error) {
+    log(`리플레이를 열 수 없습니다: ${error.message}`);
+  }
+};
+if (ui.replayBtn) {
+  ui.replayBtn.disabled = true;
+  // Private and password rooms only hand their replay to a seat's session token
+  ui.replayBtn.onclick = () => {
+    if (!client.roomId) return;
+    const token = sessionStorage.getItem(SESSION_KEY);
+    window.open(`${HTTP_URL}/replay/${client.roomId}${token ? `?token=${encodeURIComponent(token)}` : ''}`);
+  };
 }
 
 // --------- Render loop ---------
@@ -219,3 +822,5 @@ requestAnimationFrame(animate);
 
 // --------- Minimal bootstrap UI state ---------
 setStatus('서버에 연결하여 방을 생성/참여하세요');
+// Connect straight away so the lobby list is there before the player picks a room
+if (sessionStorage.getItem(SESSION_KEY)) rejoin(); else connect();
@@ -0,0 +1,69 @@
+// bot-player.js - A server-side player that sends the same messages a human client would
+// The bot is plugged into GameServer through a stand-in socket: broadcasts to its seat wake it
+// up, and after a short think delay it passes its next move to GameServer.handleMessage().
+const WebSocket = require('ws');
+const { decideAction } = require('./bot-strategies');
+
+// Seconds a bot waits before acting, picked at random in this range for each move
+const THINK_SECONDS = [0.8, 2.5];
+
+class BotPlayer {
+  // thinkSeconds: [min, max] overrides THINK_SECONDS (e.g. to speed up tests)
+  constructor(server, roomId, playerId, strategy, thinkSeconds = THINK_SECONDS) {
+    this.server = server;
+    this.roomId = roomId;
+    this.playerId = playerId;
+    this.strategy = strategy;
+    this.thinkSeconds = thinkSeconds;
+    this.thinkTimer = null;
+    this.memory = { turnKey: null, blocked: new Set(), proposed: new Set() };
+
+    // Enough of a socket for GameServer.send() and broadcastToRoom()
+    this.ws = {
+      readyState: WebSocket.OPEN,
+      send: (data) => this.handleMessage(JSON.parse(data)),
+      close: () => {}
+    };
+  }
+
+  handleMessage(message) {
+    // Errors answer malformed messages; acting on them again would only repeat the mistake
+    if (message.type === 'error') return;
+    // Do not retry a refused move in the same turn phase
+    if (message.type === 'action_rejected') this.memory.blocked.add(message.payload.action);
+    this.schedule();
+  }
+
+  // Debounced: a burst of broadcasts leads to one decision once the bot has "thought"
+  schedule() {
+    const [min, max] = this.thinkSeconds;
+    clearTimeout(this.thinkTimer);
+    this.thinkTimer = setTimeout(() => this.act(), (min + Math.random() * (max - min)) * 1000);
+  }
+
+  act() {
+    this.thinkTimer = null;
+    const room = this.server.rooms.get(this.roomId);
+    if (!room || !room.gameState) return;
+
+    // Decide from what a human would see, not the hidden deck order
+    const state = room.engine.getPublicState(room.gameState);
+    const turnKey = `${state.round}:${state.currentPlayerId}:${state.turnPhase}`;
+    if (turnKey !== this.memory.turnKey) {
+      this.memory.turnKey = turnKey;
+      this.memory.blocked.clear();
+    }
+
+    const action = decideAction(room.engine, state, this.playerId, this.strategy, this.memory);
+    // A move type refused this phase is left to the turn clock rather than retried
+    if (action && !this.memory.blocked.has(action.type)) this.server.handleMessage(this.ws, action);
+  }
+
+  dispose() {
+    clearTimeout(this.thinkTimer);
+    this.thinkTimer = null;
+    this.ws.readyState = WebSocket.CLOSED;
+  }
+}
+
+module.exports = { BotPlayer, THINK_SECONDS };
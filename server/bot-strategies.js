@@ -0,0 +1,238 @@
+// bot-strategies.js - Decision making for server-side bot players
+// decideAction() looks at the public game state and returns the next message a bot would send
+// ({ type, payload }, exactly what a human client sends) or null when it has nothing to do.
+// Strategies are parameter sets; everything here is synchronous and free of I/O so the same
+// code can drive bots in a room or in a headless simulation.
+
+// reserve / buildReserve: share of the starting cash kept in hand after buying / building
+// buildOnSetsOnly: build only on completed colour sets
+// setBonus: extra worth of a tile per share of its colour set the bot would own
+// bidRatio: highest auction bid as a share of the tile's worth
+// tradeMargin: incoming trade worth must exceed outgoing worth by this factor
+// proposeTrades: offer cash for the last tile missing from a colour set
+const STRATEGIES = {
+  conservative: {
+    label: 'Saver',
+    description: 'Keeps a large cash cushion, buys cheaply and builds only on full sets',
+    reserve: 0.5,
+    buildReserve: 0.6,
+    buildOnSetsOnly: true,
+    setBonus: 0.25,
+    bidRatio: 0.7,
+    tradeMargin: 1.3,
+    proposeTrades: false
+  },
+  aggressive: {
+    label: 'Builder',
+    description: 'Buys almost everything and builds whenever it can afford to',
+    reserve: 0.05,
+    buildReserve: 0.1,
+    buildOnSetsOnly: false,
+    setBonus: 0.25,
+    bidRatio: 1.2,
+    tradeMargin: 1.1,
+    proposeTrades: false
+  },
+  collector: {
+    label: 'Collector',
+    description: 'Chases colour sets, paying extra and trading for the tiles it is missing',
+    reserve: 0.2,
+    buildReserve: 0.3,
+    buildOnSetsOnly: true,
+    setBonus: 1,
+    bidRatio: 1,
+    tradeMargin: 1,
+    proposeTrades: true
+  }
+};
+
+const DEFAULT_STRATEGY = 'conservative';
+
+// Trade offers are made in round amounts
+const CASH_STEP = 10000;
+
+function getStrategy(name) {
+  return STRATEGIES[name] || null;
+}
+
+// What a tile is worth to playerId, counting how much of its colour set they would then hold
+function tileWorth(engine, state, playerId, tileId, strategy, ownedTiles = null) {
+  const tile = engine.getTile(tileId);
+  if (!tile.group) return tile.price;
+
+  const group = engine.getColorGroups()[tile.group];
+  const held = group.filter(id => {
+    if (id === tileId) return true;
+    if (ownedTiles) return ownedTiles.includes(id);
+    const owned = state.ownership[id];
+    return owned && owned.ownerId === playerId;
+  }).length;
+  return Math.floor(tile.price * (1 + strategy.setBonus * held / group.length));
+}
+
+function sideWorth(engine, state, playerId, side, strategy, ownedTiles) {
+  return side.cash + side.tiles.reduce((sum, tileId) => sum + tileWorth(engine, state, playerId, tileId, strategy, ownedTiles), 0);
+}
+
+function cashAfterReserve(engine, player, share) {
+  return player.money - Math.floor(engine.rules.startingCash * share);
+}
+
+// Accepts when what comes in is worth enough more than what goes out, judged with the
+// colour sets the bot would hold after the swap
+function shouldAcceptTrade(engine, state, player, trade, strategy) {
+  const after = player.properties.filter(id => !trade.request.tiles.includes(id)).concat(trade.offer.tiles);
+  const incoming = sideWorth(engine, state, player.id, trade.offer, strategy, after);
+  const outgoing = sideWorth(engine, state, player.id, trade.request, strategy, player.properties);
+  return incoming >= outgoing * strategy.tradeMargin && player.money >= trade.request.cash;
+}
+
+// Cash for the one tile missing from a colour set, if another player holds it bare
+function findSetTrade(engine, state, player, strategy, proposed) {
+  const groups = engine.getColorGroups();
+  for (const group of Object.keys(groups)) {
+    const missing = groups[group].filter(id => !player.properties.includes(id));
+    if (missing.length !== 1 || proposed.has(missing[0])) continue;
+
+    const owned = state.ownership[missing[0]];
+    const owner = owned && engine.getPlayer(state, owned.ownerId);
+    if (!owner || owner.bankrupt || owned.buildingLevel > 0) continue;
+
+    const tile = engine.getTile(missing[0]);
+    const cash = Math.ceil(tile.price * 1.5 / CASH_STEP) * CASH_STEP;
+    if (cashAfterReserve(engine, player, strategy.reserve) < cash) continue;
+
+    return { toId: owner.id, offer: { tiles: [], cash: cash }, request: { tiles: [missing[0]], cash: 0 } };
+  }
+  return null;
+}
+
+// Raises cash from the asset the bot values least: mortgage a bare tile, sell a building level,
+// or sell a mortgaged tile; bankruptcy only when nothing is left
+function pickLiquidation(engine, state, player, strategy) {
+  const tileIds = player.properties.slice().sort((a, b) => {
+    return tileWorth(engine, state, player.id, a, strategy) - tileWorth(engine, state, player.id, b, strategy);
+  });
+
+  const bare = tileIds.find(id => state.ownership[id].buildingLevel === 0 && !state.ownership[id].mortgaged);
+  if (bare !== undefined) return { type: 'mortgage', payload: { tileId: bare } };
+
+  const built = tileIds.find(id => state.ownership[id].buildingLevel > 0);
+  if (built !== undefined) return { type: 'sell_building', payload: { tileId: built } };
+
+  if (tileIds.length) return { type: 'sell_property', payload: { tileId: tileIds[0] } };
+  return { type: 'declare_bankruptcy' };
+}
+
+function pickBid(engine, state, player, strategy) {
+  const auction = state.auction;
+  if (auction.highestBidderId === player.id) return null;
+
+  const amount = auction.highestBid + engine.rules.auctionIncrement;
+  const limit = Math.min(
+    Math.floor(tileWorth(engine, state, player.id, auction.tileId, strategy) * strategy.bidRatio),
+    cashAfterReserve(engine, player, strategy.reserve)
+  );
+  return amount <= limit
+    ? { type: 'bid', payload: { amount: amount } }
+    : { type: 'pass' };
+}
+
+// Space Travel: fly to the most valuable unowned tile the bot could then buy
+function pickDestination(engine, state, player, strategy) {
+  if (player.money - engine.rules.spaceTravelFare < 0) return null;
+
+  let best = null;
+  engine.tiles.forEach(tile => {
+    if (tile.id === player.position || !tile.price || state.ownership[tile.id]) return;
+    if (cashAfterReserve(engine, player, strategy.reserve) - engine.rules.spaceTravelFare < tile.price) return;
+    const worth = tileWorth(engine, state, player.id, tile.id, strategy);
+    if (!best || worth > best.worth) best = { tileId: tile.id, worth: worth };
+  });
+  return best;
+}
+
+// The unowned tile the bot landed on, if it is worth the cash
+function pickPurchase(engine, state, player, strategy, memory) {
+  const tileId = state.landedTileId;
+  const tile = tileId !== null ? engine.getTile(tileId) : null;
+
+  if (tile && !state.ownership[tileId] && !engine.validateBuy(state, player.id, tileId) && !memory.blocked.has('buy_property') &&
+      cashAfterReserve(engine, player, strategy.reserve) >= tile.price) {
+    return { type: 'buy_property', payload: { tileId: tileId } };
+  }
+  return null;
+}
+
+function pickTurnAction(engine, state, player, strategy, memory) {
+  if (state.turnPhase === 'CHOOSE_DESTINATION') {
+    const destination = pickDestination(engine, state, player, strategy);
+    return destination && !memory.blocked.has('choose_destination')
+      ? { type: 'choose_destination', payload: { tileId: destination.tileId } }
+      : { type: 'roll_dice' };
+  }
+
+  if (state.turnPhase === 'ROLL') {
+    // A double keeps the bot in ROLL on the tile it landed on
+    const purchase = pickPurchase(engine, state, player, strategy, memory);
+    if (purchase) return purchase;
+
+    // Redeem mortgages taken out during an earlier debt once there is money to spare
+    const mortgaged = player.properties.find(id => state.ownership[id].mortgaged);
+    if (mortgaged !== undefined && !memory.blocked.has('unmortgage') &&
+        cashAfterReserve(engine, player, strategy.buildReserve) >= engine.getRedeemCost(engine.getTile(mortgaged))) {
+      return { type: 'unmortgage', payload: { tileId: mortgaged } };
+    }
+    if (strategy.proposeTrades && !memory.blocked.has('propose_trade')) {
+      const trade = findSetTrade(engine, state, player, strategy, memory.proposed);
+      if (trade) {
+        memory.proposed.add(trade.request.tiles[0]);
+        return { type: 'propose_trade', payload: trade };
+      }
+    }
+    return { type: 'roll_dice' };
+  }
+
+  if (state.turnPhase !== 'ACTION') return null;
+
+  const tileId = state.landedTileId;
+  const tile = tileId !== null ? engine.getTile(tileId) : null;
+  const owned = tile && state.ownership[tileId];
+
+  const purchase = pickPurchase(engine, state, player, strategy, memory);
+  if (purchase) return purchase;
+
+  if (tile && owned && !engine.validateBuild(state, player.id, tileId) && !memory.blocked.has('build') &&
+      (!strategy.buildOnSetsOnly || engine.ownsUnmortgagedSet(state, player.id, tile.group)) &&
+      cashAfterReserve(engine, player, strategy.buildReserve) >= engine.getBuildCost(owned.buildingLevel)) {
+    return { type: 'build', payload: { tileId: tileId } };
+  }
+
+  return { type: 'end_turn' };
+}
+
+// memory is kept per bot between calls: { blocked: Set of action types rejected in the
+// current turn phase, proposed: Set of tile ids already asked for in trades }
+function decideAction(engine, state, playerId, strategy, memory) {
+  const player = engine.getPlayer(state, playerId);
+  if (state.gamePhase !== 'PLAYING' || !player || player.bankrupt) return null;
+
+  if (engine.getDebtTotal(state, playerId) > 0) return pickLiquidation(engine, state, player, strategy);
+
+  const trade = state.trades.find(t => t.toId === playerId);
+  if (trade) {
+    return {
+      type: shouldAcceptTrade(engine, state, player, trade, strategy) ? 'accept_trade' : 'reject_trade',
+      payload: { tradeId: trade.id }
+    };
+  }
+
+  if (state.auction) {
+    return state.auction.bidderIds.includes(playerId) ? pickBid(engine, state, player, strategy) : null;
+  }
+
+  if (state.currentPlayerId !== playerId) return null;
+  return pickTurnAction(engine, state, player, strategy, memory);
+}
+
+module.exports = { STRATEGIES, DEFAULT_STRATEGY, getStrategy, decideAction };
@@ -1,4 +1,7 @@
 // websocket-client.js - WebSocket client for connecting to Blue Marble Online server
+import '../../shared/protocol.js';
+
+const { PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, SERVER_MESSAGES, validateMessage } = globalThis.BlueMarble;
 
 export class GameClient {
   constructor(serverUrl) {
@@ -7,6 +10,9 @@ export class GameClient {
     this.connected = false;
     this.playerId = null;
     this.roomId = null;
+    this.sessionToken = null; // Lets rejoin() reclaim the seat after a disconnect
+    this.protocolVersion = null; // Agreed in the connected message
+    this.nextRequestId = 1;
     
     // Event handlers
     this.handlers = {
@@ -16,12 +22,40 @@ export class GameClient {
       room_joined: [],
       player_joined: [],
       player_left: [],
+      player_disconnected: [],
+      player_reconnected: [],
+      sync_state: [],
+      spectating: [],
+      spectators_changed: [],
+      spectator_chat: [],
+      room_closed: [],
+      room_list: [],
       game_started: [],
       dice_rolled: [],
+      card_drawn: [],
       property_bought: [],
       building_built: [],
+      destination_chosen: [],
+      transport_travelled: [],
+      asset_sold: [],
+      mortgage_changed: [],
+      player_bankrupt: [],
+      auction_started: [],
+      auction_bid: [],
+      auction_passed: [],
+      auction_ended: [],
+      trade_proposed: [],
+      trade_accepted: [],
+      trade_rejected: [],
+      game_over: [],
       turn_changed: [],
+      turn_timer: [],
+      turn_timeout: [],
+      player_afk: [],
+      auto_liquidated: [],
+      action_rejected: [],
       chat_message: [],
+      warning: [],
       error: []
     };
   }
@@ -29,7 +63,10 @@ export class GameClient {
   connect() {
     return new Promise((resolve, reject) => {
       try {
-        this.ws = new WebSocket(this.serverUrl);
+        // The server closes the socket with an UNSUPPORTED_PROTOCOL error if it cannot speak ours
+        const url = new URL(this.serverUrl);
+        url.searchParams.set('protocol', PROTOCOL_VERSION);
+        this.ws = new WebSocket(url.toString());
 
         this.ws.onopen = () => {
           console.log('Connected to server');
@@ -71,22 +108,31 @@ export class GameClient {
   }
 
   handleMessage(data) {
+    const problem = validateMessage(SERVER_MESSAGES, data);
+    if (problem) console.warn(`Unexpected ${data.type} message:`, problem.message);
     const { type, payload } = data;
 
     switch (type) {
       case 'connected':
-        console.log('Server:', payload.message);
+        console.log('Server:', data.message);
+        this.protocolVersion = payload.protocolVersion;
+        if (payload.protocolVersion < MIN_PROTOCOL_VERSION) {
+          console.error(`Server speaks protocol ${payload.protocolVersion}; this client needs ${MIN_PROTOCOL_VERSION}`);
+          this.disconnect();
+        }
         break;
 
       case 'room_created':
         this.playerId = payload.playerId;
         this.roomId = payload.roomId;
+        this.sessionToken = payload.sessionToken;
         this.emit('room_created', payload);
         break;
 
       case 'room_joined':
         this.playerId = payload.playerId;
         this.roomId = payload.roomId;
+        this.sessionToken = payload.sessionToken;
         this.emit('room_joined', payload);
         break;
 
@@ -98,6 +144,43 @@ export class GameClient {
         this.emit('player_left', payload);
         break;
 
+      case 'player_disconnected':
+        this.emit('player_disconnected', payload);
+        break;
+
+      case 'player_reconnected':
+        this.emit('player_reconnected', payload);
+        break;
+
+      case 'sync_state':
+        this.playerId = payload.playerId;
+        this.roomId = payload.roomId;
+        this.emit('sync_state', payload);
+        break;
+
+      case 'spectating':
+        this.playerId = null;
+        this.roomId = payload.roomId;
+        this.emit('spectating', payload);
+        break;
+
+      case 'spectators_changed':
+        this.emit('spectators_changed', payload);
+        break;
+
+      case 'spectator_chat':
+        this.emit('spectator_chat', payload);
+        break;
+
+      case 'room_closed':
+        this.roomId = null;
+        this.emit('room_closed', payload);
+        break;
+
+      case 'room_list':
+        this.emit('room_list', payload.rooms);
+        break;
+
       case 'game_started':
         this.emit('game_started', payload);
         break;
@@ -106,6 +189,10 @@ export class GameClient {
         this.emit('dice_rolled', payload);
         break;
 
+      case 'card_drawn':
+        this.emit('card_drawn', payload);
+        break;
+
       case 'property_bought':
         this.emit('property_bought', payload);
         break;
@@ -114,17 +201,97 @@ export class GameClient {
         this.emit('building_built', payload);
         break;
 
+      case 'destination_chosen':
+        this.emit('destination_chosen', payload);
+        break;
+
+      case 'transport_travelled':
+        this.emit('transport_travelled', payload);
+        break;
+
+      case 'asset_sold':
+        this.emit('asset_sold', payload);
+        break;
+
+      case 'mortgage_changed':
+        this.emit('mortgage_changed', payload);
+        break;
+
+      case 'player_bankrupt':
+        this.emit('player_bankrupt', payload);
+        break;
+
+      case 'auction_started':
+        this.emit('auction_started', payload);
+        break;
+
+      case 'auction_bid':
+        this.emit('auction_bid', payload);
+        break;
+
+      case 'auction_passed':
+        this.emit('auction_passed', payload);
+        break;
+
+      case 'auction_ended':
+        this.emit('auction_ended', payload);
+        break;
+
+      case 'trade_proposed':
+        this.emit('trade_proposed', payload);
+        break;
+
+      case 'trade_accepted':
+        this.emit('trade_accepted', payload);
+        break;
+
+      case 'trade_rejected':
+        this.emit('trade_rejected', payload);
+        break;
+
+      case 'game_over':
+        this.emit('game_over', payload);
+        break;
+
       case 'turn_changed':
         this.emit('turn_changed', payload);
         break;
 
+      case 'turn_timer':
+        this.emit('turn_timer', payload);
+        break;
+
+      case 'turn_timeout':
+        this.emit('turn_timeout', payload);
+        break;
+
+      case 'player_afk':
+        this.emit('player_afk', payload);
+        break;
+
+      case 'auto_liquidated':
+        this.emit('auto_liquidated', payload);
+        break;
+
+      // requestId is the value send() returned for the refused message
+      case 'action_rejected':
+        console.warn(`Action ${payload.action} rejected:`, payload.reason);
+        this.emit('action_rejected', { ...payload, requestId: data.requestId });
+        break;
+
       case 'chat_message':
         this.emit('chat_message', payload);
         break;
 
+      // Flooding or banned words; once warningsLeft is used up the server disconnects
+      case 'warning':
+        console.warn(`Server warning ${payload.code}:`, payload.message);
+        this.emit('warning', { ...payload, requestId: data.requestId });
+        break;
+
       case 'error':
-        console.error('Server error:', payload.message);
-        this.emit('error', payload);
+        console.error(`Server error ${payload.code}:`, payload.message);
+        this.emit('error', { ...payload, requestId: data.requestId });
         break;
 
       default:
@@ -155,6 +322,7 @@ export class GameClient {
   }
 
   // Send methods
+  // Returns the message's requestId (repeated in an error or action_rejected it causes), or false
   send(type, payload = {}) {
     if (!this.connected || !this.ws) {
       console.error('Not connected to server');
@@ -162,8 +330,9 @@ export class GameClient {
     }
 
     try {
-      this.ws.send(JSON.stringify({ type, payload }));
-      return true;
+      const requestId = this.nextRequestId++;
+      this.ws.send(JSON.stringify({ type, payload, requestId }));
+      return requestId;
     } catch (error) {
       console.error('Failed to send message:', error);
       return false;
@@ -171,12 +340,30 @@ export class GameClient {
   }
 
   // Game actions
-  createRoom(playerName, maxPlayers = 4) {
-    return this.send('create_room', { playerName, maxPlayers });
+  // rules: optional overrides, e.g. { startingCash, salary, victory: { mode }, houseRules: { auction } }
+  // visibility 'private' keeps the room out of listRooms(); password is then needed to join or watch it
+  createRoom(playerName, maxPlayers = 4, rules = {}, { visibility = 'public', password } = {}) {
+    return this.send('create_room', { playerName, maxPlayers, rules, visibility, password });
   }
 
-  joinRoom(roomId, playerName) {
-    return this.send('join_room', { roomId, playerName });
+  joinRoom(roomId, playerName, password) {
+    return this.send('join_room', { roomId, playerName, password });
+  }
+
+  // Watches a room without a seat; the server answers with spectating (a sync_state-like snapshot)
+  spectate(roomId, playerName, password) {
+    return this.send('join_room', { roomId, playerName, spectate: true, password });
+  }
+
+  // The server answers with room_list and sends it again whenever a public room changes,
+  // until this client enters a room
+  listRooms() {
+    return this.send('list_rooms');
+  }
+
+  // Reclaims a held seat; the server answers with sync_state
+  rejoin(sessionToken = this.sessionToken) {
+    return this.send('rejoin', { sessionToken });
   }
 
   leaveRoom() {
@@ -187,6 +374,15 @@ export class GameClient {
     return this.send('start_game');
   }
 
+  // Host only, before the game starts; strategy ids come with the connected message
+  addBot(strategy, name) {
+    return this.send('add_bot', { strategy, name });
+  }
+
+  removeBot(playerId) {
+    return this.send('remove_bot', { playerId });
+  }
+
   rollDice() {
     return this.send('roll_dice');
   }
@@ -199,6 +395,59 @@ export class GameClient {
     return this.send('build', { tileId });
   }
 
+  chooseDestination(tileId) {
+    return this.send('choose_destination', { tileId });
+  }
+
+  travelByTransport(tileId) {
+    return this.send('transport_travel', { tileId });
+  }
+
+  sellBuilding(tileId) {
+    return this.send('sell_building', { tileId });
+  }
+
+  sellProperty(tileId) {
+    return this.send('sell_property', { tileId });
+  }
+
+  mortgage(tileId) {
+    return this.send('mortgage', { tileId });
+  }
+
+  unmortgage(tileId) {
+    return this.send('unmortgage', { tileId });
+  }
+
+  declareBankruptcy() {
+    return this.send('declare_bankruptcy');
+  }
+
+  bid(amount) {
+    return this.send('bid', { amount });
+  }
+
+  passAuction() {
+    return this.send('pass');
+  }
+
+  // offer/request: { tiles: [tileId], cash }
+  proposeTrade(toId, offer, request) {
+    return this.send('propose_trade', { toId, offer, request });
+  }
+
+  counterTrade(tradeId, offer, request) {
+    return this.send('counter_trade', { tradeId, offer, request });
+  }
+
+  acceptTrade(tradeId) {
+    return this.send('accept_trade', { tradeId });
+  }
+
+  rejectTrade(tradeId) {
+    return this.send('reject_trade', { tradeId });
+  }
+
   endTurn() {
     return this.send('end_turn');
   }
@@ -231,6 +480,9 @@ await client.connect();
 client.createRoom('Player1', 4);
 // OR
 client.joinRoom('ABC123', 'Player2');
+// OR pick one from the lobby
+client.on('room_list', (rooms) => console.log(rooms.filter(r => r.status === 'waiting')));
+client.listRooms();
 
 // Listen for events
 client.on('room_created', (data) => {
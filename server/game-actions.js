@@ -0,0 +1,172 @@
+// game-actions.js - What each game action does to a room's state, shared by GameServer and simulate.js
+// performAction() checks one player's action against the rules engine and applies it. Telling
+// players about it, the turn and auction clocks and saving the room are left to the caller.
+
+// Starts the auction of the city the player is leaving unbought (ending the turn, or rolling
+// again after a double); returns its events, or null when there is nothing to auction
+function auctionDeclinedCity(engine, state) {
+  return engine.shouldAuction(state) ? engine.startAuction(state, state.landedTileId) : null;
+}
+
+// Returns { rejection } or { events, ...details of the action }:
+//   roll_dice      diceResult, or auction: true when the declined city went to auction instead
+//   end_turn       auction: true when the declined city went to auction instead of the turn passing
+//   buy_property   price
+//   build          buildingLevel, cost
+//   mortgage / unmortgage  amount
+//   bid / pass     the auction is left running; callers close it once isAuctionDecided()
+//   propose_trade / counter_trade  trade, replacesId
+//   accept_trade   a rejection for a trade that went stale also carries droppedTradeId
+function performAction(engine, state, playerId, type, payload = {}) {
+  switch (type) {
+    case 'roll_dice': {
+      const rejection = engine.validateRoll(state, playerId);
+      if (rejection) return { rejection: rejection };
+
+      const auctionEvents = auctionDeclinedCity(engine, state);
+      if (auctionEvents) return { events: auctionEvents, auction: true };
+
+      const diceResult = engine.rollDice();
+      return { events: engine.applyDiceRoll(state, playerId, diceResult), diceResult: diceResult };
+    }
+
+    case 'end_turn': {
+      const rejection = engine.validateEndTurn(state, playerId);
+      if (rejection) return { rejection: rejection };
+
+      const auctionEvents = auctionDeclinedCity(engine, state);
+      if (auctionEvents) return { events: auctionEvents, auction: true };
+
+      // The round limit may end the game here
+      return { events: engine.endTurn(state) };
+    }
+
+    case 'choose_destination': {
+      const rejection = engine.validateDestination(state, playerId, payload.tileId);
+      if (rejection) return { rejection: rejection };
+      return { events: engine.chooseDestination(state, playerId, payload.tileId) };
+    }
+
+    case 'transport_travel': {
+      const rejection = engine.validateTransportTravel(state, playerId, payload.tileId);
+      if (rejection) return { rejection: rejection };
+      return { events: engine.travelByTransport(state, playerId, payload.tileId) };
+    }
+
+    case 'buy_property': {
+      const rejection = engine.validateBuy(state, playerId, payload.tileId);
+      if (rejection) return { rejection: rejection };
+
+      const bought = engine.buyProperty(state, playerId, payload.tileId);
+      // A completed set can win the game outright
+      return { events: [bought].concat(engine.checkVictory(state)), price: bought.price };
+    }
+
+    case 'build': {
+      const rejection = engine.validateBuild(state, playerId, payload.tileId);
+      if (rejection) return { rejection: rejection };
+
+      const built = engine.build(state, playerId, payload.tileId);
+      return { events: [built], buildingLevel: built.buildingLevel, cost: built.cost };
+    }
+
+    case 'sell_building':
+    case 'sell_property': {
+      const kind = type === 'sell_building' ? 'building' : 'property';
+      const rejection = engine.validateSell(state, playerId, payload.tileId, kind);
+      if (rejection) return { rejection: rejection };
+
+      // Paying off the last debt resumes play
+      return {
+        events: kind === 'building'
+          ? engine.sellBuilding(state, playerId, payload.tileId)
+          : engine.sellProperty(state, playerId, payload.tileId)
+      };
+    }
+
+    case 'mortgage':
+    case 'unmortgage': {
+      const mortgaged = type === 'mortgage';
+      const rejection = mortgaged
+        ? engine.validateMortgage(state, playerId, payload.tileId)
+        : engine.validateUnmortgage(state, playerId, payload.tileId);
+      if (rejection) return { rejection: rejection };
+
+      const events = mortgaged
+        ? engine.mortgage(state, playerId, payload.tileId)
+        : engine.unmortgage(state, playerId, payload.tileId);
+      return { events: events, amount: events[0].amount };
+    }
+
+    case 'declare_bankruptcy': {
+      const rejection = engine.validateBankruptcy(state, playerId);
+      if (rejection) return { rejection: rejection };
+      return { events: engine.declareBankruptcy(state, playerId) };
+    }
+
+    case 'bid': {
+      const rejection = engine.validateBid(state, playerId, payload.amount);
+      if (rejection) return { rejection: rejection };
+      return { events: [engine.placeBid(state, playerId, payload.amount)] };
+    }
+
+    case 'pass': {
+      const rejection = engine.validatePass(state, playerId);
+      if (rejection) return { rejection: rejection };
+      return { events: [engine.passAuction(state, playerId)] };
+    }
+
+    case 'propose_trade': {
+      const offer = engine.normalizeTradeSide(payload.offer);
+      const request = engine.normalizeTradeSide(payload.request);
+      const rejection = engine.validateTradeProposal(state, playerId, payload.toId, offer, request);
+      if (rejection) return { rejection: rejection };
+
+      return { events: [], trade: engine.proposeTrade(state, playerId, payload.toId, offer, request), replacesId: null };
+    }
+
+    case 'counter_trade': {
+      const offer = engine.normalizeTradeSide(payload.offer);
+      const request = engine.normalizeTradeSide(payload.request);
+      const original = state.trades.find(t => t.id === payload.tradeId);
+      const rejection = engine.validateTradeResponse(state, playerId, payload.tradeId) ||
+        engine.validateTradeProposal(state, playerId, original.fromId, offer, request);
+      if (rejection) return { rejection: rejection };
+
+      const trade = engine.counterTrade(state, playerId, payload.tradeId, offer, request);
+      return { events: [], trade: trade, replacesId: payload.tradeId };
+    }
+
+    case 'accept_trade': {
+      const rejection = engine.validateTradeResponse(state, playerId, payload.tradeId);
+      if (rejection) return { rejection: rejection };
+
+      // Either side may have sold, traded or spent what they offered since proposing
+      const trade = state.trades.find(t => t.id === payload.tradeId);
+      const stale = engine.validateTradeSide(state, engine.getPlayer(state, trade.fromId), trade.offer) ||
+        engine.validateTradeSide(state, engine.getPlayer(state, trade.toId), trade.request);
+      if (stale) {
+        engine.rejectTrade(state, payload.tradeId);
+        return { rejection: stale, droppedTradeId: payload.tradeId };
+      }
+      return { events: engine.acceptTrade(state, payload.tradeId) };
+    }
+
+    case 'reject_trade': {
+      const trade = state.trades.find(t => t.id === payload.tradeId);
+      // Proposers may withdraw their own offer as well
+      const rejection = trade && trade.fromId === playerId
+        ? null
+        : engine.validateTradeResponse(state, playerId, payload.tradeId);
+      if (rejection) return { rejection: rejection };
+
+      engine.rejectTrade(state, payload.tradeId);
+      return { events: [] };
+    }
+
+    default:
+      return { rejection: engine.reject('UNKNOWN_ACTION', `Unknown action ${type}`) };
+  }
+}
+
+module.exports = { performAction };
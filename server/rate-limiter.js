@@ -0,0 +1,72 @@
+// rate-limiter.js - Token buckets for per-connection message rate limits
+// A bucket holds up to `capacity` tokens and refills `perSecond` tokens a second; every message
+// takes one. Bursts up to the capacity pass, a steady stream faster than the refill does not.
+
+// Message type -> [capacity, perSecond]; types not listed share the default bucket
+const RATE_LIMITS = {
+  default: [30, 10],
+  create_room: [3, 0.1],
+  join_room: [5, 0.5], // wrong room passwords are also limited per address, see websocket-server.js
+  list_rooms: [5, 1],
+  rejoin: [5, 0.5],
+  add_bot: [6, 1],
+  roll_dice: [5, 2],
+  propose_trade: [5, 0.5],
+  counter_trade: [5, 0.5],
+  chat: [5, 1]
+};
+
+class TokenBucket {
+  constructor(capacity, perSecond, now = Date.now()) {
+    this.capacity = capacity;
+    this.perSecond = perSecond;
+    this.tokens = capacity;
+    this.updatedAt = now;
+  }
+
+  refill(now) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.perSecond);
+    this.updatedAt = now;
+  }
+
+  // Takes a token if there is one; returns whether it did
+  take(now = Date.now()) {
+    this.refill(now);
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+
+  // Returns a token taken for something that turned out not to count
+  giveBack(now = Date.now()) {
+    this.refill(now);
+    this.tokens = Math.min(this.capacity, this.tokens + 1);
+  }
+
+  // Seconds until the next token
+  retryAfter(now = Date.now()) {
+    this.refill(now);
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.perSecond);
+  }
+}
+
+// One per connection; buckets are created on first use
+class RateLimiter {
+  constructor(limits = RATE_LIMITS) {
+    this.limits = { ...RATE_LIMITS, ...limits };
+    this.buckets = new Map(); // bucket name -> TokenBucket
+  }
+
+  // Returns 0 when a message of this type may pass, otherwise the seconds to wait
+  check(type, now = Date.now()) {
+    const name = Object.prototype.hasOwnProperty.call(this.limits, type) ? type : 'default';
+    let bucket = this.buckets.get(name);
+    if (!bucket) {
+      bucket = new TokenBucket(...this.limits[name], now);
+      this.buckets.set(name, bucket);
+    }
+    return bucket.take(now) ? 0 : bucket.retryAfter(now);
+  }
+}
+
+module.exports = { RATE_LIMITS, TokenBucket, RateLimiter };
@@ -0,0 +1,207 @@
+// room-store.js - Persistence for room snapshots and finished games
+// Stores are synchronous so a snapshot is on disk before the next message is handled.
+// A room's replay events and random draws only ever grow, so they are kept apart from the
+// snapshot in an append-only room log: { kind: 'replay' | 'random', index, entry } per entry.
+// Writing an index again replaces the entry, so appending the same entries twice is harmless.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+
+// Log entries by kind, each in index order
+function emptyRoomLog() {
+  return { replay: [], random: [] };
+}
+
+// One JSON file per room under <dir>/rooms and per finished game under <dir>/archive;
+// each room's log is a JSON-lines file next to its snapshot
+class JsonFileStore {
+  constructor(dir = DEFAULT_DATA_DIR) {
+    this.roomsDir = path.join(dir, 'rooms');
+    this.archiveDir = path.join(dir, 'archive');
+    fs.mkdirSync(this.roomsDir, { recursive: true });
+    fs.mkdirSync(this.archiveDir, { recursive: true });
+  }
+
+  // Write to a temporary file first so a crash never leaves half a snapshot behind
+  writeJson(file, data) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, file);
+  }
+
+  readJson(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error(`Skipping unreadable snapshot ${file}:`, error.message);
+      return null;
+    }
+  }
+
+  logFile(roomId) {
+    return path.join(this.roomsDir, `${path.basename(roomId)}.log`);
+  }
+
+  saveRoom(roomId, snapshot) {
+    this.writeJson(path.join(this.roomsDir, `${path.basename(roomId)}.json`), snapshot);
+  }
+
+  // from: { replay, random } index of the first entry of each kind in entries
+  appendRoomLog(roomId, from, entries) {
+    const lines = Object.keys(entries).flatMap(kind => entries[kind].map((entry, i) => {
+      return JSON.stringify({ kind: kind, index: from[kind] + i, entry: entry });
+    }));
+    // Each line starts on a fresh one, so a line cut short by a crash never swallows the next
+    fs.appendFileSync(this.logFile(roomId), lines.map(line => `\n${line}`).join(''));
+  }
+
+  readRoomLog(roomId) {
+    const log = emptyRoomLog();
+    if (!fs.existsSync(this.logFile(roomId))) return log;
+
+    fs.readFileSync(this.logFile(roomId), 'utf8').split('\n').forEach(line => {
+      if (!line) return;
+      try {
+        const { kind, index, entry } = JSON.parse(line);
+        if (log[kind]) log[kind][index] = entry;
+      } catch (error) {
+        console.error(`Skipping unreadable log line for room ${roomId}`);
+      }
+    });
+    return log;
+  }
+
+  deleteRoom(roomId) {
+    fs.rmSync(path.join(this.roomsDir, `${path.basename(roomId)}.json`), { force: true });
+    fs.rmSync(this.logFile(roomId), { force: true });
+  }
+
+  // Snapshots with their room log attached as `log`
+  loadRooms() {
+    return fs.readdirSync(this.roomsDir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => this.readJson(path.join(this.roomsDir, name)))
+      .filter(Boolean)
+      .map(snapshot => ({ ...snapshot, log: this.readRoomLog(snapshot.id) }));
+  }
+
+  archiveGame(record) {
+    this.writeJson(path.join(this.archiveDir, `${path.basename(record.id)}.json`), record);
+  }
+
+  getArchivedGame(gameId) {
+    const file = path.join(this.archiveDir, `${path.basename(gameId)}.json`);
+    return fs.existsSync(file) ? this.readJson(file) : null;
+  }
+
+  // Summaries, newest first
+  listArchivedGames() {
+    return fs.readdirSync(this.archiveDir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => this.readJson(path.join(this.archiveDir, name)))
+      .filter(Boolean)
+      .map(summarizeGame)
+      .sort((a, b) => b.finishedAt - a.finishedAt);
+  }
+}
+
+// Single-file SQLite database; needs the optional better-sqlite3 package
+class SqliteStore {
+  constructor(file = path.join(DEFAULT_DATA_DIR, 'blue-marble.db')) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('The sqlite store needs better-sqlite3: run "npm install better-sqlite3" in server/');
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new Database(file);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS rooms (id TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at INTEGER NOT NULL);
+      CREATE TABLE IF NOT EXISTS room_log (
+        room_id TEXT NOT NULL, kind TEXT NOT NULL, idx INTEGER NOT NULL, data TEXT NOT NULL,
+        PRIMARY KEY (room_id, kind, idx)
+      );
+      CREATE TABLE IF NOT EXISTS archive (id TEXT PRIMARY KEY, finished_at INTEGER NOT NULL, data TEXT NOT NULL);
+    `);
+  }
+
+  saveRoom(roomId, snapshot) {
+    this.db.prepare('INSERT OR REPLACE INTO rooms (id, data, updated_at) VALUES (?, ?, ?)')
+      .run(roomId, JSON.stringify(snapshot), Date.now());
+  }
+
+  appendRoomLog(roomId, from, entries) {
+    const insert = this.db.prepare('INSERT OR REPLACE INTO room_log (room_id, kind, idx, data) VALUES (?, ?, ?, ?)');
+    this.db.transaction(() => {
+      Object.keys(entries).forEach(kind => entries[kind].forEach((entry, i) => {
+        insert.run(roomId, kind, from[kind] + i, JSON.stringify(entry));
+      }));
+    })();
+  }
+
+  readRoomLog(roomId) {
+    const log = emptyRoomLog();
+    this.db.prepare('SELECT kind, idx, data FROM room_log WHERE room_id = ?').all(roomId).forEach(row => {
+      if (log[row.kind]) log[row.kind][row.idx] = JSON.parse(row.data);
+    });
+    return log;
+  }
+
+  deleteRoom(roomId) {
+    this.db.prepare('DELETE FROM rooms WHERE id = ?').run(roomId);
+    this.db.prepare('DELETE FROM room_log WHERE room_id = ?').run(roomId);
+  }
+
+  loadRooms() {
+    return this.db.prepare('SELECT data FROM rooms').all().map(row => {
+      const snapshot = JSON.parse(row.data);
+      return { ...snapshot, log: this.readRoomLog(snapshot.id) };
+    });
+  }
+
+  archiveGame(record) {
+    this.db.prepare('INSERT OR REPLACE INTO archive (id, finished_at, data) VALUES (?, ?, ?)')
+      .run(record.id, record.finishedAt, JSON.stringify(record));
+  }
+
+  getArchivedGame(gameId) {
+    const row = this.db.prepare('SELECT data FROM archive WHERE id = ?').get(gameId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listArchivedGames() {
+    return this.db.prepare('SELECT data FROM archive ORDER BY finished_at DESC').all()
+      .map(row => summarizeGame(JSON.parse(row.data)));
+  }
+}
+
+function summarizeGame(record) {
+  return {
+    id: record.id,
+    roomId: record.roomId,
+    finishedAt: record.finishedAt,
+    listed: !!record.listed,
+    winnerId: record.winnerId,
+    reason: record.reason,
+    players: record.players
+  };
+}
+
+// kind: 'json' (default), 'sqlite' or 'none'; location is a directory (json) or database file (sqlite)
+function createStore(kind = 'json', location = undefined) {
+  switch (kind) {
+    case 'json':
+      return new JsonFileStore(location);
+    case 'sqlite':
+      return new SqliteStore(location);
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown store "${kind}" (expected json, sqlite or none)`);
+  }
+}
+
+module.exports = { JsonFileStore, SqliteStore, createStore };
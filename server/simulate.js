@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+// simulate.js - Headless bot-vs-bot games for rule and price balancing
+//
+//   node simulate.js [--games 1000] [--seed blue-marble] [--board classic|path/to/board.json]
+//                    [--rules rules.json] [--strategies conservative,aggressive,collector,conservative]
+//                    [--max-rounds 200] [--format json|csv] [--table tiles|groups|seats|strategies]
+//                    [--out report.json]
+//
+// Every game runs the shared rules engine with the server's bot strategies and no timers.
+// Seats rotate between games so each strategy plays from each seat equally often, which keeps
+// the first-player numbers free of strategy effects. The same seed always gives the same report.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { loadBoard } = require('../shared/board');
+const { RulesEngine } = require('../shared/rules-engine');
+const { SeededRandom } = require('../shared/seeded-random');
+const { STRATEGIES, getStrategy, decideAction } = require('./bot-strategies');
+const { performAction } = require('./game-actions');
+
+const BOARDS_DIR = path.join(__dirname, '..', 'shared', 'boards');
+
+const DEFAULT_OPTIONS = {
+  games: 1000,
+  seed: 'blue-marble',
+  board: 'classic',
+  rules: null,
+  strategies: 'conservative,aggressive,collector,conservative',
+  maxRounds: 200,
+  format: 'json',
+  table: 'tiles',
+  out: null
+};
+
+// A game that needs more decisions than this is stuck and counted as unfinished
+const MAX_STEPS_PER_GAME = 100000;
+
+// Accepts a board id from shared/boards/ or a path to a board JSON file
+function readBoard(board) {
+  const file = board.endsWith('.json') ? path.resolve(board) : path.join(BOARDS_DIR, `${path.basename(board)}.json`);
+  return loadBoard(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+// 32 hex characters are used as given; anything else is hashed into a seed
+function toSeed(seed) {
+  const text = String(seed);
+  return /^[0-9a-f]{32}$/.test(text) ? text : crypto.createHash('sha256').update(text).digest('hex').slice(0, 32);
+}
+
+function nextSeed(master) {
+  return [0, 1, 2, 3].map(() => master.nextUint32().toString(16).padStart(8, '0')).join('');
+}
+
+// Applies one bot message through the same performAction() as GameServer's handlers. With no
+// bidding window to wait for, a decided auction is closed at once. Returns { events } or { rejection }.
+function applyAction(engine, state, playerId, action) {
+  const result = performAction(engine, state, playerId, action.type, action.payload);
+  if (result.rejection) return { rejection: result.rejection };
+
+  let events = result.events;
+  if (engine.isAuctionDecided(state)) events = events.concat(engine.closeAuction(state));
+  return { events: events };
+}
+
+// What the server's turn clock would do when no bot has a move (see handleTurnTimeout)
+function forceProgress(engine, state) {
+  if (state.auction) return engine.closeAuction(state);
+
+  if (state.turnPhase === 'LIQUIDATE') {
+    const debtorIds = [...new Set(state.debts.map(debt => debt.debtorId))];
+    return debtorIds.reduce((events, id) => events.concat(engine.autoLiquidate(state, id)), []);
+  }
+  const type = state.turnPhase === 'ACTION' ? 'end_turn' : 'roll_dice';
+  return performAction(engine, state, state.currentPlayerId, type).events;
+}
+
+// Plays one game to the end (or maxRounds) and returns what the report needs from it.
+// seats lists the strategy name for each seat in turn order.
+function simulateGame(board, rules, seed, seats, maxRounds) {
+  const random = new SeededRandom(seed);
+  const engine = new RulesEngine(board, rules, { random: random.next });
+  const playerIds = seats.map((strategy, seat) => `p${seat}`);
+  const state = engine.createInitialState(playerIds, rules.victory, rules.houseRules);
+  const memories = playerIds.map(() => ({ turnKey: null, blocked: new Set(), proposed: new Set() }));
+
+  const record = {
+    reason: 'unfinished',
+    winnerSeat: null,
+    rounds: 0,
+    turns: 0,
+    stalls: 0,
+    bankruptcies: [], // { seat, round }
+    tiles: {} // tileId -> { landings, rent, invested }
+  };
+  const tile = (tileId) => {
+    record.tiles[tileId] = record.tiles[tileId] || { landings: 0, rent: 0, invested: 0 };
+    return record.tiles[tileId];
+  };
+  const collect = (events) => events.forEach(event => {
+    if (event.type === 'moved') tile(event.to).landings++;
+    if (event.type === 'sent_to_island' && event.reason !== 'landed') tile(engine.islandTile).landings++;
+    if (event.type === 'rent_paid') tile(event.tileId).rent += event.amount;
+    if (event.type === 'property_bought') tile(event.tileId).invested += event.price;
+    if (event.type === 'auction_won') tile(event.tileId).invested += event.amount;
+    if (event.type === 'building_built') tile(event.tileId).invested += event.cost;
+    if (event.type === 'game_over') record.reason = event.reason;
+    if (event.type === 'player_bankrupt') {
+      record.bankruptcies.push({ seat: playerIds.indexOf(event.playerId), round: state.round });
+    }
+  });
+
+  for (let step = 0; step < MAX_STEPS_PER_GAME; step++) {
+    if (state.gamePhase !== 'PLAYING' || state.round > maxRounds) break;
+    const previousPlayerId = state.currentPlayerId;
+
+    let acted = false;
+    for (const playerId of state.turnOrder) {
+      const seat = playerIds.indexOf(playerId);
+      const memory = memories[seat];
+      const turnKey = `${state.round}:${state.currentPlayerId}:${state.turnPhase}`;
+      if (turnKey !== memory.turnKey) {
+        memory.turnKey = turnKey;
+        memory.blocked.clear();
+      }
+
+      const action = decideAction(engine, state, playerId, getStrategy(seats[seat]), memory);
+      if (!action || memory.blocked.has(action.type)) continue;
+
+      const result = applyAction(engine, state, playerId, action);
+      if (result.rejection) {
+        memory.blocked.add(action.type);
+        continue;
+      }
+      collect(result.events);
+      acted = true;
+      break;
+    }
+
+    if (!acted) {
+      record.stalls++;
+      collect(forceProgress(engine, state));
+    }
+    if (state.currentPlayerId !== previousPlayerId) record.turns++;
+  }
+
+  if (state.gamePhase === 'ENDED') record.winnerSeat = playerIds.indexOf(state.winnerId);
+  // Both limits are checked once the round counter has moved past them
+  record.rounds = ['round_limit', 'unfinished'].includes(record.reason) ? Math.min(state.round - 1, maxRounds) : state.round;
+  return record;
+}
+
+function ratio(part, whole) {
+  return whole ? Math.round(part / whole * 10000) / 10000 : null;
+}
+
+function average(values) {
+  return values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 100) / 100 : null;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : null;
+}
+
+// options as in DEFAULT_OPTIONS; rules is the create_room rules object (or null for defaults)
+function runSimulation(options = {}, onProgress = () => {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const board = readBoard(config.board);
+  const resolved = new RulesEngine(board).resolveRules(config.rules || {});
+  if (resolved.error) throw new Error(`Invalid rules: ${resolved.error}`);
+
+  const lineup = config.strategies.split(',').map(name => name.trim());
+  lineup.forEach(name => {
+    if (!getStrategy(name)) throw new Error(`Unknown strategy "${name}" (expected ${Object.keys(STRATEGIES).join(', ')})`);
+  });
+  if (lineup.length < 2 || lineup.length > 4) throw new Error('Between 2 and 4 strategies are needed, one per seat');
+
+  const seed = toSeed(config.seed);
+  const master = new SeededRandom(seed);
+  const games = [];
+  for (let g = 0; g < config.games; g++) {
+    const seats = lineup.map((name, seat) => lineup[(seat + g) % lineup.length]);
+    const game = simulateGame(board, resolved.rules, nextSeed(master), seats, config.maxRounds);
+    game.seats = seats;
+    games.push(game);
+    onProgress(g + 1, config.games);
+  }
+
+  return buildReport(board, resolved.rules, config, seed, lineup, games);
+}
+
+function buildReport(board, rules, config, seed, lineup, games) {
+  const finished = games.filter(game => game.reason !== 'unfinished');
+  const reasons = {};
+  games.forEach(game => { reasons[game.reason] = (reasons[game.reason] || 0) + 1; });
+  const seatGames = games.length; // every seat plays in every game
+
+  const seats = lineup.map((name, seat) => {
+    const wins = games.filter(game => game.winnerSeat === seat).length;
+    const bankrupt = games.filter(game => game.bankruptcies.some(b => b.seat === seat)).length;
+    return {
+      seat: seat + 1,
+      games: seatGames,
+      wins: wins,
+      winRate: ratio(wins, seatGames),
+      expectedWinRate: ratio(finished.length / lineup.length, seatGames),
+      bankruptRate: ratio(bankrupt, seatGames)
+    };
+  });
+
+  const strategyNames = [...new Set(lineup)];
+  const strategies = strategyNames.map(name => {
+    let plays = 0;
+    let wins = 0;
+    let bankrupt = 0;
+    games.forEach(game => game.seats.forEach((seatStrategy, seat) => {
+      if (seatStrategy !== name) return;
+      plays++;
+      if (game.winnerSeat === seat) wins++;
+      if (game.bankruptcies.some(b => b.seat === seat)) bankrupt++;
+    }));
+    return { strategy: name, plays: plays, wins: wins, winRate: ratio(wins, plays), bankruptRate: ratio(bankrupt, plays) };
+  });
+
+  const totals = {};
+  games.forEach(game => Object.keys(game.tiles).forEach(tileId => {
+    const t = totals[tileId] = totals[tileId] || { landings: 0, rent: 0, invested: 0 };
+    t.landings += game.tiles[tileId].landings;
+    t.rent += game.tiles[tileId].rent;
+    t.invested += game.tiles[tileId].invested;
+  }));
+  const totalLandings = Object.values(totals).reduce((sum, t) => sum + t.landings, 0);
+
+  const tiles = board.tiles.map(tile => {
+    const t = totals[tile.id] || { landings: 0, rent: 0, invested: 0 };
+    return {
+      id: tile.id,
+      name: tile.name,
+      type: tile.type,
+      group: tile.group || (tile.type === 'transport' ? 'transport' : null),
+      price: tile.price,
+      landings: t.landings,
+      landingRate: ratio(t.landings, totalLandings),
+      rentCollected: t.rent,
+      invested: t.invested,
+      roi: ratio(t.rent, t.invested)
+    };
+  });
+
+  const groupNames = [...new Set(tiles.filter(t => t.group).map(t => t.group))];
+  const groups = groupNames.map(group => {
+    const members = tiles.filter(t => t.group === group);
+    const sum = (key) => members.reduce((total, t) => total + t[key], 0);
+    return {
+      group: group,
+      tiles: members.length,
+      price: sum('price'),
+      landings: sum('landings'),
+      landingRate: ratio(sum('landings'), totalLandings),
+      rentCollected: sum('rentCollected'),
+      invested: sum('invested'),
+      roi: ratio(sum('rentCollected'), sum('invested'))
+    };
+  });
+
+  const bankruptcies = games.reduce((list, game) => list.concat(game.bankruptcies), []);
+  return {
+    config: {
+      games: games.length,
+      seed: seed,
+      board: { id: board.id, version: board.version },
+      strategies: lineup,
+      maxRounds: config.maxRounds,
+      rules: rules
+    },
+    games: {
+      finished: finished.length,
+      unfinished: games.length - finished.length,
+      reasons: reasons,
+      averageRounds: average(games.map(game => game.rounds)),
+      medianRounds: median(games.map(game => game.rounds)),
+      averageTurns: average(games.map(game => game.turns)),
+      stalledDecisions: games.reduce((sum, game) => sum + game.stalls, 0)
+    },
+    bankruptcy: {
+      playerRate: ratio(bankruptcies.length, games.length * lineup.length),
+      gamesWithBankruptcy: ratio(games.filter(game => game.bankruptcies.length).length, games.length),
+      averageRound: average(bankruptcies.map(b => b.round))
+    },
+    // Seat 1 moves first; advantage is its win rate over an even share of the finished games
+    firstPlayer: {
+      winRate: seats[0].winRate,
+      expectedWinRate: seats[0].expectedWinRate,
+      advantage: ratio(seats[0].wins - finished.length / lineup.length, seatGames)
+    },
+    seats: seats,
+    strategies: strategies,
+    tiles: tiles,
+    groups: groups
+  };
+}
+
+function toCsv(rows) {
+  if (!rows.length) return '';
+  const columns = Object.keys(rows[0]);
+  const cell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(',')].concat(rows.map(row => columns.map(column => cell(row[column])).join(','))).join('\n') + '\n';
+}
+
+// --key value pairs; --max-rounds becomes maxRounds
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '').replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+    if (!(key in DEFAULT_OPTIONS) || argv[i + 1] === undefined) throw new Error(`Unknown or incomplete option ${argv[i]}`);
+    options[key] = argv[i + 1];
+  }
+  ['games', 'maxRounds'].forEach(key => {
+    if (options[key] !== undefined) options[key] = parseInt(options[key], 10);
+  });
+  if (options.rules) options.rules = JSON.parse(fs.readFileSync(options.rules, 'utf8'));
+  return options;
+}
+
+module.exports = { simulateGame, runSimulation, applyAction, toCsv };
+
+if (require.main === module) {
+  try {
+    const options = { ...DEFAULT_OPTIONS, ...parseArgs(process.argv.slice(2)) };
+    const progress = process.stderr.isTTY
+      ? (done, total) => { if (done % 10 === 0 || done === total) process.stderr.write(`\r${done}/${total} games`); }
+      : () => {};
+    const report = runSimulation(options, progress);
+    if (process.stderr.isTTY) process.stderr.write('\n');
+
+    const output = options.format === 'csv'
+      ? toCsv(report[options.table] || [])
+      : JSON.stringify(report, null, 2) + '\n';
+    if (options.out) {
+      fs.writeFileSync(options.out, output);
+    } else {
+      process.stdout.write(output);
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,68 @@
+// auctions.test.js - Auctions of declined cities, run through performAction() as the server does
+const assert = require('assert');
+const { TURN_PHASES } = require('../../shared/rules-engine');
+const { performAction } = require('../game-actions');
+const { TILES, test, setup, dice } = require('./helpers');
+
+const { MANILA } = TILES;
+
+test('ending the turn on a declined city auctions it, and the sale passes the turn', () => {
+  const { engine, state } = setup({ houseRules: { auction: true } });
+  engine.applyDiceRoll(state, 'p0', dice(1, 3));
+  assert.strictEqual(state.landedTileId, MANILA);
+
+  const ended = performAction(engine, state, 'p0', 'end_turn');
+  assert.strictEqual(ended.auction, true);
+  assert.strictEqual(state.turnPhase, TURN_PHASES.AUCTION);
+  assert.strictEqual(state.auction.extraRoll, false);
+  assert.strictEqual(engine.validateBid(state, 'p1', 5000).reason, 'BID_TOO_LOW');
+
+  performAction(engine, state, 'p1', 'bid', { amount: 30000 });
+  performAction(engine, state, 'p0', 'pass');
+  assert.strictEqual(performAction(engine, state, 'p1', 'pass').rejection.reason, 'HIGHEST_BIDDER');
+  assert.strictEqual(engine.isAuctionDecided(state), false);
+  performAction(engine, state, 'p2', 'pass');
+  assert.strictEqual(engine.isAuctionDecided(state), true);
+
+  const events = engine.closeAuction(state);
+
+  assert.deepStrictEqual(events[0], { type: 'auction_won', playerId: 'p1', tileId: MANILA, amount: 30000 });
+  assert.strictEqual(state.ownership[MANILA].ownerId, 'p1');
+  assert.strictEqual(engine.getPlayer(state, 'p1').money, 1970000);
+  assert.strictEqual(state.currentPlayerId, 'p1');
+  assert.strictEqual(state.turnPhase, TURN_PHASES.ROLL);
+});
+
+test('rolling again after a double auctions the declined city, then the lander rolls', () => {
+  const { engine, state } = setup({ houseRules: { auction: true } });
+  engine.applyDiceRoll(state, 'p0', dice(2, 2));
+  assert.strictEqual(state.turnPhase, TURN_PHASES.ROLL);
+
+  const rolled = performAction(engine, state, 'p0', 'roll_dice');
+  assert.strictEqual(rolled.auction, true);
+  assert.strictEqual(rolled.diceResult, undefined);
+  assert.strictEqual(state.auction.extraRoll, true);
+
+  state.auction.bidderIds.forEach(id => engine.passAuction(state, id));
+  const events = engine.closeAuction(state);
+
+  assert.deepStrictEqual(events, [{ type: 'auction_unsold', tileId: MANILA }]);
+  assert.strictEqual(state.currentPlayerId, 'p0');
+  assert.strictEqual(state.turnPhase, TURN_PHASES.ROLL);
+  assert.strictEqual(state.landedTileId, null);
+  assert.strictEqual(engine.getPlayer(state, 'p0').doublesCount, 1);
+  assert.strictEqual(engine.shouldAuction(state), false);
+});
+
+test('a leaving bidder takes their bid with them', () => {
+  const { engine, state } = setup({ houseRules: { auction: true } });
+  engine.applyDiceRoll(state, 'p0', dice(1, 3));
+  performAction(engine, state, 'p0', 'end_turn');
+  performAction(engine, state, 'p1', 'bid', { amount: 30000 });
+
+  engine.eliminatePlayer(state, 'p1');
+
+  assert.strictEqual(state.auction.highestBidderId, null);
+  assert.strictEqual(state.auction.highestBid, 0);
+  assert.deepStrictEqual(state.auction.bidderIds, ['p0', 'p2']);
+});
@@ -0,0 +1,84 @@
+// bankruptcy.test.js - Debts, forced liquidation, bankruptcy and elimination
+const assert = require('assert');
+const { TURN_PHASES } = require('../../shared/rules-engine');
+const { performAction } = require('../game-actions');
+const { TILES, test, setup, dice, give, ofType } = require('./helpers');
+
+const { TAIPEI, BEIJING, LONDON, SEOUL } = TILES;
+
+// p0 has 150,000 and a one-building Beijing (worth 90,000 to the bank) and lands on p1's Seoul
+function landOnSeoul() {
+  const game = setup();
+  const p0 = game.engine.getPlayer(game.state, 'p0');
+  p0.money = 150000;
+  p0.position = LONDON;
+  give(game.state, 'p0', BEIJING, 1);
+  give(game.state, 'p1', SEOUL);
+  game.events = game.engine.applyDiceRoll(game.state, 'p0', dice(1, 2));
+  return game;
+}
+
+test('rent beyond the cash pauses play until the debtor sells enough', () => {
+  const { engine, state, events } = landOnSeoul();
+
+  assert.deepStrictEqual(ofType(events, 'debt_incurred').map(e => [e.creditorId, e.amount]), [['p1', 50000]]);
+  assert.strictEqual(state.turnPhase, TURN_PHASES.LIQUIDATE);
+  assert.strictEqual(engine.validateEndTurn(state, 'p0').reason, 'IN_LIQUIDATION');
+  assert.strictEqual(engine.validateSell(state, 'p0', BEIJING, 'property').reason, 'HAS_BUILDINGS');
+
+  const sold = performAction(engine, state, 'p0', 'sell_building', { tileId: BEIJING }).events;
+
+  assert.deepStrictEqual(ofType(sold, 'debt_paid').map(e => [e.amount, e.remaining]), [[50000, 0]]);
+  assert.deepStrictEqual(state.debts, []);
+  assert.strictEqual(state.turnPhase, TURN_PHASES.ACTION);
+  assert.strictEqual(engine.getPlayer(state, 'p1').money, 2200000);
+});
+
+test('a mortgage pays off the debt, and redeeming waits until it is settled', () => {
+  const { engine, state } = landOnSeoul();
+  give(state, 'p0', TAIPEI);
+
+  assert.strictEqual(engine.validateUnmortgage(state, 'p0', TAIPEI).reason, 'NOT_MORTGAGED');
+  const events = engine.mortgage(state, 'p0', TAIPEI);
+
+  assert.strictEqual(events[0].amount, 25000);
+  assert.strictEqual(engine.getDebtTotal(state, 'p0'), 25000);
+  assert.strictEqual(engine.validateUnmortgage(state, 'p0', TAIPEI).reason, 'IN_LIQUIDATION');
+});
+
+test('auto-liquidation sells buildings before bare tiles', () => {
+  const { engine, state } = landOnSeoul();
+
+  const events = engine.autoLiquidate(state, 'p0');
+
+  assert.deepStrictEqual(ofType(events, 'asset_sold').map(e => [e.kind, e.amount]), [['building', 50000]]);
+  assert.deepStrictEqual(engine.getPlayer(state, 'p0').properties, [BEIJING]);
+  assert.strictEqual(state.turnPhase, TURN_PHASES.ACTION);
+});
+
+test('a debtor whose assets cannot cover the debt goes bankrupt to the creditor', () => {
+  const { engine, state } = setup();
+  const p0 = engine.getPlayer(state, 'p0');
+  p0.money = 50000;
+  p0.position = LONDON;
+  give(state, 'p0', BEIJING);
+  give(state, 'p1', SEOUL);
+
+  const events = engine.applyDiceRoll(state, 'p0', dice(1, 2));
+
+  assert.deepStrictEqual(ofType(events, 'player_bankrupt'), [{ type: 'player_bankrupt', playerId: 'p0', creditorId: 'p1' }]);
+  assert.strictEqual(state.ownership[BEIJING].ownerId, 'p1');
+  assert.strictEqual(engine.getPlayer(state, 'p1').money, 2050000);
+  assert.deepStrictEqual(state.turnOrder, ['p1', 'p2']);
+  assert.strictEqual(state.currentPlayerId, 'p1');
+  assert.deepStrictEqual(state.debts, []);
+});
+
+test('removing the current player passes the turn on', () => {
+  const { engine, state } = setup();
+
+  engine.eliminatePlayer(state, 'p0');
+
+  assert.strictEqual(state.currentPlayerId, 'p1');
+  assert.strictEqual(state.turnPhase, TURN_PHASES.ROLL);
+});
@@ -0,0 +1,128 @@
+// golden-keys.test.js - Golden Key effects on the classic board, stacked on top of the draw pile
+const assert = require('assert');
+const { TURN_PHASES } = require('../../shared/rules-engine');
+const { TILES, test, setup, dice, give, stack, ofType } = require('./helpers');
+
+const { TAIPEI, BEIJING, CHANCE, ISTANBUL, ISLAND, WELFARE_RECEIVE } = TILES;
+
+test('a received Golden Key adds its amount', () => {
+  const { engine, state } = setup();
+  stack(state, 'lottery');
+
+  const events = engine.applyDiceRoll(state, 'p0', dice(3, 4));
+
+  assert.strictEqual(engine.getPlayer(state, 'p0').position, CHANCE);
+  assert.deepStrictEqual(ofType(events, 'cash_changed'), [{ type: 'cash_changed', playerId: 'p0', amount: 200000, reason: 'lottery' }]);
+  assert.strictEqual(engine.getPlayer(state, 'p0').money, 2200000);
+  assert.deepStrictEqual(state.goldenKeys.discardPile, ['lottery']);
+});
+
+test('a fine larger than the cash reports what was paid and records the rest as debt', () => {
+  const { engine, state } = setup();
+  const p0 = engine.getPlayer(state, 'p0');
+  p0.money = 20000;
+  give(state, 'p0', BEIJING);
+  stack(state, 'hospital');
+
+  const events = engine.applyDiceRoll(state, 'p0', dice(3, 4));
+
+  assert.deepStrictEqual(ofType(events, 'cash_changed'), [{ type: 'cash_changed', playerId: 'p0', amount: -20000, reason: 'hospital' }]);
+  assert.deepStrictEqual(state.debts, [{ debtorId: 'p0', creditorId: null, amount: 30000, reason: 'hospital' }]);
+  assert.strictEqual(state.turnPhase, TURN_PHASES.LIQUIDATE);
+  assert.strictEqual(state.resumePhase, TURN_PHASES.ACTION);
+});
+
+test('a birthday collects what each player can pay and leaves the rest owed to the drawer', () => {
+  const { engine, state } = setup();
+  engine.getPlayer(state, 'p1').money = 5000;
+  give(state, 'p1', BEIJING);
+  stack(state, 'birthday');
+
+  const events = engine.applyDiceRoll(state, 'p0', dice(3, 4));
+
+  assert.deepStrictEqual(ofType(events, 'cash_changed').map(e => [e.playerId, e.amount]), [
+    ['p1', -5000], ['p0', 5000], ['p2', -20000], ['p0', 20000]
+  ]);
+  assert.strictEqual(engine.getPlayer(state, 'p0').money, 2025000);
+  assert.deepStrictEqual(state.debts, [{ debtorId: 'p1', creditorId: 'p0', amount: 15000, reason: 'birthday' }]);
+});
+
+test('a donation goes to the welfare pot, which the next player on the receiving tile collects', () => {
+  const { engine, state } = setup();
+  stack(state, 'welfare_donation');
+  engine.applyDiceRoll(state, 'p0', dice(3, 4));
+  assert.strictEqual(state.pot, 100000);
+
+  engine.endTurn(state);
+  engine.getPlayer(state, 'p1').position = WELFARE_RECEIVE - 7;
+  const events = engine.applyDiceRoll(state, 'p1', dice(3, 4));
+
+  assert.deepStrictEqual(ofType(events, 'fund_received'), [{ type: 'fund_received', playerId: 'p1', amount: 100000 }]);
+  assert.strictEqual(state.pot, 0);
+});
+
+test('repairs charge for every building level owned', () => {
+  const { engine, state } = setup();
+  give(state, 'p0', TAIPEI, 2);
+  give(state, 'p0', BEIJING, 1);
+  stack(state, 'repairs');
+
+  const events = engine.applyDiceRoll(state, 'p0', dice(3, 4));
+
+  assert.deepStrictEqual(ofType(events, 'cash_changed'), [{ type: 'cash_changed', playerId: 'p0', amount: -90000, reason: 'repairs' }]);
+});
+
+test('advancing to Start pays the salary', () => {
+  const { engine, state } = setup();
+  stack(state, 'advance_start');
+
+  const events = engine.applyDiceRoll(state, 'p0', dice(3, 4));
+
+  assert.strictEqual(engine.getPlayer(state, 'p0').position, 0);
+  assert.strictEqual(ofType(events, 'salary').length, 1);
+  assert.strictEqual(engine.getPlayer(state, 'p0').money, 2200000);
+});
+
+test('a held rent exemption is spent instead of paying rent and goes back to the deck', () => {
+  const { engine, state } = setup();
+  give(state, 'p1', ISTANBUL);
+  stack(state, 'rent_exemption');
+  engine.applyDiceRoll(state, 'p0', dice(3, 4));
+  assert.deepStrictEqual(engine.getPlayer(state, 'p0').heldCards, ['rent_exemption']);
+
+  state.turnPhase = TURN_PHASES.ROLL;
+  const events = engine.applyDiceRoll(state, 'p0', dice(1, 1));
+
+  assert.strictEqual(engine.getPlayer(state, 'p0').position, ISTANBUL);
+  assert.strictEqual(ofType(events, 'card_used').length, 1);
+  assert.strictEqual(ofType(events, 'rent_paid').length, 0);
+  assert.strictEqual(engine.getPlayer(state, 'p0').money, 2000000);
+  assert.ok(state.goldenKeys.discardPile.includes('rent_exemption'));
+});
+
+test('an island escape card keeps the player free when sent to the island', () => {
+  const { engine, state } = setup();
+  engine.getPlayer(state, 'p0').heldCards.push('island_escape');
+  stack(state, 'go_to_island');
+
+  const events = engine.applyDiceRoll(state, 'p0', dice(3, 4));
+  const p0 = engine.getPlayer(state, 'p0');
+
+  assert.strictEqual(p0.position, ISLAND);
+  assert.strictEqual(p0.inJail, false);
+  assert.deepStrictEqual(ofType(events, 'sent_to_island').map(e => e.turns), [0]);
+  assert.deepStrictEqual(p0.heldCards, []);
+});
+
+test('an empty draw pile is refilled by shuffling the discards', () => {
+  const { engine, state } = setup();
+  state.goldenKeys.discardPile = state.goldenKeys.drawPile.concat(state.goldenKeys.discardPile);
+  state.goldenKeys.drawPile = [];
+
+  engine.applyDiceRoll(state, 'p0', dice(3, 4));
+  const deck = state.goldenKeys;
+
+  assert.strictEqual(deck.drawPile.length + deck.discardPile.length + engine.getPlayer(state, 'p0').heldCards.length,
+    engine.getPlayableCards().length);
+  assert.ok(deck.discardPile.length <= 1);
+});
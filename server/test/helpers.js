@@ -0,0 +1,72 @@
+// helpers.js - Test registration and classic-board fixtures shared by the *.test.js files
+const fs = require('fs');
+const path = require('path');
+const { loadBoard } = require('../../shared/board');
+const { RulesEngine } = require('../../shared/rules-engine');
+const { SeededRandom } = require('../../shared/seeded-random');
+
+const SEED = '0123456789abcdef0123456789abcdef';
+const board = loadBoard(JSON.parse(fs.readFileSync(path.join(__dirname, '../../shared/boards/classic.json'), 'utf8')));
+
+// Tiles of the classic board used by the tests
+const TILES = {
+  TAIPEI: 1,
+  BEIJING: 3,
+  MANILA: 4,
+  JEJU: 5,
+  CHANCE: 7,
+  ISTANBUL: 9,
+  ISLAND: 10,
+  CONCORDE: 15,
+  BUSAN: 25,
+  WELFARE_RECEIVE: 28,
+  COLUMBIA: 35,
+  LONDON: 36,
+  SEOUL: 39
+};
+
+// name -> fn, filled by test() as run.js loads each file; fn may return a promise
+const tests = [];
+function test(name, fn) {
+  tests.push({ name: name, fn: fn });
+}
+
+// Returns { engine, state } for a fresh game between playerIds, p0 to move.
+// Dice are passed in and Golden Keys stacked, so outcomes never depend on the seed.
+function setup({ rules = {}, victory, houseRules, playerIds = ['p0', 'p1', 'p2'] } = {}) {
+  const engine = new RulesEngine(board, rules, { random: new SeededRandom(SEED).next });
+  const resolved = engine.resolveRules({ victory: victory, houseRules: houseRules });
+  const state = engine.createInitialState(playerIds, resolved.rules.victory, resolved.rules.houseRules);
+  return { engine, state };
+}
+
+function dice(dice1, dice2) {
+  return { dice: [dice1, dice2], total: dice1 + dice2, isDouble: dice1 === dice2 };
+}
+
+function give(state, playerId, tileId, buildingLevel = 0) {
+  state.players.find(p => p.id === playerId).properties.push(tileId);
+  state.ownership[tileId] = { ownerId: playerId, buildingLevel: buildingLevel, mortgaged: false };
+}
+
+// Puts the card on top of the Golden Key draw pile
+function stack(state, cardId) {
+  state.goldenKeys.drawPile = [cardId].concat(state.goldenKeys.drawPile.filter(id => id !== cardId));
+}
+
+function ofType(events, type) {
+  return events.filter(event => event.type === type);
+}
+
+// Runs fn with console.log and console.error silenced, for code that reports to the server log
+function quietly(fn) {
+  const { log, error } = console;
+  console.log = console.error = () => {};
+  try {
+    return fn();
+  } finally {
+    Object.assign(console, { log, error });
+  }
+}
+
+module.exports = { SEED, board, TILES, tests, test, setup, dice, give, stack, ofType, quietly };
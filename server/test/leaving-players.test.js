@@ -0,0 +1,43 @@
+// leaving-players.test.js - Players leaving or going AFK mid-game, and games left to bots
+const assert = require('assert');
+const { TILES, test, setup, give } = require('./helpers');
+
+const { TAIPEI, BEIJING } = TILES;
+
+test('a leaver\'s tiles and held cards go back to the bank and deck', () => {
+  const { engine, state } = setup();
+  give(state, 'p1', TAIPEI, 2);
+  give(state, 'p1', BEIJING);
+  engine.getPlayer(state, 'p1').heldCards.push('island_escape');
+
+  const events = engine.eliminatePlayer(state, 'p1');
+
+  assert.deepStrictEqual(events, [{ type: 'properties_released', playerId: 'p1', tileIds: [TAIPEI, BEIJING] }]);
+  assert.strictEqual(state.ownership[TAIPEI], undefined);
+  assert.strictEqual(state.ownership[BEIJING], undefined);
+  assert.ok(state.goldenKeys.discardPile.includes('island_escape'));
+  assert.deepStrictEqual(state.eliminationOrder, ['p1']);
+});
+
+test('a removed player can no longer mortgage, redeem or trade', () => {
+  const { engine, state } = setup();
+  give(state, 'p1', TAIPEI);
+  engine.eliminatePlayer(state, 'p1');
+  give(state, 'p1', BEIJING);
+
+  assert.strictEqual(engine.validateMortgage(state, 'p1', BEIJING).reason, 'INVALID_PLAYER');
+  assert.strictEqual(engine.validateUnmortgage(state, 'p1', BEIJING).reason, 'INVALID_PLAYER');
+  const side = engine.normalizeTradeSide({ cash: 1000 });
+  assert.ok(engine.validateTradeProposal(state, 'p1', 'p0', side, side));
+  assert.ok(engine.validateTradeProposal(state, 'p0', 'p1', side, side));
+});
+
+test('ending on standings picks the richest remaining player once', () => {
+  const { engine, state } = setup();
+  engine.getPlayer(state, 'p2').money = 2500000;
+
+  const events = engine.endOnStandings(state, 'no_humans');
+
+  assert.deepStrictEqual(events.map(e => [e.type, e.winnerId, e.reason]), [['game_over', 'p2', 'no_humans']]);
+  assert.deepStrictEqual(engine.endOnStandings(state, 'no_humans'), []);
+});
@@ -0,0 +1,83 @@
+// mortgages.test.js - Bank loans against tiles: rent, colour sets, building and sale while mortgaged
+const assert = require('assert');
+const { performAction } = require('../game-actions');
+const { TILES, test, setup, dice, give, ofType } = require('./helpers');
+
+const { TAIPEI, BEIJING, MANILA, ISTANBUL } = TILES;
+
+// p1 owns the whole brown set (Taipei, Beijing, Manila)
+function brownSet() {
+  const game = setup();
+  [TAIPEI, BEIJING, MANILA].forEach(tileId => give(game.state, 'p1', tileId));
+  return game;
+}
+
+test('a mortgage lends part of the price and redeeming costs the loan plus interest', () => {
+  const { engine, state } = setup();
+  give(state, 'p0', ISTANBUL);
+  const p0 = engine.getPlayer(state, 'p0');
+  const netWorth = engine.getNetWorth(state, p0);
+
+  assert.strictEqual(performAction(engine, state, 'p0', 'mortgage', { tileId: ISTANBUL }).amount, 60000);
+  assert.strictEqual(engine.validateMortgage(state, 'p0', ISTANBUL).reason, 'ALREADY_MORTGAGED');
+  assert.strictEqual(engine.getNetWorth(state, p0), netWorth);
+
+  assert.strictEqual(performAction(engine, state, 'p0', 'unmortgage', { tileId: ISTANBUL }).amount, 66000);
+  assert.strictEqual(p0.money, 1994000);
+});
+
+test('built-on tiles cannot be mortgaged and mortgaged tiles cannot be built on', () => {
+  const { engine, state } = setup();
+  give(state, 'p0', TAIPEI, 1);
+  give(state, 'p0', BEIJING);
+  state.ownership[BEIJING].mortgaged = true;
+  engine.applyDiceRoll(state, 'p0', dice(1, 2));
+
+  assert.strictEqual(engine.validateMortgage(state, 'p0', TAIPEI).reason, 'HAS_BUILDINGS');
+  assert.strictEqual(engine.validateBuild(state, 'p0', BEIJING).reason, 'MORTGAGED');
+});
+
+test('a mortgaged tile collects no rent', () => {
+  const { engine, state } = setup();
+  give(state, 'p1', BEIJING);
+  state.ownership[BEIJING].mortgaged = true;
+
+  const events = engine.applyDiceRoll(state, 'p0', dice(1, 2));
+
+  assert.deepStrictEqual(ofType(events, 'rent_paid'), []);
+});
+
+test('a set with a mortgaged city earns no set rent bonus', () => {
+  const { engine, state } = brownSet();
+  assert.strictEqual(ofType(engine.applyDiceRoll(state, 'p0', dice(1, 2)), 'rent_paid')[0].amount, 8000);
+
+  state.ownership[TAIPEI].mortgaged = true;
+  state.turnPhase = 'ROLL';
+  engine.getPlayer(state, 'p0').position = 0;
+  const events = engine.applyDiceRoll(state, 'p0', dice(1, 2));
+
+  assert.strictEqual(ofType(events, 'rent_paid')[0].amount, 4000);
+  assert.strictEqual(engine.ownsSet(state, 'p1', 'brown'), true);
+});
+
+test('a set with a mortgaged city does not lift the building cap', () => {
+  const { engine, state } = setup({ playerIds: ['p1', 'p0'] });
+  [TAIPEI, BEIJING, MANILA].forEach(tileId => give(state, 'p1', tileId));
+  state.ownership[BEIJING].buildingLevel = 2;
+  engine.applyDiceRoll(state, 'p1', dice(1, 2));
+  assert.strictEqual(engine.validateBuild(state, 'p1', BEIJING), null);
+
+  state.ownership[MANILA].mortgaged = true;
+
+  assert.strictEqual(engine.validateBuild(state, 'p1', BEIJING).reason, 'SET_INCOMPLETE');
+});
+
+test('selling a mortgaged tile repays the loan from the proceeds', () => {
+  const { engine, state } = setup();
+  give(state, 'p0', ISTANBUL);
+  state.ownership[ISTANBUL].mortgaged = true;
+
+  assert.strictEqual(engine.getPropertySaleValue(state, ISTANBUL), 0);
+  state.ownership[ISTANBUL].mortgaged = false;
+  assert.strictEqual(engine.getPropertySaleValue(state, ISTANBUL), 60000);
+});
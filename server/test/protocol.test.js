@@ -0,0 +1,63 @@
+// protocol.test.js - Message schema validation with structured error codes
+const assert = require('assert');
+const { CLIENT_MESSAGES, SERVER_MESSAGES, ERROR_CODES, MAX_CHAT_LENGTH, validateMessage } = require('../../shared/protocol');
+const { test } = require('./helpers');
+
+function validate(message) {
+  return validateMessage(CLIENT_MESSAGES, message);
+}
+
+test('well-formed client messages pass, with or without a payload', () => {
+  assert.strictEqual(validate({ type: 'roll_dice' }), null);
+  assert.strictEqual(validate({ type: 'roll_dice', payload: null, requestId: 7 }), null);
+  assert.strictEqual(validate({ type: 'create_room', payload: { playerName: 'A', maxPlayers: 4, visibility: 'private', password: 'pw' } }), null);
+  assert.strictEqual(validate({ type: 'propose_trade', payload: { toId: 'p1', offer: { tiles: [1, 3], cash: 0 }, request: { cash: 5000 } } }), null);
+});
+
+test('a message that is not an object with a string type is INVALID_MESSAGE', () => {
+  [null, [], 'roll_dice', {}, { type: 3 }].forEach(message => {
+    assert.strictEqual(validate(message).code, 'INVALID_MESSAGE');
+  });
+  assert.strictEqual(validate({ type: 'roll_dice', requestId: 'x'.repeat(65) }).code, 'INVALID_MESSAGE');
+  assert.strictEqual(validate({ type: 'roll_dice', requestId: 1.5 }).code, 'INVALID_MESSAGE');
+});
+
+test('types outside the table are UNKNOWN_MESSAGE_TYPE, inherited names included', () => {
+  assert.strictEqual(validate({ type: 'teleport' }).code, 'UNKNOWN_MESSAGE_TYPE');
+  assert.strictEqual(validate({ type: 'toString' }).code, 'UNKNOWN_MESSAGE_TYPE');
+  assert.strictEqual(validate({ type: 'game_over' }).code, 'UNKNOWN_MESSAGE_TYPE');
+});
+
+test('payload problems are INVALID_PAYLOAD naming the field', () => {
+  const cases = [
+    [{ type: 'roll_dice', payload: [] }, 'payload must be an object'],
+    [{ type: 'buy_property', payload: {} }, 'tileId is required'],
+    [{ type: 'buy_property', payload: { tileId: 1.5 } }, 'tileId must be an integer of at least 0'],
+    [{ type: 'buy_property', payload: { tileId: 1, price: 0 } }, 'price is not a known field'],
+    [{ type: 'create_room', payload: { playerName: 'A', maxPlayers: 9 } }, 'maxPlayers must be an integer between 2 and 4'],
+    [{ type: 'create_room', payload: { playerName: 'A', visibility: 'hidden' } }, 'visibility must be one of public, private'],
+    [{ type: 'join_room', payload: { roomId: 'R', playerName: '' } }, 'playerName must be a string of 1-20 characters'],
+    [{ type: 'chat', payload: { message: 'x'.repeat(MAX_CHAT_LENGTH + 1) } }, `message must be a string of 1-${MAX_CHAT_LENGTH} characters`],
+    [{ type: 'bid', payload: { amount: null } }, 'amount must not be null']
+  ];
+  cases.forEach(([message, problem]) => {
+    assert.deepStrictEqual(validate(message), { code: 'INVALID_PAYLOAD', message: problem });
+  });
+});
+
+test('nested trade sides are checked field by field', () => {
+  const trade = (offer) => validate({ type: 'propose_trade', payload: { toId: 'p1', offer: offer, request: {} } });
+
+  assert.strictEqual(trade({ tiles: [1, 'x'] }).message, 'offer.tiles[1] must be an integer of at least 0');
+  assert.strictEqual(trade({ cash: -1 }).message, 'offer.cash must be an integer of at least 0');
+  assert.strictEqual(trade({ gift: true }).message, 'offer.gift is not a known field');
+});
+
+test('server messages validate against their own table', () => {
+  const rejected = { type: 'action_rejected', payload: { action: 'roll_dice', reason: 'NOT_YOUR_TURN', message: 'Not your turn' } };
+
+  assert.strictEqual(validateMessage(SERVER_MESSAGES, rejected), null);
+  assert.strictEqual(validate(rejected).code, 'UNKNOWN_MESSAGE_TYPE');
+  assert.strictEqual(validateMessage(SERVER_MESSAGES, { type: 'error', payload: { code: 'ROOM_FULL', message: 'Room is full' } }), null);
+  assert.ok(ERROR_CODES.includes('ROOM_FULL') && !ERROR_CODES.includes('NOT_YOUR_TURN'));
+});
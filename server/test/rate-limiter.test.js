@@ -0,0 +1,55 @@
+// rate-limiter.test.js - Per-connection token buckets, driven with explicit timestamps
+const assert = require('assert');
+const { RATE_LIMITS, TokenBucket, RateLimiter } = require('../rate-limiter');
+const { test } = require('./helpers');
+
+test('a bucket passes a burst up to its capacity, then refills over time', () => {
+  const bucket = new TokenBucket(3, 2, 0);
+
+  assert.deepStrictEqual([0, 0, 0, 0].map(now => bucket.take(now)), [true, true, true, false]);
+  assert.strictEqual(bucket.retryAfter(0), 1);
+  assert.strictEqual(bucket.take(499), false);
+  assert.strictEqual(bucket.take(500), true);
+  assert.strictEqual(bucket.take(10000) && bucket.take(10000) && bucket.take(10000), true);
+  assert.strictEqual(bucket.take(10000), false);
+});
+
+test('a token given back can be taken again, but never beyond the capacity', () => {
+  const bucket = new TokenBucket(2, 1, 0);
+
+  assert.strictEqual(bucket.take(0) && bucket.take(0), true);
+  bucket.giveBack(0);
+  assert.strictEqual(bucket.take(0), true);
+  assert.strictEqual(bucket.take(0), false);
+  bucket.giveBack(10000);
+  assert.strictEqual(bucket.tokens, 2);
+});
+
+test('each message type draws from its own bucket, unlisted types from the default one', () => {
+  const limiter = new RateLimiter({ chat: [1, 1], default: [2, 1] });
+
+  assert.strictEqual(limiter.check('chat', 0), 0);
+  assert.strictEqual(limiter.check('chat', 0), 1);
+  assert.strictEqual(limiter.check('build', 0), 0);
+  assert.strictEqual(limiter.check('buy_property', 0), 0);
+  assert.strictEqual(limiter.check('mortgage', 0), 1);
+  assert.strictEqual(limiter.check('roll_dice', 0), 0);
+  assert.strictEqual(limiter.check('chat', 1000), 0);
+});
+
+test('overrides keep the remaining default limits', () => {
+  const limiter = new RateLimiter({ chat: [1, 1] });
+
+  assert.deepStrictEqual(limiter.limits.create_room, RATE_LIMITS.create_room);
+  assert.strictEqual(limiter.check('hasOwnProperty', 0), 0);
+  assert.ok(limiter.buckets.has('default'));
+});
+
+test('slow buckets report whole seconds to wait', () => {
+  const limiter = new RateLimiter();
+  const [capacity] = RATE_LIMITS.create_room;
+  for (let i = 0; i < capacity; i++) limiter.check('create_room', 0);
+
+  assert.strictEqual(limiter.check('create_room', 0), 10);
+  assert.strictEqual(limiter.check('create_room', 5000), 5);
+});
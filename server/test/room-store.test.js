@@ -0,0 +1,96 @@
+// room-store.test.js - Room snapshots, the append-only room log and the game archive
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GameServer = require('../websocket-server');
+const { JsonFileStore, createStore } = require('../room-store');
+const { test, quietly } = require('./helpers');
+
+const dirs = [];
+process.on('exit', () => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempStore() {
+  dirs.push(fs.mkdtempSync(path.join(os.tmpdir(), 'blue-marble-store-')));
+  return new JsonFileStore(dirs[dirs.length - 1]);
+}
+
+test('a saved snapshot loads back with its room log attached', () => {
+  const store = tempStore();
+  store.saveRoom('ROOM1', { id: 'ROOM1', hostId: 'p0' });
+  store.appendRoomLog('ROOM1', { replay: 0, random: 0 }, { replay: [{ type: 'a' }], random: [{ index: 0 }, { index: 1 }] });
+  store.appendRoomLog('ROOM1', { replay: 1, random: 2 }, { replay: [{ type: 'b' }], random: [] });
+
+  assert.deepStrictEqual(store.loadRooms(), [{
+    id: 'ROOM1',
+    hostId: 'p0',
+    log: { replay: [{ type: 'a' }, { type: 'b' }], random: [{ index: 0 }, { index: 1 }] }
+  }]);
+});
+
+test('writing a log index again replaces the entry, and a torn line is skipped', () => {
+  const store = tempStore();
+  store.appendRoomLog('ROOM1', { replay: 0, random: 0 }, { replay: [{ type: 'old' }, { type: 'kept' }], random: [] });
+  store.appendRoomLog('ROOM1', { replay: 0, random: 0 }, { replay: [{ type: 'new' }], random: [] });
+  fs.appendFileSync(store.logFile('ROOM1'), '\n{"kind":"replay","ind');
+
+  assert.deepStrictEqual(quietly(() => store.readRoomLog('ROOM1')).replay, [{ type: 'new' }, { type: 'kept' }]);
+});
+
+test('deleting a room removes its snapshot and log', () => {
+  const store = tempStore();
+  store.saveRoom('ROOM1', { id: 'ROOM1' });
+  store.appendRoomLog('ROOM1', { replay: 0, random: 0 }, { replay: [{}], random: [] });
+
+  store.deleteRoom('ROOM1');
+
+  assert.deepStrictEqual(store.loadRooms(), []);
+  assert.strictEqual(fs.existsSync(store.logFile('ROOM1')), false);
+});
+
+test('archived games are listed newest first as summaries', () => {
+  const store = tempStore();
+  store.archiveGame({ id: 'ROOM1-1', roomId: 'ROOM1', finishedAt: 1, winnerId: 'p0', reason: 'last_standing', players: [], seed: 'x', listed: true });
+  store.archiveGame({ id: 'ROOM2-2', roomId: 'ROOM2', finishedAt: 2, winnerId: 'p1', reason: 'monopoly', players: [], seed: 'y' });
+
+  // ROOM2's record predates the listed flag, so it counts as unlisted
+  assert.deepStrictEqual(store.listArchivedGames().map(game => [game.id, game.seed, game.listed]), [['ROOM2-2', undefined, false], ['ROOM1-1', undefined, true]]);
+  assert.strictEqual(store.getArchivedGame('ROOM1-1').seed, 'x');
+  assert.strictEqual(store.getArchivedGame('missing'), null);
+  store.saveRoom('ROOM3', { id: 'ROOM3' });
+  assert.strictEqual(store.getArchivedGame('../rooms/ROOM3'), null);
+});
+
+test('createStore picks the store kind', () => {
+  assert.strictEqual(createStore('none'), null);
+  assert.throws(() => createStore('redis'), /Unknown store/);
+});
+
+test('a restarted server resumes a saved game where it left off', () => {
+  const store = tempStore();
+  const untimed = { rollSeconds: 0, actionSeconds: 0, liquidateSeconds: 0 };
+  const first = new GameServer(0, { store: store });
+  const room = first.createRoom('ROOM1', 'p0', 4, { ...first.engine.resolveRules(untimed).rules }, first.createRandom());
+  ['p0', 'p1'].forEach(id => room.players.set(id, first.createPlayer('ROOM1', id, id.toUpperCase(), null)));
+  first.rooms.set('ROOM1', room);
+  room.isStarted = true;
+  room.gameState = first.initializeGameState(room);
+  room.replay = { startedAt: 1, players: [], events: [] };
+  first.broadcastToRoom('ROOM1', { type: 'chat_message', payload: { playerName: 'P0', message: 'hi' } });
+  room.engine.applyDiceRoll(room.gameState, 'p0', room.engine.rollDice());
+  first.saveRoom('ROOM1');
+  first.wss.close();
+
+  const second = quietly(() => new GameServer(0, { store: store, reconnectGraceSeconds: 60 }));
+  const restored = second.rooms.get('ROOM1');
+  restored.players.forEach(player => clearTimeout(player.disconnectTimer));
+  second.wss.close();
+
+  assert.deepStrictEqual(restored.gameState, room.gameState);
+  assert.deepStrictEqual(restored.random.log, room.random.log);
+  assert.strictEqual(restored.random.next(), room.random.next());
+  // Held seats are announced as disconnected after the saved events
+  assert.deepStrictEqual(restored.replay.events.slice(0, 1), room.replay.events);
+  assert.strictEqual(room.replay.events[0][1], 'chat_message');
+  assert.deepStrictEqual(Array.from(restored.players.keys()), ['p0', 'p1']);
+});
@@ -0,0 +1,25 @@
+// run.js - Runs every *.test.js in this directory (npm test); exits non-zero if any test fails
+const fs = require('fs');
+const path = require('path');
+const { tests } = require('./helpers');
+
+fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.test.js'))
+  .sort()
+  .forEach(file => require(path.join(__dirname, file)));
+
+(async () => {
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`ok - ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`not ok - ${name}`);
+      console.log(error.stack.split('\n').map(line => `  ${line}`).join('\n'));
+    }
+  }
+  console.log(`${tests.length - failed}/${tests.length} passed`);
+  process.exitCode = failed ? 1 : 0;
+})();
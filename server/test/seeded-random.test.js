@@ -0,0 +1,58 @@
+// seeded-random.test.js - The room RNG: reproducible draws, the draw log and its verification
+const assert = require('assert');
+const { RulesEngine } = require('../../shared/rules-engine');
+const { SeededRandom, verifyRandomLog } = require('../../shared/seeded-random');
+const { SEED, board, test } = require('./helpers');
+
+function draws(random, count) {
+  return Array.from({ length: count }, () => random.next('dice'));
+}
+
+test('the same seed gives the same draws and another seed different ones', () => {
+  const first = draws(new SeededRandom(SEED), 20);
+
+  assert.deepStrictEqual(draws(new SeededRandom(SEED), 20), first);
+  assert.notDeepStrictEqual(draws(new SeededRandom('0123456789abcdef0123456789abcdee'), 20), first);
+  assert.ok(first.every(value => value >= 0 && value < 1));
+});
+
+test('seeds must be 32 lowercase hex characters', () => {
+  ['', 'xyz', SEED.toUpperCase(), SEED + '0'].forEach(seed => {
+    assert.throws(() => new SeededRandom(seed), /Seed must be/);
+  });
+});
+
+test('every draw is logged with its purpose and verifies against the seed', () => {
+  const random = new SeededRandom(SEED);
+  const engine = new RulesEngine(board, {}, { random: random.next });
+  engine.createInitialState(['p0', 'p1']);
+  engine.rollDice();
+
+  const purposes = random.log.map(entry => entry.purpose);
+  assert.deepStrictEqual(purposes.slice(-2), ['dice', 'dice']);
+  assert.ok(purposes.slice(0, -2).every(purpose => purpose === 'shuffle'));
+  assert.deepStrictEqual(random.log.map(entry => entry.index), random.log.map((entry, index) => index));
+  assert.deepStrictEqual(verifyRandomLog(SEED, random.log), { valid: true });
+});
+
+test('a tampered or reordered log fails verification at the first bad entry', () => {
+  const random = new SeededRandom(SEED);
+  draws(random, 5);
+
+  const tampered = random.log.map(entry => ({ ...entry }));
+  tampered[3].value ^= 1;
+  assert.deepStrictEqual(verifyRandomLog(SEED, tampered), { valid: false, index: 3 });
+
+  const reordered = [random.log[1], random.log[0]].concat(random.log.slice(2));
+  assert.deepStrictEqual(verifyRandomLog(SEED, reordered), { valid: false, index: 0 });
+  assert.strictEqual(verifyRandomLog('not a seed', random.log).valid, false);
+});
+
+test('a generator restored from toJSON() continues the same sequence', () => {
+  const random = new SeededRandom(SEED);
+  draws(random, 7);
+  const restored = SeededRandom.fromJSON(JSON.parse(JSON.stringify(random)));
+
+  assert.deepStrictEqual(draws(restored, 5), draws(random, 5));
+  assert.deepStrictEqual(restored.log, random.log);
+});
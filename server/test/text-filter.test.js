@@ -0,0 +1,48 @@
+// text-filter.test.js - Nickname and chat cleaning and the banned-word list
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TextFilter, loadBannedWords } = require('../text-filter');
+const { test } = require('./helpers');
+
+test('cleaning strips control and bidi characters and collapses whitespace', () => {
+  const filter = new TextFilter();
+
+  assert.strictEqual(filter.clean(' Al\u0000i\u202ece\n\t Bob ', 20), 'Alice Bob');
+  assert.strictEqual(filter.clean('a\u200bb', 20), 'ab');
+  assert.strictEqual(filter.clean('   ', 20), '');
+});
+
+test('cleaning trims to the length limit without leaving trailing space', () => {
+  const filter = new TextFilter();
+
+  assert.strictEqual(filter.clean('abcd efgh', 5), 'abcd');
+  assert.strictEqual(filter.clean('가', 5), '가');
+});
+
+test('banned words are found regardless of case and spacing', () => {
+  const filter = new TextFilter(['BadWord', '바 보', '  ']);
+
+  assert.deepStrictEqual(filter.bannedWords, ['badword', '바보']);
+  assert.strictEqual(filter.findBannedWord('you b a d w o r d'), 'badword');
+  assert.strictEqual(filter.findBannedWord('이 바보야'), '바보');
+  assert.strictEqual(filter.findBannedWord('hello friend'), null);
+});
+
+test('masking hides whole banned words and leaves the rest', () => {
+  const filter = new TextFilter(['badword', '바보', 'a.b']);
+
+  assert.strictEqual(filter.mask('hello BADWORD and 바보 friend'), 'hello ******* and ** friend');
+  assert.strictEqual(filter.mask('axb a.b'), 'axb ***');
+});
+
+test('banned word files skip blank lines and comments', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'blue-marble-words-')), 'banned.txt');
+  fs.writeFileSync(file, '# comment\r\nfoo\n\n  bar  \n');
+  try {
+    assert.deepStrictEqual(loadBannedWords(file), ['foo', 'bar']);
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,106 @@
+// trades.test.js - Player-to-player trades through performAction(), as the server applies them
+const assert = require('assert');
+const { TURN_PHASES } = require('../../shared/rules-engine');
+const { performAction } = require('../game-actions');
+const { TILES, test, setup, give, ofType } = require('./helpers');
+
+const { TAIPEI, BEIJING, MANILA, SEOUL } = TILES;
+
+function propose(engine, state, fromId, toId, offer, request) {
+  return performAction(engine, state, fromId, 'propose_trade', { toId: toId, offer: offer, request: request });
+}
+
+test('an accepted trade swaps tiles and cash in one step', () => {
+  const { engine, state } = setup();
+  give(state, 'p0', TAIPEI);
+  give(state, 'p1', BEIJING);
+  const { trade } = propose(engine, state, 'p0', 'p1', { tiles: [TAIPEI], cash: 50000 }, { tiles: [BEIJING] });
+
+  const events = performAction(engine, state, 'p1', 'accept_trade', { tradeId: trade.id }).events;
+
+  assert.deepStrictEqual(ofType(events, 'trade_completed').map(e => [e.fromId, e.toId]), [['p0', 'p1']]);
+  assert.strictEqual(state.ownership[TAIPEI].ownerId, 'p1');
+  assert.strictEqual(state.ownership[BEIJING].ownerId, 'p0');
+  assert.strictEqual(engine.getPlayer(state, 'p0').money, 1950000);
+  assert.strictEqual(engine.getPlayer(state, 'p1').money, 2050000);
+  assert.deepStrictEqual(state.trades, []);
+});
+
+test('trades must exchange something the players actually hold', () => {
+  const { engine, state } = setup();
+  give(state, 'p0', TAIPEI, 1);
+
+  assert.strictEqual(propose(engine, state, 'p0', 'p1', {}, {}).rejection.reason, 'INVALID_TRADE');
+  assert.strictEqual(propose(engine, state, 'p0', 'p0', { cash: 1 }, {}).rejection.reason, 'INVALID_PLAYER');
+  assert.strictEqual(propose(engine, state, 'p0', 'p1', { tiles: [BEIJING] }, {}).rejection.reason, 'NOT_OWNER');
+  assert.strictEqual(propose(engine, state, 'p0', 'p1', { tiles: [TAIPEI] }, {}).rejection.reason, 'HAS_BUILDINGS');
+  assert.strictEqual(propose(engine, state, 'p0', 'p1', {}, { cash: 3000000 }).rejection.reason, 'INSUFFICIENT_FUNDS');
+  assert.strictEqual(propose(engine, state, 'p0', 'p1', { cash: -5 }, {}).rejection.reason, 'INVALID_TRADE');
+});
+
+test('only the recipient answers a trade, and the proposer may withdraw it', () => {
+  const { engine, state } = setup();
+  const { trade } = propose(engine, state, 'p0', 'p1', { cash: 1000 }, {});
+
+  assert.strictEqual(performAction(engine, state, 'p2', 'accept_trade', { tradeId: trade.id }).rejection.reason, 'NOT_TRADE_RECIPIENT');
+  assert.strictEqual(performAction(engine, state, 'p0', 'accept_trade', { tradeId: trade.id }).rejection.reason, 'NOT_TRADE_RECIPIENT');
+  assert.strictEqual(performAction(engine, state, 'p0', 'reject_trade', { tradeId: trade.id }).rejection, undefined);
+  assert.strictEqual(performAction(engine, state, 'p1', 'accept_trade', { tradeId: trade.id }).rejection.reason, 'TRADE_NOT_FOUND');
+});
+
+test('a counter-offer replaces the trade and goes back to the proposer', () => {
+  const { engine, state } = setup();
+  give(state, 'p1', BEIJING);
+  const { trade } = propose(engine, state, 'p0', 'p1', { cash: 50000 }, { tiles: [BEIJING] });
+
+  const countered = performAction(engine, state, 'p1', 'counter_trade', { tradeId: trade.id, offer: { tiles: [BEIJING] }, request: { cash: 90000 } });
+
+  assert.strictEqual(countered.replacesId, trade.id);
+  assert.deepStrictEqual([countered.trade.fromId, countered.trade.toId], ['p1', 'p0']);
+  assert.deepStrictEqual(state.trades.map(t => t.id), [countered.trade.id]);
+});
+
+test('a trade whose side went stale is dropped on acceptance', () => {
+  const { engine, state } = setup();
+  give(state, 'p0', TAIPEI);
+  const { trade } = propose(engine, state, 'p0', 'p1', { tiles: [TAIPEI] }, { cash: 30000 });
+  engine.sellProperty(state, 'p0', TAIPEI);
+
+  const result = performAction(engine, state, 'p1', 'accept_trade', { tradeId: trade.id });
+
+  assert.strictEqual(result.rejection.reason, 'NOT_OWNER');
+  assert.strictEqual(result.droppedTradeId, trade.id);
+  assert.deepStrictEqual(state.trades, []);
+});
+
+test('a debtor can neither trade their assets away nor accept a trade', () => {
+  const { engine, state } = setup();
+  const p0 = engine.getPlayer(state, 'p0');
+  give(state, 'p0', BEIJING);
+  give(state, 'p2', SEOUL);
+  const { trade } = propose(engine, state, 'p1', 'p0', { cash: 10000 }, { tiles: [BEIJING] });
+  const gift = propose(engine, state, 'p0', 'p1', { tiles: [BEIJING] }, {}).trade;
+
+  p0.money = 0;
+  engine.charge(state, p0, 30000, 'p2', 'rent', []);
+  engine.checkSolvency(state, []);
+  assert.strictEqual(state.turnPhase, TURN_PHASES.LIQUIDATE);
+
+  assert.strictEqual(propose(engine, state, 'p0', 'p1', { tiles: [BEIJING], cash: 0 }, {}).rejection.reason, 'IN_LIQUIDATION');
+  assert.strictEqual(propose(engine, state, 'p1', 'p0', {}, { tiles: [BEIJING] }).rejection.reason, 'IN_LIQUIDATION');
+  assert.strictEqual(performAction(engine, state, 'p0', 'accept_trade', { tradeId: trade.id }).rejection.reason, 'IN_LIQUIDATION');
+  assert.strictEqual(performAction(engine, state, 'p1', 'accept_trade', { tradeId: gift.id }).rejection.reason, 'IN_LIQUIDATION');
+  assert.strictEqual(state.ownership[BEIJING].ownerId, 'p0');
+});
+
+test('a trade that completes the required colour sets wins the game', () => {
+  const { engine, state } = setup({ victory: { monopolyWin: true, monopolySets: 1 } });
+  give(state, 'p0', TAIPEI);
+  give(state, 'p0', BEIJING);
+  give(state, 'p1', MANILA);
+  const { trade } = propose(engine, state, 'p0', 'p1', { cash: 100000 }, { tiles: [MANILA] });
+
+  const events = performAction(engine, state, 'p1', 'accept_trade', { tradeId: trade.id }).events;
+
+  assert.deepStrictEqual(ofType(events, 'game_over').map(e => [e.winnerId, e.reason]), [['p0', 'monopoly']]);
+});
@@ -0,0 +1,58 @@
+// transport.test.js - Transport tile rent and transport travel
+const assert = require('assert');
+const { performAction } = require('../game-actions');
+const { TILES, test, setup, dice, give, ofType } = require('./helpers');
+
+const { JEJU, CONCORDE, BUSAN, COLUMBIA } = TILES;
+
+// p0 rolls from Start onto Jeju Island
+function landOnJeju(engine, state) {
+  return ofType(engine.applyDiceRoll(state, 'p0', dice(2, 3)), 'rent_paid');
+}
+
+test('transport rent doubles with each further transport tile the owner holds', () => {
+  const { engine, state } = setup();
+  give(state, 'p1', JEJU);
+  assert.strictEqual(landOnJeju(engine, state)[0].amount, 25000);
+
+  [CONCORDE, BUSAN, COLUMBIA].forEach(tileId => give(state, 'p1', tileId));
+  assert.strictEqual(engine.getTransportRent(state, engine.getTile(JEJU), 'p1'), 200000);
+});
+
+test('mortgaged transport tiles do not raise the rent', () => {
+  const { engine, state } = setup();
+  [JEJU, CONCORDE, BUSAN].forEach(tileId => give(state, 'p1', tileId));
+  state.ownership[CONCORDE].mortgaged = true;
+  state.ownership[BUSAN].mortgaged = true;
+
+  assert.strictEqual(landOnJeju(engine, state)[0].amount, 25000);
+});
+
+test('transport tiles cannot be built on', () => {
+  const { engine, state } = setup();
+  give(state, 'p0', JEJU);
+  engine.applyDiceRoll(state, 'p0', dice(2, 3));
+
+  assert.strictEqual(engine.validateBuild(state, 'p0', JEJU).reason, 'NOT_BUILDABLE');
+});
+
+test('transport travel flies from an owned transport tile to one the player does not own', () => {
+  const { engine, state } = setup({ houseRules: { transportTravel: true } });
+  give(state, 'p0', JEJU);
+  give(state, 'p0', CONCORDE);
+  engine.applyDiceRoll(state, 'p0', dice(2, 3));
+
+  assert.strictEqual(performAction(engine, state, 'p0', 'transport_travel', { tileId: CONCORDE }).rejection.reason, 'INVALID_TILE');
+  const events = performAction(engine, state, 'p0', 'transport_travel', { tileId: BUSAN }).events;
+
+  assert.deepStrictEqual(ofType(events, 'moved').map(e => [e.to, e.via]), [[BUSAN, 'travel']]);
+  assert.strictEqual(state.landedTileId, BUSAN);
+});
+
+test('transport travel needs the house rule', () => {
+  const { engine, state } = setup();
+  give(state, 'p0', JEJU);
+  engine.applyDiceRoll(state, 'p0', dice(2, 3));
+
+  assert.strictEqual(engine.validateTransportTravel(state, 'p0', BUSAN).reason, 'RULE_DISABLED');
+});
@@ -0,0 +1,41 @@
+// victory.test.js - Victory modes: last player standing, round limit and colour-set monopoly
+const assert = require('assert');
+const { performAction } = require('../game-actions');
+const { TILES, test, setup, dice, give, ofType } = require('./helpers');
+
+const { TAIPEI, BEIJING, MANILA } = TILES;
+
+test('the last player standing wins', () => {
+  const { engine, state } = setup({ playerIds: ['p0', 'p1'] });
+
+  const events = engine.eliminatePlayer(state, 'p1');
+
+  assert.strictEqual(state.gamePhase, 'ENDED');
+  assert.deepStrictEqual(ofType(events, 'game_over').map(e => [e.winnerId, e.reason]), [['p0', 'last_standing']]);
+  assert.deepStrictEqual(state.standings.map(s => s.playerId), ['p0', 'p1']);
+});
+
+test('the round limit ends the game on net worth', () => {
+  const { engine, state } = setup({ playerIds: ['p0', 'p1'], victory: { mode: 'round_limit', roundLimit: 1 } });
+  give(state, 'p1', BEIJING);
+
+  assert.deepStrictEqual(engine.endTurn(state), []);
+  const events = engine.endTurn(state);
+
+  assert.strictEqual(state.round, 2);
+  assert.deepStrictEqual(ofType(events, 'game_over').map(e => [e.winnerId, e.reason]), [['p1', 'round_limit']]);
+  assert.strictEqual(state.standings[0].netWorth, 2080000);
+});
+
+test('completing the required colour sets wins outright', () => {
+  const { engine, state } = setup({ victory: { monopolyWin: true, monopolySets: 1 } });
+  give(state, 'p0', TAIPEI);
+  give(state, 'p0', BEIJING);
+  engine.applyDiceRoll(state, 'p0', dice(1, 3));
+
+  const result = performAction(engine, state, 'p0', 'buy_property', { tileId: MANILA });
+
+  assert.strictEqual(result.price, 80000);
+  assert.deepStrictEqual(ofType(result.events, 'game_over').map(e => [e.winnerId, e.reason]), [['p0', 'monopoly']]);
+  assert.strictEqual(performAction(engine, state, 'p0', 'end_turn').rejection.reason, 'GAME_OVER');
+});
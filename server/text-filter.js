@@ -0,0 +1,54 @@
+// text-filter.js - Cleans player-supplied text (nicknames, chat) before it is stored or relayed
+const fs = require('fs');
+
+// Control and format characters: newlines, escapes, zero-width and bidi overrides
+const CONTROL_CHARACTERS = /[\p{Cc}\p{Cf}]/gu;
+
+class TextFilter {
+  // bannedWords are matched case-insensitively anywhere in the text, spaces ignored,
+  // since Korean has no word boundaries to match on
+  constructor(bannedWords = []) {
+    this.bannedWords = bannedWords
+      .map(word => this.normalize(word).replace(/\s+/g, ''))
+      .filter(Boolean);
+  }
+
+  normalize(text) {
+    return String(text).normalize('NFC').toLowerCase();
+  }
+
+  // Strips control characters, collapses runs of whitespace and trims to maxLength
+  clean(text, maxLength) {
+    return String(text)
+      .normalize('NFC')
+      .replace(CONTROL_CHARACTERS, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, maxLength)
+      .trim();
+  }
+
+  // The first banned word in text, or null
+  findBannedWord(text) {
+    const compact = this.normalize(text).replace(/\s+/g, '');
+    return this.bannedWords.find(word => compact.includes(word)) || null;
+  }
+
+  // Replaces every banned word with asterisks; words split by spaces are masked where they appear whole
+  mask(text) {
+    return this.bannedWords.reduce((masked, word) => {
+      const pattern = new RegExp(word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'giu');
+      return masked.replace(pattern, match => '*'.repeat(match.length));
+    }, text);
+  }
+}
+
+// One word per line; blank lines and lines starting with # are skipped
+function loadBannedWords(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+module.exports = { TextFilter, loadBannedWords };
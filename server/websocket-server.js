@@ -1,41 +1,241 @@
 // websocket-server.js - WebSocket server for Blue Marble Online multiplayer
 const WebSocket = require('ws');
 const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { loadBoard } = require('../shared/board');
+const { RulesEngine } = require('../shared/rules-engine');
+const { getGoldenKey } = require('../shared/golden-keys');
+const { SeededRandom } = require('../shared/seeded-random');
+const { PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, MAX_NAME_LENGTH, MAX_CHAT_LENGTH, CLIENT_MESSAGES, validateMessage } = require('../shared/protocol');
+const { createStore } = require('./room-store');
+const { RATE_LIMITS, TokenBucket, RateLimiter } = require('./rate-limiter');
+const { TextFilter, loadBannedWords } = require('./text-filter');
+const { BotPlayer, THINK_SECONDS } = require('./bot-player');
+const { STRATEGIES, DEFAULT_STRATEGY, getStrategy } = require('./bot-strategies');
+const { performAction } = require('./game-actions');
+
+const BOARDS_DIR = path.join(__dirname, '..', 'shared', 'boards');
+
+// How long a disconnected player's seat in a running game is held for a rejoin
+const RECONNECT_GRACE_SECONDS = 60;
+
+const MAX_SPECTATORS = 20;
+
+// Largest WebSocket frame accepted; the socket is closed (1009) on anything bigger
+const MAX_PAYLOAD_BYTES = 16 * 1024;
+
+// Open rooms one IP address may have created
+const MAX_ROOMS_PER_IP = 3;
+
+// Sockets that miss a ping for this long are dropped
+const HEARTBEAT_SECONDS = 30;
+
+// Offences (flooding, banned words) earn warnings; the next one after these disconnects.
+// One offence is forgiven every OFFENCE_FORGIVE_SECONDS.
+const MAX_WARNINGS = 2;
+const OFFENCE_FORGIVE_SECONDS = 60;
+
+// Wrong room passwords one address may give for a room before it has to wait;
+// one more try is allowed every PASSWORD_RETRY_SECONDS
+const MAX_PASSWORD_TRIES = 5;
+const PASSWORD_RETRY_SECONDS = 60;
+
+// Room changes are gathered for this long before the lobby list is resent
+const LOBBY_UPDATE_SECONDS = 0.5;
+
+// The only messages a spectator may send; chat goes to the spectator channel
+const SPECTATOR_MESSAGES = ['chat', 'leave_room'];
+
+// Reads and validates shared/boards/<boardId>.json, throwing a readable error
+function loadBoardFile(boardId) {
+  const file = path.join(BOARDS_DIR, `${path.basename(boardId)}.json`);
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot load board "${boardId}" from ${file}: ${error.message}`);
+  }
+  return loadBoard(definition);
+}
+
+// Bumped when the saved room layout changes; older snapshots are not restored
+const SNAPSHOT_VERSION = 2;
+
+// Bumped whenever the replay file layout changes; the client refuses versions it does not know
+const REPLAY_VERSION = 1;
+
+// Commitment published at game start; the seed itself is only revealed at game over
+function hashSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+// Room passwords are kept (and saved in snapshots) as "salt:scrypt hash". scrypt is slow on
+// purpose, so it runs on the thread pool rather than holding up every other room.
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return `${salt}:${(await scrypt(password, salt, 32)).toString('hex')}`;
+}
+
+async function checkPassword(password, stored) {
+  const [salt, hash] = stored.split(':');
+  const actual = (await hashPassword(password, salt)).split(':')[1];
+  return crypto.timingSafeEqual(Buffer.from(actual, 'hex'), Buffer.from(hash, 'hex'));
+}
+
+// Rooms whose games anyone may download: listed in the lobby and without a password
+function isOpenRoom(room) {
+  return room.visibility === 'public' && !room.passwordHash;
+}
 
 class GameServer {
-  constructor(port = 8080) {
+  // options.boardId picks a board from shared/boards/ (default: classic);
+  // options.reconnectGraceSeconds overrides RECONNECT_GRACE_SECONDS;
+  // options.store persists rooms and archives games (see room-store.js; none by default);
+  // options.botThinkSeconds is the [min, max] delay before a bot acts (THINK_SECONDS);
+  // options.rateLimits overrides entries of RATE_LIMITS (see rate-limiter.js), options.maxRoomsPerIp
+  // MAX_ROOMS_PER_IP and options.heartbeatSeconds HEARTBEAT_SECONDS;
+  // options.bannedWords is refused in nicknames and masked in chat;
+  // options.trustProxy takes client addresses from X-Forwarded-For (behind a reverse proxy)
+  constructor(port = 8080, options = {}) {
     this.port = port;
-    this.server = http.createServer();
-    this.wss = new WebSocket.Server({ server: this.server });
+    this.server = http.createServer((req, res) => this.handleHttpRequest(req, res));
+    this.wss = new WebSocket.Server({ server: this.server, maxPayload: MAX_PAYLOAD_BYTES });
     
     // Game state
     this.rooms = new Map(); // roomId -> Room
     this.clients = new Map(); // ws -> ClientInfo
+    this.sessions = new Map(); // sessionToken -> { roomId, playerId }
+    this.lobbyClients = new Set(); // sockets that asked for list_rooms and get its updates
+    this.lobbyTimer = null;
+    this.reconnectGraceSeconds = options.reconnectGraceSeconds || RECONNECT_GRACE_SECONDS;
+    this.board = loadBoardFile(options.boardId || 'classic');
+    this.engine = new RulesEngine(this.board); // Default rules; each room runs its own engine
+    this.store = options.store || null;
+    this.botThinkSeconds = options.botThinkSeconds || THINK_SECONDS;
+    this.rateLimits = { ...RATE_LIMITS, ...options.rateLimits };
+    this.maxRoomsPerIp = options.maxRoomsPerIp || MAX_ROOMS_PER_IP;
+    this.heartbeatSeconds = options.heartbeatSeconds || HEARTBEAT_SECONDS;
+    this.textFilter = new TextFilter(options.bannedWords || []);
+    this.trustProxy = !!options.trustProxy;
     
+    this.restoreRooms();
     this.setupWebSocket();
+    this.startHeartbeat();
+  }
+
+  // GET /archive lists finished games, GET /archive/<gameId> returns one and
+  // GET /archive/<gameId>/replay its replay; GET /replay/<roomId> downloads the replay
+  // of a finished game whose room is still open. Games from private or password rooms are
+  // left out of the archive, and their room replay needs ?token=<sessionToken> of a seat
+  handleHttpRequest(req, res) {
+    const requestUrl = new URL(req.url, 'http://localhost');
+    const url = req.method === 'GET' ? requestUrl.pathname : '';
+    const archiveMatch = /^\/archive(?:\/([\w-]+)(\/replay)?)?\/?$/.exec(url);
+    const replayMatch = /^\/replay\/(\w+)\/?$/.exec(url);
+    const headers = { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' };
+    let status = 404;
+    let body = { error: 'Not found' };
+
+    if (archiveMatch && this.store) {
+      // Unlisted games are not found at all; records archived before rooms were marked count as unlisted
+      let result = archiveMatch[1]
+        ? this.store.getArchivedGame(archiveMatch[1])
+        : this.store.listArchivedGames().filter(game => game.listed);
+      if (result && archiveMatch[1] && !result.listed) result = null;
+      if (result && archiveMatch[2]) {
+        if (result.replay) {
+          status = 200;
+          body = result.replay;
+        }
+      } else if (result) {
+        status = 200;
+        body = result;
+      }
+    } else if (replayMatch) {
+      // Only finished games, so a running one cannot be followed from outside the room
+      const room = this.rooms.get(replayMatch[1]);
+      const session = this.sessions.get(requestUrl.searchParams.get('token'));
+      const allowed = room && (isOpenRoom(room) || (session && session.roomId === replayMatch[1]));
+      if (allowed && room.replay && room.gameState.gamePhase === 'ENDED') {
+        status = 200;
+        body = this.getReplay(room);
+      }
+    }
+
+    if (status === 200 && (archiveMatch && archiveMatch[2] || replayMatch)) {
+      headers['Content-Disposition'] = `attachment; filename="blue-marble-${body.roomId}.json"`;
+    }
+    res.writeHead(status, headers);
+    res.end(JSON.stringify(body));
   }
 
   setupWebSocket() {
-    this.wss.on('connection', (ws) => {
+    this.wss.on('connection', (ws, req) => {
       console.log('New client connected');
+
+      // Clients offer their protocol version in the URL (?protocol=N); one without it predates versioning
+      const offered = Number(new URL(req.url, 'http://localhost').searchParams.get('protocol'));
+      if (!Number.isInteger(offered) || offered < MIN_PROTOCOL_VERSION) {
+        this.sendError(ws, 'UNSUPPORTED_PROTOCOL',
+          `This client is out of date (protocol ${offered || 0}; the server needs at least ${MIN_PROTOCOL_VERSION}). Reload the page to update it`,
+          { protocolVersion: PROTOCOL_VERSION });
+        ws.close(4000, 'Unsupported protocol version');
+        return;
+      }
       
+      const forwarded = this.trustProxy && req.headers['x-forwarded-for'];
+
       // Initialize client
       const clientInfo = {
         ws: ws,
         playerId: null,
         roomId: null,
-        playerName: null
+        playerName: null,
+        spectating: false,
+        // A newer client falls back to ours; it decides from `connected` whether it can
+        protocolVersion: Math.min(offered, PROTOCOL_VERSION),
+        requestId: undefined, // of the message being handled, echoed in errors and rejections
+        ip: forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress,
+        rateLimiter: new RateLimiter(this.rateLimits),
+        offences: new TokenBucket(MAX_WARNINGS, 1 / OFFENCE_FORGIVE_SECONDS)
       };
       
       this.clients.set(ws, clientInfo);
 
+      ws.isAlive = true;
+      ws.on('pong', () => { ws.isAlive = true; });
+
       ws.on('message', (message) => {
+        // Frames still arriving after the server started closing the socket are ignored
+        if (ws.readyState !== WebSocket.OPEN) return;
+
+        let data;
+        try {
+          data = JSON.parse(message);
+        } catch (error) {
+          data = undefined;
+        }
+
+        // Limited per message type; unreadable messages count against the default bucket
+        const retryAfter = clientInfo.rateLimiter.check(data && data.type);
+        if (retryAfter) {
+          clientInfo.requestId = undefined;
+          this.recordOffence(ws, 'RATE_LIMITED', 'Too many messages; slow down', { retryAfter: retryAfter });
+          return;
+        }
+        if (data === undefined) {
+          this.sendError(ws, 'INVALID_MESSAGE', 'Message is not valid JSON');
+          return;
+        }
+
         try {
-          const data = JSON.parse(message);
           this.handleMessage(ws, data);
         } catch (error) {
-          console.error('Invalid message:', error);
-          this.sendError(ws, 'Invalid message format');
+          this.reportFailure(ws, error);
         }
       });
 
@@ -51,22 +251,124 @@ class GameServer {
       // Send welcome message
       this.send(ws, {
         type: 'connected',
-        message: 'Connected to Blue Marble Online server'
+        message: 'Connected to Blue Marble Online server',
+        payload: {
+          protocolVersion: clientInfo.protocolVersion,
+          board: { id: this.board.id, name: this.board.name, version: this.board.version },
+          botStrategies: Object.keys(STRATEGIES).map(id => ({
+            id: id,
+            label: STRATEGIES[id].label,
+            description: STRATEGIES[id].description
+          }))
+        }
       });
     });
   }
 
+  // Pings every socket each heartbeatSeconds and drops the ones that did not answer the last ping
+  startHeartbeat() {
+    const timer = setInterval(() => {
+      this.wss.clients.forEach(ws => {
+        if (!ws.isAlive) {
+          ws.terminate(); // 'close' follows, so the seat is held as for any disconnect
+          return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, this.heartbeatSeconds * 1000);
+    timer.unref();
+    this.wss.on('close', () => clearInterval(timer));
+  }
+
+  // Warns the sender about an offence, or disconnects them once their warnings are used up
+  recordOffence(ws, code, message, details = {}) {
+    const clientInfo = this.clients.get(ws);
+    if (!clientInfo || !clientInfo.offences) return;
+
+    if (clientInfo.offences.take()) {
+      this.send(ws, {
+        type: 'warning',
+        requestId: clientInfo.requestId,
+        payload: { code: code, message: message, warningsLeft: Math.floor(clientInfo.offences.tokens), ...details }
+      });
+      return;
+    }
+
+    console.log(`Disconnecting ${clientInfo.playerName || 'client'} at ${clientInfo.ip} after repeated ${code}`);
+    this.sendError(ws, 'DISCONNECTED', `Disconnected after repeated warnings: ${message}`);
+    ws.close(4008, 'Policy violation');
+  }
+
+  // For a message whose handler threw
+  reportFailure(ws, error) {
+    console.error('Failed to handle message:', error);
+    this.sendError(ws, 'INTERNAL_ERROR', 'The server could not handle this message');
+  }
+
+  // After awaiting a password hash: false when the socket has gone meanwhile. Otherwise the
+  // answer is about to go out, so it carries this message's requestId again (the socket may
+  // have sent others while it waited).
+  resumeAfterHash(ws, clientInfo, requestId) {
+    if (this.clients.get(ws) !== clientInfo || ws.readyState !== WebSocket.OPEN) return false;
+    clientInfo.requestId = requestId;
+    return true;
+  }
+
+  // Returns the cleaned nickname, or null after telling the sender why it was refused
+  cleanName(ws, name) {
+    const cleaned = this.textFilter.clean(name, MAX_NAME_LENGTH);
+    if (!cleaned) {
+      this.sendError(ws, 'INVALID_NAME', 'Name must contain visible characters');
+      return null;
+    }
+    if (this.textFilter.findBannedWord(cleaned)) {
+      this.sendError(ws, 'INVALID_NAME', 'Name contains a banned word');
+      this.recordOffence(ws, 'BANNED_WORD', 'Banned words are not allowed in names');
+      return null;
+    }
+    return cleaned;
+  }
+
+  // Checks data against CLIENT_MESSAGES before dispatching, so handlers always get a payload
+  // object whose declared fields have the right types
   handleMessage(ws, data) {
-    const { type, payload } = data;
     const clientInfo = this.clients.get(ws);
+    const problem = validateMessage(CLIENT_MESSAGES, data);
+    // A malformed requestId is not echoed back
+    if (clientInfo) clientInfo.requestId = problem && problem.code === 'INVALID_MESSAGE' ? undefined : data.requestId;
+    if (problem) {
+      this.sendError(ws, problem.code, problem.message);
+      return;
+    }
+    const type = data.type;
+    const payload = data.payload || {};
+
+    // Any message shows the player is still there
+    const activeRoom = clientInfo && this.rooms.get(clientInfo.roomId);
+    if (activeRoom) activeRoom.timeouts.delete(clientInfo.playerId);
+
+    if (clientInfo && clientInfo.spectating && !SPECTATOR_MESSAGES.includes(type)) {
+      this.sendRejection(ws, type, { reason: 'SPECTATOR', message: 'Spectators cannot take game actions' });
+      return;
+    }
 
     switch (type) {
+      // These two wait for the password hash, so their failures arrive after the try in setupWebSocket
       case 'create_room':
-        this.handleCreateRoom(ws, payload);
+        this.handleCreateRoom(ws, payload).catch(error => this.reportFailure(ws, error));
         break;
         
       case 'join_room':
-        this.handleJoinRoom(ws, payload);
+        this.handleJoinRoom(ws, payload).catch(error => this.reportFailure(ws, error));
+        break;
+
+      case 'list_rooms':
+        this.handleListRooms(ws);
+        break;
+        
+      case 'rejoin':
+        this.handleRejoin(ws, payload);
         break;
         
       case 'leave_room':
@@ -77,6 +379,14 @@ class GameServer {
         this.handleStartGame(ws);
         break;
         
+      case 'add_bot':
+        this.handleAddBot(ws, payload);
+        break;
+        
+      case 'remove_bot':
+        this.handleRemoveBot(ws, payload);
+        break;
+        
       case 'roll_dice':
         this.handleRollDice(ws);
         break;
@@ -89,6 +399,58 @@ class GameServer {
         this.handleBuild(ws, payload);
         break;
         
+      case 'choose_destination':
+        this.handleChooseDestination(ws, payload);
+        break;
+        
+      case 'transport_travel':
+        this.handleTransportTravel(ws, payload);
+        break;
+        
+      case 'sell_building':
+        this.handleSellAsset(ws, payload, 'building');
+        break;
+        
+      case 'sell_property':
+        this.handleSellAsset(ws, payload, 'property');
+        break;
+        
+      case 'mortgage':
+        this.handleMortgage(ws, payload, true);
+        break;
+        
+      case 'unmortgage':
+        this.handleMortgage(ws, payload, false);
+        break;
+        
+      case 'declare_bankruptcy':
+        this.handleDeclareBankruptcy(ws);
+        break;
+        
+      case 'propose_trade':
+        this.handleProposeTrade(ws, payload);
+        break;
+        
+      case 'counter_trade':
+        this.handleCounterTrade(ws, payload);
+        break;
+        
+      case 'accept_trade':
+        this.handleAcceptTrade(ws, payload);
+        break;
+        
+      case 'reject_trade':
+        this.handleRejectTrade(ws, payload);
+        break;
+        
+      case 'bid':
+        this.handleBid(ws, payload);
+        break;
+        
+      case 'pass':
+        this.handlePass(ws);
+        break;
+        
       case 'end_turn':
         this.handleEndTurn(ws);
         break;
@@ -98,35 +460,47 @@ class GameServer {
         break;
         
       default:
-        this.sendError(ws, `Unknown message type: ${type}`);
+        this.sendError(ws, 'UNKNOWN_MESSAGE_TYPE', `Unknown message type: ${type}`);
     }
   }
 
-  handleCreateRoom(ws, payload) {
-    const { playerName, maxPlayers = 4 } = payload;
-    const roomId = this.generateRoomId();
-    const playerId = this.generatePlayerId();
+  // visibility 'private' keeps the room out of list_rooms; a password is asked of everyone joining
+  async handleCreateRoom(ws, payload) {
+    const { maxPlayers = 4, rules = {}, visibility = 'public' } = payload;
+    const clientInfo = this.clients.get(ws);
+    const requestId = clientInfo.requestId;
 
-    const room = {
-      id: roomId,
-      hostId: playerId,
-      maxPlayers: maxPlayers,
-      players: new Map(),
-      gameState: null,
-      isStarted: false
-    };
+    const playerName = this.cleanName(ws, payload.playerName);
+    if (!playerName) return;
 
-    const player = {
-      id: playerId,
-      name: playerName,
-      ws: ws,
-      isReady: false
-    };
+    const resolved = this.engine.resolveRules(rules);
+    if (resolved.error) {
+      this.sendError(ws, 'INVALID_RULES', resolved.error);
+      return;
+    }
+
+    const passwordHash = payload.password ? await hashPassword(payload.password) : null;
+    if (!this.resumeAfterHash(ws, clientInfo, requestId)) return;
+
+    const hosted = Array.from(this.rooms.values()).filter(r => r.creatorIp && r.creatorIp === clientInfo.ip).length;
+    if (hosted >= this.maxRoomsPerIp) {
+      this.sendError(ws, 'TOO_MANY_ROOMS', `At most ${this.maxRoomsPerIp} open rooms per address`);
+      return;
+    }
+
+    const roomId = this.generateRoomId();
+    const playerId = this.generatePlayerId();
+    const room = this.createRoom(roomId, playerId, maxPlayers, resolved.rules, this.createRandom());
+    const player = this.createPlayer(roomId, playerId, playerName, ws);
 
+    room.creatorId = playerId;
+    room.creatorIp = clientInfo.ip;
+    room.visibility = visibility;
+    room.passwordHash = passwordHash;
     room.players.set(playerId, player);
     this.rooms.set(roomId, room);
+    this.saveRoom(roomId);
 
-    const clientInfo = this.clients.get(ws);
     clientInfo.playerId = playerId;
     clientInfo.roomId = roomId;
     clientInfo.playerName = playerName;
@@ -136,43 +510,123 @@ class GameServer {
       payload: {
         roomId: roomId,
         playerId: playerId,
-        isHost: true
+        isHost: true,
+        sessionToken: player.sessionToken,
+        rules: room.rules,
+        visibility: room.visibility,
+        hasPassword: !!room.passwordHash
       }
     });
+    this.updateLobby();
 
     console.log(`Room ${roomId} created by ${playerName}`);
   }
 
-  handleJoinRoom(ws, payload) {
-    const { roomId, playerName } = payload;
+  createRoom(roomId, hostId, maxPlayers, rules, random) {
+    return {
+      id: roomId,
+      hostId: hostId,
+      maxPlayers: maxPlayers,
+      rules: rules,
+      random: random,
+      engine: new RulesEngine(this.board, rules, { random: random.next }),
+      players: new Map(),
+      gameState: null,
+      auctionTimer: null,
+      auctionDeadline: null,
+      turnTimer: null,
+      turnTimerKey: null,
+      turnDeadline: null,
+      timeouts: new Map(), // playerId -> consecutive turn clock expiries
+      spectators: new Map(), // spectatorId -> { id, name, ws }
+      replay: null, // { startedAt, players, events } from game start, see recordReplay()
+      savedLog: { replay: 0, random: 0 }, // replay events and random draws already in the store's room log
+      creatorId: null,
+      creatorIp: null, // counted against MAX_ROOMS_PER_IP while creatorId is seated; not kept in snapshots
+      visibility: 'public',
+      passwordHash: null, // see hashPassword()
+      passwordTries: new Map(), // ip -> TokenBucket of wrong passwords, see MAX_PASSWORD_TRIES
+      isStarted: false
+    };
+  }
+
+  createPlayer(roomId, playerId, name, ws, sessionToken = this.createSession(roomId, playerId)) {
+    return {
+      id: playerId,
+      name: name,
+      ws: ws, // null while disconnected and waiting for a rejoin
+      sessionToken: sessionToken,
+      disconnectTimer: null,
+      isReady: false
+    };
+  }
+
+  async handleJoinRoom(ws, payload) {
+    const { roomId } = payload;
     const room = this.rooms.get(roomId);
+    const clientInfo = this.clients.get(ws);
+    const requestId = clientInfo.requestId;
 
     if (!room) {
-      this.sendError(ws, 'Room not found');
+      this.sendError(ws, 'ROOM_NOT_FOUND', 'Room not found');
+      return;
+    }
+
+    const playerName = this.cleanName(ws, payload.playerName);
+    if (!playerName) return;
+
+    // Spectators too, since they see everything the players do
+    if (room.passwordHash && !payload.password) {
+      this.sendError(ws, 'PASSWORD_REQUIRED', 'This room needs a password');
+      return;
+    }
+    if (room.passwordHash) {
+      // Every try is counted before the hash so tries sent side by side cannot slip past the limit;
+      // a right password gives its try back
+      let tries = room.passwordTries.get(clientInfo.ip);
+      if (!tries) {
+        tries = new TokenBucket(MAX_PASSWORD_TRIES, 1 / PASSWORD_RETRY_SECONDS);
+        room.passwordTries.set(clientInfo.ip, tries);
+      }
+      if (!tries.take()) {
+        this.sendError(ws, 'TOO_MANY_PASSWORD_TRIES', `Too many wrong passwords; try again in ${tries.retryAfter()} seconds`);
+        return;
+      }
+
+      const correct = await checkPassword(payload.password, room.passwordHash);
+      if (!this.resumeAfterHash(ws, clientInfo, requestId)) return;
+      if (this.rooms.get(roomId) !== room) {
+        this.sendError(ws, 'ROOM_NOT_FOUND', 'Room not found');
+        return;
+      }
+      if (!correct) {
+        this.sendError(ws, 'WRONG_PASSWORD', 'Wrong password');
+        return;
+      }
+      tries.giveBack();
+    }
+
+    if (payload.spectate) {
+      this.handleSpectate(ws, roomId, room, playerName);
       return;
     }
 
     if (room.isStarted) {
-      this.sendError(ws, 'Game already started');
+      this.sendError(ws, 'GAME_ALREADY_STARTED', 'Game already started');
       return;
     }
 
     if (room.players.size >= room.maxPlayers) {
-      this.sendError(ws, 'Room is full');
+      this.sendError(ws, 'ROOM_FULL', 'Room is full');
       return;
     }
 
     const playerId = this.generatePlayerId();
-    const player = {
-      id: playerId,
-      name: playerName,
-      ws: ws,
-      isReady: false
-    };
+    const player = this.createPlayer(roomId, playerId, playerName, ws);
 
     room.players.set(playerId, player);
+    this.saveRoom(roomId);
 
-    const clientInfo = this.clients.get(ws);
     clientInfo.playerId = playerId;
     clientInfo.roomId = roomId;
     clientInfo.playerName = playerName;
@@ -184,10 +638,13 @@ class GameServer {
         roomId: roomId,
         playerId: playerId,
         isHost: false,
+        sessionToken: player.sessionToken,
+        rules: room.rules,
         players: Array.from(room.players.values()).map(p => ({
           id: p.id,
           name: p.name,
-          isReady: p.isReady
+          isReady: p.isReady,
+          isBot: !!p.bot
         }))
       }
     });
@@ -200,6 +657,7 @@ class GameServer {
         playerName: playerName
       }
     }, ws);
+    this.updateLobby();
 
     console.log(`${playerName} joined room ${roomId}`);
   }
@@ -209,133 +667,894 @@ class GameServer {
     if (!clientInfo || !clientInfo.roomId) return;
 
     const room = this.rooms.get(clientInfo.roomId);
-    if (!room) return;
-
-    room.players.delete(clientInfo.playerId);
-
-    // Notify other players
-    this.broadcastToRoom(clientInfo.roomId, {
-      type: 'player_left',
-      payload: {
-        playerId: clientInfo.playerId,
-        playerName: clientInfo.playerName
-      }
-    });
-
-    // Delete room if empty
-    if (room.players.size === 0) {
-      this.rooms.delete(clientInfo.roomId);
-      console.log(`Room ${clientInfo.roomId} deleted`);
+    if (room && clientInfo.spectating) {
+      this.removeSpectator(clientInfo.roomId, room, clientInfo.playerId);
+    } else if (room) {
+      this.removePlayer(clientInfo.roomId, room, clientInfo.playerId);
     }
 
     clientInfo.roomId = null;
     clientInfo.playerId = null;
+    clientInfo.spectating = false;
   }
 
-  handleStartGame(ws) {
+  // Answers with the public rooms; outside a room the sender also gets the list again whenever it changes
+  handleListRooms(ws) {
     const clientInfo = this.clients.get(ws);
-    const room = this.rooms.get(clientInfo.roomId);
+    if (clientInfo && !clientInfo.roomId) this.lobbyClients.add(ws);
+    this.send(ws, { type: 'room_list', payload: { rooms: this.listRooms() } });
+  }
 
-    if (!room) {
-      this.sendError(ws, 'Room not found');
+  listRooms() {
+    return Array.from(this.rooms.values())
+      .filter(room => room.visibility === 'public')
+      .map(room => this.summarizeRoom(room));
+  }
+
+  // What the lobby shows of a room; the rules are cut down to what tells games apart at a glance
+  summarizeRoom(room) {
+    const host = room.players.get(room.hostId);
+    const status = !room.gameState ? 'waiting' : room.gameState.gamePhase === 'ENDED' ? 'ended' : 'playing';
+    return {
+      roomId: room.id,
+      hostName: host ? host.name : null,
+      playerCount: room.players.size,
+      maxPlayers: room.maxPlayers,
+      spectatorCount: room.spectators.size,
+      hasPassword: !!room.passwordHash,
+      status: status,
+      rules: {
+        startingCash: room.rules.startingCash,
+        salary: room.rules.salary,
+        victory: room.rules.victory,
+        houseRules: Object.keys(room.rules.houseRules).filter(key => room.rules.houseRules[key])
+      }
+    };
+  }
+
+  // Resends the list to lobby clients after a room changes; bursts of changes go out as one update.
+  // Clients that have since entered a room stop getting updates until they ask again.
+  updateLobby() {
+    if (this.lobbyTimer || !this.lobbyClients.size) return;
+
+    this.lobbyTimer = setTimeout(() => {
+      this.lobbyTimer = null;
+      const message = { type: 'room_list', payload: { rooms: this.listRooms() } };
+      this.lobbyClients.forEach(ws => {
+        const clientInfo = this.clients.get(ws);
+        if (!clientInfo || clientInfo.roomId) {
+          this.lobbyClients.delete(ws);
+          return;
+        }
+        this.send(ws, message);
+      });
+    }, LOBBY_UPDATE_SECONDS * 1000);
+    this.lobbyTimer.unref();
+  }
+
+  // join_room with spectate: true; works before and during a game and takes no seat.
+  // A socket already in a room gives up its seat (or view) there first.
+  handleSpectate(ws, roomId, room, name) {
+    if (room.spectators.size >= MAX_SPECTATORS) {
+      this.sendError(ws, 'SPECTATORS_FULL', 'Too many spectators');
       return;
     }
 
-    if (room.hostId !== clientInfo.playerId) {
-      this.sendError(ws, 'Only host can start game');
+    this.handleLeaveRoom(ws);
+    // Leaving may have emptied this very room of people
+    if (this.rooms.get(roomId) !== room) {
+      this.sendError(ws, 'ROOM_NOT_FOUND', 'Room not found');
       return;
     }
 
-    if (room.players.size < 2) {
-      this.sendError(ws, 'Need at least 2 players');
+    const spectator = { id: this.generatePlayerId(), name: name, ws: ws };
+    room.spectators.set(spectator.id, spectator);
+
+    const clientInfo = this.clients.get(ws);
+    clientInfo.playerId = spectator.id;
+    clientInfo.roomId = roomId;
+    clientInfo.playerName = name;
+    clientInfo.spectating = true;
+
+    // Goes through the spectator delay like everything else, so the snapshot is not ahead of the feed
+    this.sendToSpectators(room, {
+      type: 'spectating',
+      payload: {
+        ...this.getSyncState(room),
+        spectatorId: spectator.id,
+        delaySeconds: room.rules.spectatorDelaySeconds
+      }
+    }, [spectator]);
+    this.broadcastSpectatorCount(roomId, room);
+
+    console.log(`${name} is spectating room ${roomId}`);
+  }
+
+  removeSpectator(roomId, room, spectatorId) {
+    if (!room.spectators.delete(spectatorId)) return;
+    this.broadcastSpectatorCount(roomId, room);
+  }
+
+  broadcastSpectatorCount(roomId, room) {
+    this.broadcastToRoom(roomId, {
+      type: 'spectators_changed',
+      payload: { count: room.spectators.size }
+    });
+    this.updateLobby();
+  }
+
+  // Spectators get messages rules.spectatorDelaySeconds late so they cannot relay the game to a
+  // player as it happens; deadlines are pushed back by the same amount. Only the spectators
+  // watching when the message was sent receive it.
+  sendToSpectators(room, message, recipients = Array.from(room.spectators.values())) {
+    const delayMs = room.rules.spectatorDelaySeconds * 1000;
+    const deliver = () => recipients.forEach(spectator => {
+      if (room.spectators.get(spectator.id) === spectator && spectator.ws.readyState === WebSocket.OPEN) {
+        this.send(spectator.ws, message);
+      }
+    });
+
+    if (!recipients.length) return;
+    if (!delayMs) {
+      deliver();
       return;
     }
 
-    room.isStarted = true;
-    room.gameState = this.initializeGameState(room);
+    const payload = message.payload && { ...message.payload };
+    ['deadline', 'auctionDeadline'].forEach(key => {
+      if (payload && payload[key]) payload[key] += delayMs;
+    });
+    message = { ...message, payload: payload };
+    setTimeout(deliver, delayMs);
+  }
 
-    this.broadcastToRoom(clientInfo.roomId, {
-      type: 'game_started',
+  // Drops a player from the room for good (leaving, or a disconnect that outlived the grace period)
+  removePlayer(roomId, room, playerId) {
+    const player = room.players.get(playerId);
+    if (!player) return;
+
+    clearTimeout(player.disconnectTimer);
+    this.sessions.delete(player.sessionToken);
+    room.players.delete(playerId);
+    if (player.bot) this.disposeBot(player);
+    // Once its creator is gone the room no longer counts against their address
+    if (playerId === room.creatorId) room.creatorIp = null;
+
+    // Keep the turn order consistent if the game is running
+    if (room.gameState && room.gameState.gamePhase === 'PLAYING') {
+      const previousPlayerId = room.gameState.currentPlayerId;
+      const events = room.engine.eliminatePlayer(room.gameState, playerId);
+      this.broadcastOutcome(roomId, room, events, previousPlayerId);
+
+      // The departure may have cancelled the auction or left one bidder standing
+      if (!room.gameState.auction) {
+        clearTimeout(room.auctionTimer);
+        room.auctionTimer = null;
+      } else if (room.engine.isAuctionDecided(room.gameState)) {
+        this.finishAuction(roomId, room);
+      }
+    }
+
+    // Notify other players
+    this.broadcastToRoom(roomId, {
+      type: 'player_left',
       payload: {
-        gameState: room.gameState
+        playerId: playerId,
+        playerName: player.name,
+        // Mid-game, the leaver's tiles are back with the bank
+        gameState: room.gameState ? room.engine.getPublicState(room.gameState) : null
       }
     });
 
-    console.log(`Game started in room ${clientInfo.roomId}`);
+    // Delete room if empty; bots do not keep a room alive on their own
+    if (Array.from(room.players.values()).every(p => p.bot)) {
+      room.players.forEach(bot => this.disposeBot(bot));
+      room.players.clear();
+      clearTimeout(room.auctionTimer);
+      clearTimeout(room.turnTimer);
+      this.closeSpectators(room);
+      this.rooms.delete(roomId);
+      if (this.store) this.store.deleteRoom(roomId);
+      console.log(`Room ${roomId} deleted`);
+    } else {
+      this.saveRoom(roomId);
+    }
+    this.updateLobby();
   }
 
-  handleRollDice(ws) {
+  // Host only, in the lobby; strategy is a key of STRATEGIES (default: DEFAULT_STRATEGY)
+  handleAddBot(ws, payload = {}) {
     const clientInfo = this.clients.get(ws);
     const room = this.rooms.get(clientInfo.roomId);
+    const strategyName = payload.strategy || DEFAULT_STRATEGY;
 
-    if (!room || !room.gameState) {
-      this.sendError(ws, 'Game not started');
+    if (!room) {
+      this.sendError(ws, 'ROOM_NOT_FOUND', 'Room not found');
       return;
     }
 
-    const gameState = room.gameState;
-    if (gameState.currentPlayerId !== clientInfo.playerId) {
-      this.sendError(ws, 'Not your turn');
+    if (room.hostId !== clientInfo.playerId) {
+      this.sendError(ws, 'NOT_HOST', 'Only host can add bots');
       return;
     }
 
-    // Roll dice
-    const dice1 = Math.floor(Math.random() * 6) + 1;
-    const dice2 = Math.floor(Math.random() * 6) + 1;
-    const total = dice1 + dice2;
-    const isDouble = dice1 === dice2;
+    if (room.isStarted) {
+      this.sendError(ws, 'GAME_ALREADY_STARTED', 'Game already started');
+      return;
+    }
 
-    const diceResult = {
-      dice: [dice1, dice2],
-      total: total,
-      isDouble: isDouble
-    };
+    if (room.players.size >= room.maxPlayers) {
+      this.sendError(ws, 'ROOM_FULL', 'Room is full');
+      return;
+    }
+
+    if (!getStrategy(strategyName)) {
+      this.sendError(ws, 'UNKNOWN_STRATEGY', `Unknown bot strategy: ${strategyName}`);
+      return;
+    }
+
+    const botCount = Array.from(room.players.values()).filter(p => p.bot).length;
+    const name = payload.name ? this.cleanName(ws, payload.name) : `${getStrategy(strategyName).label} Bot ${botCount + 1}`;
+    if (!name) return;
+    const player = this.createBot(clientInfo.roomId, this.generatePlayerId(), name, strategyName);
+    room.players.set(player.id, player);
+    this.saveRoom(clientInfo.roomId);
 
-    // Broadcast dice roll
     this.broadcastToRoom(clientInfo.roomId, {
-      type: 'dice_rolled',
+      type: 'player_joined',
       payload: {
-        playerId: clientInfo.playerId,
-        diceResult: diceResult
+        playerId: player.id,
+        playerName: player.name,
+        isBot: true,
+        strategy: strategyName
       }
     });
+    this.updateLobby();
 
-    // Update game state (simplified)
-    gameState.lastDiceRoll = diceResult;
+    console.log(`${player.name} (${strategyName}) added to room ${clientInfo.roomId}`);
   }
 
-  handleBuyProperty(ws, payload) {
+  handleRemoveBot(ws, payload = {}) {
     const clientInfo = this.clients.get(ws);
     const room = this.rooms.get(clientInfo.roomId);
+    const player = room && room.players.get(payload.playerId);
 
-    if (!room || !room.gameState) return;
+    if (!room || room.hostId !== clientInfo.playerId) {
+      this.sendError(ws, 'NOT_HOST', 'Only host can remove bots');
+      return;
+    }
 
-    const { tileId } = payload;
+    if (room.isStarted) {
+      this.sendError(ws, 'GAME_ALREADY_STARTED', 'Game already started');
+      return;
+    }
 
-    // Broadcast property purchase
-    this.broadcastToRoom(clientInfo.roomId, {
-      type: 'property_bought',
-      payload: {
-        playerId: clientInfo.playerId,
-        tileId: tileId
-      }
+    if (!player || !player.bot) {
+      this.sendError(ws, 'BOT_NOT_FOUND', 'Bot not found');
+      return;
+    }
+
+    this.removePlayer(clientInfo.roomId, room, player.id);
+  }
+
+  // A bot is a player whose socket is a BotPlayer; it has no session token and is always ready
+  createBot(roomId, playerId, name, strategyName) {
+    const bot = new BotPlayer(this, roomId, playerId, getStrategy(strategyName), this.botThinkSeconds);
+    const player = this.createPlayer(roomId, playerId, name, bot.ws, null);
+    player.isReady = true;
+    player.bot = bot;
+    player.strategy = strategyName;
+
+    this.clients.set(bot.ws, {
+      ws: bot.ws,
+      playerId: playerId,
+      roomId: roomId,
+      playerName: name,
+      spectating: false
     });
+    return player;
   }
 
-  handleBuild(ws, payload) {
+  disposeBot(player) {
+    player.bot.dispose();
+    this.clients.delete(player.bot.ws);
+  }
+
+  handleStartGame(ws) {
     const clientInfo = this.clients.get(ws);
     const room = this.rooms.get(clientInfo.roomId);
 
-    if (!room || !room.gameState) return;
+    if (!room) {
+      this.sendError(ws, 'ROOM_NOT_FOUND', 'Room not found');
+      return;
+    }
 
-    const { tileId } = payload;
+    if (room.hostId !== clientInfo.playerId) {
+      this.sendError(ws, 'NOT_HOST', 'Only host can start game');
+      return;
+    }
+
+    // A running game cannot be restarted; a finished one can be played again
+    if (room.gameState && room.gameState.gamePhase !== 'ENDED') {
+      this.sendError(ws, 'GAME_ALREADY_STARTED', 'Game already in progress');
+      return;
+    }
+
+    if (room.players.size < 2) {
+      this.sendError(ws, 'NOT_ENOUGH_PLAYERS', 'Need at least 2 players');
+      return;
+    }
+
+    // The last game_over revealed the previous seed, so every game commits to a new one
+    if (room.gameState) {
+      room.random = this.createRandom();
+      room.engine = new RulesEngine(this.board, room.rules, { random: room.random.next });
+      room.savedLog = { replay: 0, random: 0 };
+      room.timeouts.clear();
+      clearTimeout(room.auctionTimer);
+      room.auctionTimer = null;
+    }
+
+    room.isStarted = true;
+    room.gameState = this.initializeGameState(room);
+    room.replay = {
+      startedAt: Date.now(),
+      // Names are kept here because players who leave mid-game drop out of room.players
+      players: Array.from(room.players.values()).map(p => ({ id: p.id, name: p.name })),
+      events: []
+    };
+    this.updateTurnTimer(clientInfo.roomId, room);
+    this.saveRoom(clientInfo.roomId);
+
+    this.broadcastToRoom(clientInfo.roomId, {
+      type: 'game_started',
+      payload: {
+        rules: room.rules,
+        seedHash: hashSeed(room.random.seed),
+        deadline: room.turnDeadline,
+        gameState: room.engine.getPublicState(room.gameState)
+      }
+    });
+    this.updateLobby();
+
+    console.log(`Game started in room ${clientInfo.roomId}`);
+  }
+
+  handleRollDice(ws) {
+    const clientInfo = this.clients.get(ws);
+    const room = this.rooms.get(clientInfo.roomId);
+
+    if (!room || !room.gameState) {
+      this.sendRejection(ws, 'roll_dice', { reason: 'GAME_NOT_STARTED', message: 'Game not started' });
+      return;
+    }
+
+    const rejection = this.rollFor(clientInfo.roomId, room, clientInfo.playerId);
+    if (rejection) {
+      this.sendRejection(ws, 'roll_dice', rejection);
+    }
+  }
+
+  // Rolls for the current player (on request or when their turn clock runs out);
+  // returns the rejection if they may not roll
+  rollFor(roomId, room, playerId) {
+    const gameState = room.gameState;
+
+    // Roll dice and resolve movement authoritatively
+    const previousPlayerId = gameState.currentPlayerId;
+    const result = performAction(room.engine, gameState, playerId, 'roll_dice');
+    if (result.rejection) return result.rejection;
+
+    // Rolling again after a double left the declined city to auction first
+    if (result.auction) {
+      this.broadcastAuctionStarted(roomId, room, result.events);
+      return null;
+    }
+
+    // Broadcast dice roll with its outcome
+    this.broadcastToRoom(roomId, {
+      type: 'dice_rolled',
+      payload: {
+        playerId: playerId,
+        diceResult: result.diceResult,
+        events: result.events,
+        gameState: room.engine.getPublicState(gameState)
+      }
+    });
+
+    // A roll always restarts the clock, even when a double keeps the player in ROLL
+    room.turnTimerKey = null;
+    this.broadcastOutcome(roomId, room, result.events, previousPlayerId);
+    return null;
+  }
+
+  // Sends the follow-up messages an action's events call for
+  broadcastOutcome(roomId, room, events, previousPlayerId) {
+    const gameState = room.gameState;
+
+    // Once every human is bankrupt, AFK or gone, bots could play on forever; net worth decides it
+    if (gameState.gamePhase === 'PLAYING' && gameState.turnOrder.every(id => room.players.get(id).bot)) {
+      events = events.concat(room.engine.endOnStandings(gameState, 'no_humans'));
+    }
+
+    events.forEach(event => {
+      switch (event.type) {
+        case 'card_drawn':
+          this.broadcastToRoom(roomId, {
+            type: 'card_drawn',
+            payload: {
+              playerId: event.playerId,
+              card: getGoldenKey(event.cardId)
+            }
+          });
+          break;
+
+        case 'player_bankrupt':
+          this.broadcastToRoom(roomId, {
+            type: 'player_bankrupt',
+            payload: {
+              playerId: event.playerId,
+              creditorId: event.creditorId,
+              gameState: room.engine.getPublicState(gameState)
+            }
+          });
+          break;
+
+        case 'game_over':
+          this.broadcastToRoom(roomId, {
+            type: 'game_over',
+            payload: {
+              winnerId: event.winnerId,
+              reason: event.reason,
+              standings: event.standings,
+              // Reveal the committed seed and every draw so clients can verify the game
+              seed: room.random.seed,
+              randomLog: room.random.log,
+              gameState: room.engine.getPublicState(gameState)
+            }
+          });
+          this.archiveGame(roomId, room, event);
+          this.updateLobby();
+          console.log(`Game over in room ${roomId}`);
+          break;
+      }
+    });
+
+    this.saveRoom(roomId);
+
+    // Bankruptcy or departure may have passed the turn on
+    const turnChanged = gameState.gamePhase === 'PLAYING' && gameState.currentPlayerId !== previousPlayerId;
+    const previousDeadline = room.turnDeadline;
+    this.updateTurnTimer(roomId, room);
+    if (turnChanged) {
+      this.broadcastTurnChanged(roomId, room);
+    } else if (room.turnDeadline !== previousDeadline && gameState.gamePhase === 'PLAYING') {
+      // Rooms without a clock for this phase hear nothing; a clock that stops sends a null deadline
+      this.broadcastToRoom(roomId, {
+        type: 'turn_timer',
+        payload: {
+          currentPlayerId: gameState.currentPlayerId,
+          turnPhase: gameState.turnPhase,
+          deadline: room.turnDeadline
+        }
+      });
+    }
+  }
+
+  // Restarts the turn clock when the current player or phase changed; returns whether it did
+  updateTurnTimer(roomId, room) {
+    const gameState = room.gameState;
+    const key = gameState.gamePhase === 'PLAYING' ? `${gameState.currentPlayerId}:${gameState.turnPhase}` : null;
+    if (key === room.turnTimerKey) return false;
+
+    clearTimeout(room.turnTimer);
+    room.turnTimer = null;
+    room.turnDeadline = null;
+    room.turnTimerKey = key;
+
+    const seconds = key ? room.engine.getPhaseSeconds(gameState.turnPhase) : 0;
+    if (seconds > 0) {
+      room.turnTimer = setTimeout(() => this.handleTurnTimeout(roomId, room), seconds * 1000);
+      room.turnDeadline = Date.now() + seconds * 1000;
+    }
+    return true;
+  }
+
+  // Acts for whoever let the clock run out: rolls, declines the purchase and ends the turn,
+  // or sells a debtor's assets. Repeat offenders are marked AFK and removed.
+  handleTurnTimeout(roomId, room) {
+    const gameState = room.gameState;
+    room.turnTimer = null;
+    room.turnTimerKey = null;
+    if (!gameState || gameState.gamePhase !== 'PLAYING' || this.rooms.get(roomId) !== room) return;
+
+    const phase = gameState.turnPhase;
+    const timedOutIds = phase === 'LIQUIDATE'
+      ? [...new Set(gameState.debts.map(debt => debt.debtorId))]
+      : [gameState.currentPlayerId];
+
+    this.broadcastToRoom(roomId, {
+      type: 'turn_timeout',
+      payload: { playerIds: timedOutIds, turnPhase: phase }
+    });
+
+    if (phase === 'ROLL' || phase === 'CHOOSE_DESTINATION') {
+      this.rollFor(roomId, room, gameState.currentPlayerId);
+    } else if (phase === 'ACTION') {
+      this.endTurnFor(roomId, room, gameState.currentPlayerId);
+    } else if (phase === 'LIQUIDATE') {
+      timedOutIds.forEach(playerId => this.autoLiquidate(roomId, room, playerId));
+    }
+
+    timedOutIds.forEach(playerId => {
+      const count = (room.timeouts.get(playerId) || 0) + 1;
+      room.timeouts.set(playerId, count);
+      if (count >= room.engine.rules.afkTimeouts) this.removeAfkPlayer(roomId, room, playerId);
+    });
+  }
+
+  autoLiquidate(roomId, room, playerId) {
+    const gameState = room.gameState;
+    if (gameState.gamePhase !== 'PLAYING' || !room.engine.getDebtTotal(gameState, playerId)) return;
+
+    const previousPlayerId = gameState.currentPlayerId;
+    const events = room.engine.autoLiquidate(gameState, playerId);
+
+    this.broadcastToRoom(roomId, {
+      type: 'auto_liquidated',
+      payload: {
+        playerId: playerId,
+        events: events,
+        gameState: room.engine.getPublicState(gameState)
+      }
+    });
+
+    this.broadcastOutcome(roomId, room, events, previousPlayerId);
+  }
+
+  // The player stays connected but no longer takes turns
+  removeAfkPlayer(roomId, room, playerId) {
+    const gameState = room.gameState;
+    room.timeouts.delete(playerId);
+    if (gameState.gamePhase !== 'PLAYING' || !gameState.turnOrder.includes(playerId)) return;
+
+    const previousPlayerId = gameState.currentPlayerId;
+    const events = room.engine.eliminatePlayer(gameState, playerId);
+
+    // Their tiles are back with the bank
+    this.broadcastToRoom(roomId, {
+      type: 'player_afk',
+      payload: { playerId: playerId, gameState: room.engine.getPublicState(gameState) }
+    });
+    this.broadcastOutcome(roomId, room, events, previousPlayerId);
+    console.log(`Player ${playerId} removed from room ${roomId} as AFK`);
+  }
+
+  handleBuyProperty(ws, payload) {
+    const clientInfo = this.clients.get(ws);
+    const room = this.rooms.get(clientInfo.roomId);
+    const { tileId } = payload;
+
+    if (!room || !room.gameState) {
+      this.sendRejection(ws, 'buy_property', { reason: 'GAME_NOT_STARTED', message: 'Game not started' }, { tileId });
+      return;
+    }
+
+    const gameState = room.gameState;
+    const previousPlayerId = gameState.currentPlayerId;
+    const result = performAction(room.engine, gameState, clientInfo.playerId, 'buy_property', payload);
+    if (result.rejection) {
+      this.sendRejection(ws, 'buy_property', result.rejection, { tileId });
+      return;
+    }
+
+    // Broadcast property purchase
+    this.broadcastToRoom(clientInfo.roomId, {
+      type: 'property_bought',
+      payload: {
+        playerId: clientInfo.playerId,
+        tileId: tileId,
+        price: result.price,
+        gameState: room.engine.getPublicState(gameState)
+      }
+    });
+
+    this.broadcastOutcome(clientInfo.roomId, room, result.events, previousPlayerId);
+  }
+
+  handleBuild(ws, payload) {
+    const clientInfo = this.clients.get(ws);
+    const room = this.rooms.get(clientInfo.roomId);
+    const { tileId } = payload;
+
+    if (!room || !room.gameState) {
+      this.sendRejection(ws, 'build', { reason: 'GAME_NOT_STARTED', message: 'Game not started' }, { tileId });
+      return;
+    }
+
+    const gameState = room.gameState;
+    const result = performAction(room.engine, gameState, clientInfo.playerId, 'build', payload);
+    if (result.rejection) {
+      this.sendRejection(ws, 'build', result.rejection, { tileId });
+      return;
+    }
 
     // Broadcast building
+    this.saveRoom(clientInfo.roomId);
     this.broadcastToRoom(clientInfo.roomId, {
       type: 'building_built',
       payload: {
         playerId: clientInfo.playerId,
-        tileId: tileId
+        tileId: tileId,
+        buildingLevel: result.buildingLevel,
+        cost: result.cost,
+        gameState: room.engine.getPublicState(gameState)
+      }
+    });
+  }
+
+  handleChooseDestination(ws, payload) {
+    const clientInfo = this.clients.get(ws);
+    const room = this.rooms.get(clientInfo.roomId);
+    const { tileId } = payload;
+
+    if (!room || !room.gameState) {
+      this.sendRejection(ws, 'choose_destination', { reason: 'GAME_NOT_STARTED', message: 'Game not started' }, { tileId });
+      return;
+    }
+
+    const gameState = room.gameState;
+    const previousPlayerId = gameState.currentPlayerId;
+    const { rejection, events } = performAction(room.engine, gameState, clientInfo.playerId, 'choose_destination', payload);
+    if (rejection) {
+      this.sendRejection(ws, 'choose_destination', rejection, { tileId });
+      return;
+    }
+
+    this.broadcastToRoom(clientInfo.roomId, {
+      type: 'destination_chosen',
+      payload: {
+        playerId: clientInfo.playerId,
+        tileId: tileId,
+        events: events,
+        gameState: room.engine.getPublicState(gameState)
+      }
+    });
+
+    this.broadcastOutcome(clientInfo.roomId, room, events, previousPlayerId);
+  }
+
+  handleTransportTravel(ws, payload) {
+    const clientInfo = this.clients.get(ws);
+    const room = this.rooms.get(clientInfo.roomId);
+    const { tileId } = payload;
+
+    if (!room || !room.gameState) {
+      this.sendRejection(ws, 'transport_travel', { reason: 'GAME_NOT_STARTED', message: 'Game not started' }, { tileId });
+      return;
+    }
+
+    const gameState = room.gameState;
+    const previousPlayerId = gameState.currentPlayerId;
+    const { rejection, events } = performAction(room.engine, gameState, clientInfo.playerId, 'transport_travel', payload);
+    if (rejection) {
+      this.sendRejection(ws, 'transport_travel', rejection, { tileId });
+      return;
+    }
+
+    this.broadcastToRoom(clientInfo.roomId, {
+      type: 'transport_travelled',
+      payload: {
+        playerId: clientInfo.playerId,
+        tileId: tileId,
+        events: events,
+        gameState: room.engine.getPublicState(gameState)
+      }
+    });
+
+    this.broadcastOutcome(clientInfo.roomId, room, events, previousPlayerId);
+  }
+
+  handleSellAsset(ws, payload, kind) {
+    const clientInfo = this.clients.get(ws);
+    const room = this.rooms.get(clientInfo.roomId);
+    const action = kind === 'building' ? 'sell_building' : 'sell_property';
+    const { tileId } = payload;
+
+    if (!room || !room.gameState) {
+      this.sendRejection(ws, action, { reason: 'GAME_NOT_STARTED', message: 'Game not started' }, { tileId });
+      return;
+    }
+
+    const gameState = room.gameState;
+    const previousPlayerId = gameState.currentPlayerId;
+    const { rejection, events } = performAction(room.engine, gameState, clientInfo.playerId, action, payload);
+    if (rejection) {
+      this.sendRejection(ws, action, rejection, { tileId });
+      return;
+    }
+
+    this.broadcastToRoom(clientInfo.roomId, {
+      type: 'asset_sold',
+      payload: {
+        playerId: clientInfo.playerId,
+        tileId: tileId,
+        kind: kind,
+        events: events,
+        gameState: room.engine.getPublicState(gameState)
+      }
+    });
+
+    // Paying off the last debt resumes play
+    this.broadcastOutcome(clientInfo.roomId, room, events, previousPlayerId);
+  }
+
+  handleMortgage(ws, payload, mortgaged) {
+    const clientInfo = this.clients.get(ws);
+    const room = this.rooms.get(clientInfo.roomId);
+    const action = mortgaged ? 'mortgage' : 'unmortgage';
+    const { tileId } = payload;
+
+    if (!room || !room.gameState) {
+      this.sendRejection(ws, action, { reason: 'GAME_NOT_STARTED', message: 'Game not started' }, { tileId });
+      return;
+    }
+
+    const gameState = room.gameState;
+    const previousPlayerId = gameState.currentPlayerId;
+    const { rejection, events, amount } = performAction(room.engine, gameState, clientInfo.playerId, action, payload);
+    if (rejection) {
+      this.sendRejection(ws, action, rejection, { tileId });
+      return;
+    }
+
+    this.broadcastToRoom(clientInfo.roomId, {
+      type: 'mortgage_changed',
+      payload: {
+        playerId: clientInfo.playerId,
+        tileId: tileId,
+        mortgaged: mortgaged,
+        amount: amount,
+        events: events,
+        gameState: room.engine.getPublicState(gameState)
+      }
+    });
+
+    this.broadcastOutcome(clientInfo.roomId, room, events, previousPlayerId);
+  }
+
+  handleDeclareBankruptcy(ws) {
+    const clientInfo = this.clients.get(ws);
+    const room = this.rooms.get(clientInfo.roomId);
+
+    if (!room || !room.gameState) {
+      this.sendRejection(ws, 'declare_bankruptcy', { reason: 'GAME_NOT_STARTED', message: 'Game not started' });
+      return;
+    }
+
+    const gameState = room.gameState;
+    const previousPlayerId = gameState.currentPlayerId;
+    const { rejection, events } = performAction(room.engine, gameState, clientInfo.playerId, 'declare_bankruptcy');
+    if (rejection) {
+      this.sendRejection(ws, 'declare_bankruptcy', rejection);
+      return;
+    }
+
+    this.broadcastOutcome(clientInfo.roomId, room, events, previousPlayerId);
+  }
+
+  handleProposeTrade(ws, payload) {
+    const clientInfo = this.clients.get(ws);
+    const room = this.rooms.get(clientInfo.roomId);
+
+    if (!room || !room.gameState) {
+      this.sendRejection(ws, 'propose_trade', { reason: 'GAME_NOT_STARTED', message: 'Game not started' });
+      return;
+    }
+
+    const result = performAction(room.engine, room.gameState, clientInfo.playerId, 'propose_trade', payload);
+    if (result.rejection) {
+      this.sendRejection(ws, 'propose_trade', result.rejection);
+      return;
+    }
+
+    this.broadcastTradeProposed(clientInfo.roomId, room, result.trade, result.replacesId);
+  }
+
+  handleCounterTrade(ws, payload) {
+    const clientInfo = this.clients.get(ws);
+    const room = this.rooms.get(clientInfo.roomId);
+    const { tradeId } = payload;
+
+    if (!room || !room.gameState) {
+      this.sendRejection(ws, 'counter_trade', { reason: 'GAME_NOT_STARTED', message: 'Game not started' }, { tradeId });
+      return;
+    }
+
+    const result = performAction(room.engine, room.gameState, clientInfo.playerId, 'counter_trade', payload);
+    if (result.rejection) {
+      this.sendRejection(ws, 'counter_trade', result.rejection, { tradeId });
+      return;
+    }
+
+    this.broadcastTradeProposed(clientInfo.roomId, room, result.trade, result.replacesId);
+  }
+
+  // replacesId is the trade a counter-offer supersedes, if any
+  broadcastTradeProposed(roomId, room, trade, replacesId) {
+    this.saveRoom(roomId);
+    this.broadcastToRoom(roomId, {
+      type: 'trade_proposed',
+      payload: {
+        trade: trade,
+        replacesId: replacesId,
+        gameState: room.engine.getPublicState(room.gameState)
+      }
+    });
+  }
+
+  handleAcceptTrade(ws, payload) {
+    const clientInfo = this.clients.get(ws);
+    const room = this.rooms.get(clientInfo.roomId);
+    const { tradeId } = payload;
+
+    if (!room || !room.gameState) {
+      this.sendRejection(ws, 'accept_trade', { reason: 'GAME_NOT_STARTED', message: 'Game not started' }, { tradeId });
+      return;
+    }
+
+    const gameState = room.gameState;
+    const previousPlayerId = gameState.currentPlayerId;
+    const { rejection, events, droppedTradeId } = performAction(room.engine, gameState, clientInfo.playerId, 'accept_trade', payload);
+    if (droppedTradeId) {
+      this.broadcastTradeRejected(clientInfo.roomId, room, droppedTradeId, clientInfo.playerId, rejection.reason);
+    }
+    if (rejection) {
+      this.sendRejection(ws, 'accept_trade', rejection, { tradeId });
+      return;
+    }
+
+    this.broadcastToRoom(clientInfo.roomId, {
+      type: 'trade_accepted',
+      payload: {
+        tradeId: tradeId,
+        events: events,
+        gameState: room.engine.getPublicState(gameState)
+      }
+    });
+
+    this.broadcastOutcome(clientInfo.roomId, room, events, previousPlayerId);
+  }
+
+  handleRejectTrade(ws, payload) {
+    const clientInfo = this.clients.get(ws);
+    const room = this.rooms.get(clientInfo.roomId);
+    const { tradeId } = payload;
+
+    if (!room || !room.gameState) {
+      this.sendRejection(ws, 'reject_trade', { reason: 'GAME_NOT_STARTED', message: 'Game not started' }, { tradeId });
+      return;
+    }
+
+    const { rejection } = performAction(room.engine, room.gameState, clientInfo.playerId, 'reject_trade', payload);
+    if (rejection) {
+      this.sendRejection(ws, 'reject_trade', rejection, { tradeId });
+      return;
+    }
+
+    this.broadcastTradeRejected(clientInfo.roomId, room, tradeId, clientInfo.playerId, 'DECLINED');
+  }
+
+  // reason is DECLINED, or the rejection reason when a trade went stale
+  broadcastTradeRejected(roomId, room, tradeId, playerId, reason) {
+    this.saveRoom(roomId);
+    this.broadcastToRoom(roomId, {
+      type: 'trade_rejected',
+      payload: {
+        tradeId: tradeId,
+        playerId: playerId,
+        reason: reason,
+        gameState: room.engine.getPublicState(room.gameState)
       }
     });
   }
@@ -344,30 +1563,205 @@ class GameServer {
     const clientInfo = this.clients.get(ws);
     const room = this.rooms.get(clientInfo.roomId);
 
-    if (!room || !room.gameState) return;
+    if (!room || !room.gameState) {
+      this.sendRejection(ws, 'end_turn', { reason: 'GAME_NOT_STARTED', message: 'Game not started' });
+      return;
+    }
 
+    const rejection = this.endTurnFor(clientInfo.roomId, room, clientInfo.playerId);
+    if (rejection) {
+      this.sendRejection(ws, 'end_turn', rejection);
+    }
+  }
+
+  // Ends the current turn (on request or when the clock runs out with the purchase undecided);
+  // returns the rejection if the player may not end it
+  endTurnFor(roomId, room, playerId) {
     const gameState = room.gameState;
-    
+
     // Move to next player
-    const playerIds = Array.from(room.players.keys());
-    const currentIndex = playerIds.indexOf(gameState.currentPlayerId);
-    const nextIndex = (currentIndex + 1) % playerIds.length;
-    gameState.currentPlayerId = playerIds[nextIndex];
+    const previousPlayerId = gameState.currentPlayerId;
+    const result = performAction(room.engine, gameState, playerId, 'end_turn');
+    if (result.rejection) return result.rejection;
+
+    // A declined city goes to auction first when the house rule is on
+    if (result.auction) {
+      this.broadcastAuctionStarted(roomId, room, result.events);
+      return null;
+    }
+
+    // Broadcast turn change (or game over)
+    this.broadcastOutcome(roomId, room, result.events, previousPlayerId);
+    return null;
+  }
+
+  // events holds the auction_started event from performAction()
+  broadcastAuctionStarted(roomId, room, events) {
+    // The bidding window replaces the turn clock
+    this.updateTurnTimer(roomId, room);
+
+    this.saveRoom(roomId);
+    this.broadcastToRoom(roomId, {
+      type: 'auction_started',
+      payload: {
+        tileId: events[0].tileId,
+        minimumBid: events[0].minimumBid,
+        deadline: this.resetAuctionTimer(roomId, room),
+        events: events,
+        gameState: room.engine.getPublicState(room.gameState)
+      }
+    });
+
+    // Nobody can afford to bid
+    if (room.engine.isAuctionDecided(room.gameState)) {
+      this.finishAuction(roomId, room);
+    }
+  }
+
+  // (Re)starts the bidding window and returns its deadline for client countdowns
+  resetAuctionTimer(roomId, room) {
+    clearTimeout(room.auctionTimer);
+    const ms = room.engine.rules.auctionSeconds * 1000;
+    room.auctionTimer = setTimeout(() => this.finishAuction(roomId, room), ms);
+    room.auctionDeadline = Date.now() + ms;
+    return room.auctionDeadline;
+  }
+
+  finishAuction(roomId, room) {
+    clearTimeout(room.auctionTimer);
+    room.auctionTimer = null;
+    if (!room.gameState || !room.gameState.auction) return;
+
+    const previousPlayerId = room.gameState.currentPlayerId;
+    const tileId = room.gameState.auction.tileId;
+    const events = room.engine.closeAuction(room.gameState);
+    const won = events.find(event => event.type === 'auction_won');
+
+    this.broadcastToRoom(roomId, {
+      type: 'auction_ended',
+      payload: {
+        tileId: tileId,
+        winnerId: won ? won.playerId : null,
+        amount: won ? won.amount : 0,
+        events: events,
+        gameState: room.engine.getPublicState(room.gameState)
+      }
+    });
+
+    this.broadcastOutcome(roomId, room, events, previousPlayerId);
+  }
+
+  handleBid(ws, payload) {
+    const clientInfo = this.clients.get(ws);
+    const room = this.rooms.get(clientInfo.roomId);
+    const { amount } = payload;
+
+    if (!room || !room.gameState) {
+      this.sendRejection(ws, 'bid', { reason: 'GAME_NOT_STARTED', message: 'Game not started' });
+      return;
+    }
+
+    const gameState = room.gameState;
+    const { rejection, events } = performAction(room.engine, gameState, clientInfo.playerId, 'bid', payload);
+    if (rejection) {
+      this.sendRejection(ws, 'bid', rejection, { amount });
+      return;
+    }
+
+    const event = events[0];
+    this.saveRoom(clientInfo.roomId);
+    this.broadcastToRoom(clientInfo.roomId, {
+      type: 'auction_bid',
+      payload: {
+        playerId: clientInfo.playerId,
+        tileId: event.tileId,
+        amount: amount,
+        deadline: this.resetAuctionTimer(clientInfo.roomId, room),
+        gameState: room.engine.getPublicState(gameState)
+      }
+    });
+
+    if (room.engine.isAuctionDecided(gameState)) {
+      this.finishAuction(clientInfo.roomId, room);
+    }
+  }
+
+  handlePass(ws) {
+    const clientInfo = this.clients.get(ws);
+    const room = this.rooms.get(clientInfo.roomId);
+
+    if (!room || !room.gameState) {
+      this.sendRejection(ws, 'pass', { reason: 'GAME_NOT_STARTED', message: 'Game not started' });
+      return;
+    }
 
-    // Broadcast turn change
+    const gameState = room.gameState;
+    const { rejection, events } = performAction(room.engine, gameState, clientInfo.playerId, 'pass');
+    if (rejection) {
+      this.sendRejection(ws, 'pass', rejection);
+      return;
+    }
+
+    const event = events[0];
+    this.saveRoom(clientInfo.roomId);
     this.broadcastToRoom(clientInfo.roomId, {
+      type: 'auction_passed',
+      payload: {
+        playerId: clientInfo.playerId,
+        tileId: event.tileId,
+        gameState: room.engine.getPublicState(gameState)
+      }
+    });
+
+    if (room.engine.isAuctionDecided(gameState)) {
+      this.finishAuction(clientInfo.roomId, room);
+    }
+  }
+
+  broadcastTurnChanged(roomId, room) {
+    const gameState = room.gameState;
+    this.broadcastToRoom(roomId, {
       type: 'turn_changed',
       payload: {
-        currentPlayerId: gameState.currentPlayerId
+        currentPlayerId: gameState.currentPlayerId,
+        turnPhase: gameState.turnPhase,
+        round: gameState.round,
+        deadline: room.turnDeadline // null when the phase is untimed
       }
     });
   }
 
   handleChat(ws, payload) {
     const clientInfo = this.clients.get(ws);
-    const { message } = payload;
+    let message = this.textFilter.clean(payload.message, MAX_CHAT_LENGTH);
+
+    if (!clientInfo.roomId || !message) return;
+
+    if (this.textFilter.findBannedWord(message)) {
+      this.recordOffence(ws, 'BANNED_WORD', 'Banned words are not allowed in chat');
+      message = this.textFilter.mask(message);
+      // Spelled out with spaces in between, it cannot be masked in place; drop it
+      if (this.textFilter.findBannedWord(message)) return;
+    }
 
-    if (!clientInfo.roomId) return;
+    // Spectators talk among themselves, live; players never see it
+    if (clientInfo.spectating) {
+      const room = this.rooms.get(clientInfo.roomId);
+      room.spectators.forEach(spectator => {
+        if (spectator.ws.readyState === WebSocket.OPEN) {
+          this.send(spectator.ws, {
+            type: 'spectator_chat',
+            payload: {
+              spectatorId: clientInfo.playerId,
+              name: clientInfo.playerName,
+              message: message,
+              timestamp: Date.now()
+            }
+          });
+        }
+      });
+      return;
+    }
 
     this.broadcastToRoom(clientInfo.roomId, {
       type: 'chat_message',
@@ -382,39 +1776,299 @@ class GameServer {
 
   handleDisconnect(ws) {
     const clientInfo = this.clients.get(ws);
-    
-    if (clientInfo && clientInfo.roomId) {
+    const room = clientInfo && this.rooms.get(clientInfo.roomId);
+
+    // A running game holds the seat so the player can rejoin
+    if (clientInfo && clientInfo.spectating) {
+      this.handleLeaveRoom(ws);
+    } else if (room && room.gameState && room.gameState.gamePhase === 'PLAYING') {
+      this.holdSeat(clientInfo.roomId, room, clientInfo.playerId);
+    } else if (clientInfo && clientInfo.roomId) {
       this.handleLeaveRoom(ws);
     }
     
+    this.lobbyClients.delete(ws);
     this.clients.delete(ws);
   }
 
-  initializeGameState(room) {
-    const playerIds = Array.from(room.players.keys());
-    
+  holdSeat(roomId, room, playerId) {
+    const player = room.players.get(playerId);
+    if (!player) return;
+
+    const graceMs = this.reconnectGraceSeconds * 1000;
+    player.ws = null;
+    clearTimeout(player.disconnectTimer);
+    player.disconnectTimer = setTimeout(() => this.removePlayer(roomId, room, playerId), graceMs);
+
+    this.broadcastToRoom(roomId, {
+      type: 'player_disconnected',
+      payload: {
+        playerId: playerId,
+        playerName: player.name,
+        deadline: Date.now() + graceMs
+      }
+    });
+  }
+
+  // Reattaches a socket to a held (or still connected) seat and resends the whole game
+  handleRejoin(ws, payload) {
+    const clientInfo = this.clients.get(ws);
+    const session = this.sessions.get(payload && payload.sessionToken);
+    const room = session && this.rooms.get(session.roomId);
+    const player = room && room.players.get(session.playerId);
+
+    if (!player) {
+      this.sendRejection(ws, 'rejoin', { reason: 'SESSION_EXPIRED', message: 'Session expired; join a new room' });
+      return;
+    }
+
+    // A second tab or a socket the server has not noticed is dead yet loses the seat
+    if (player.ws && player.ws !== ws) {
+      const previous = this.clients.get(player.ws);
+      if (previous) {
+        previous.roomId = null;
+        previous.playerId = null;
+      }
+      player.ws.close();
+    }
+
+    // The socket gives up whatever room or seat it was in before taking this one
+    if (clientInfo.roomId && player.ws !== ws) this.handleLeaveRoom(ws);
+
+    clearTimeout(player.disconnectTimer);
+    player.disconnectTimer = null;
+    player.ws = ws;
+    clientInfo.roomId = session.roomId;
+    clientInfo.playerId = player.id;
+    clientInfo.playerName = player.name;
+
+    this.send(ws, { type: 'sync_state', payload: this.getSyncState(room, player) });
+
+    this.broadcastToRoom(session.roomId, {
+      type: 'player_reconnected',
+      payload: {
+        playerId: player.id,
+        playerName: player.name
+      }
+    }, ws);
+
+    console.log(`${player.name} rejoined room ${session.roomId}`);
+  }
+
+  // Everything a client needs to rebuild the room and scene from scratch
+  getSyncState(room, player = null) {
     return {
-      currentPlayerId: playerIds[0],
-      players: playerIds.map((id, index) => ({
-        id: id,
-        position: 0,
-        money: 2000000,
-        properties: [],
-        inJail: false
+      roomId: room.id,
+      playerId: player ? player.id : null,
+      isHost: !!player && room.hostId === player.id,
+      board: { id: this.board.id, name: this.board.name, version: this.board.version },
+      rules: room.rules,
+      players: Array.from(room.players.values()).map(p => ({
+        id: p.id,
+        name: p.name,
+        connected: !!p.ws,
+        isBot: !!p.bot
       })),
-      lastDiceRoll: null
+      spectatorCount: room.spectators.size,
+      seedHash: room.gameState ? hashSeed(room.random.seed) : null,
+      deadline: room.turnDeadline,
+      auctionDeadline: room.gameState && room.gameState.auction ? room.auctionDeadline : null,
+      gameState: room.gameState ? room.engine.getPublicState(room.gameState) : null
+    };
+  }
+
+  // Every broadcast after game start is kept as [ms since start, type, payload]
+  recordReplay(room, message) {
+    if (!room.replay) return;
+    room.replay.events.push([Date.now() - room.replay.startedAt, message.type, message.payload]);
+  }
+
+  // The downloadable replay file: everything the players saw, in order
+  getReplay(room) {
+    return {
+      format: 'blue-marble-replay',
+      version: REPLAY_VERSION,
+      roomId: room.id,
+      board: { id: this.board.id, name: this.board.name, version: this.board.version },
+      rules: room.rules,
+      players: room.replay.players,
+      startedAt: room.replay.startedAt,
+      events: room.replay.events
     };
   }
 
+  // Serializable copy of a room; sockets and timers are rebuilt on restore
+  snapshotRoom(room) {
+    return {
+      version: SNAPSHOT_VERSION,
+      savedAt: Date.now(),
+      id: room.id,
+      hostId: room.hostId,
+      maxPlayers: room.maxPlayers,
+      visibility: room.visibility,
+      passwordHash: room.passwordHash,
+      board: { id: this.board.id, version: this.board.version },
+      rules: room.rules,
+      // The draws and replay events themselves are in the room log; these say how many belong here
+      random: { seed: room.random.seed, state: room.random.state.slice() },
+      replay: room.replay && { startedAt: room.replay.startedAt, players: room.replay.players },
+      logLength: { replay: room.replay ? room.replay.events.length : 0, random: room.random.log.length },
+      isStarted: room.isStarted,
+      gameState: room.gameState,
+      players: Array.from(room.players.values()).map(p => ({
+        id: p.id,
+        name: p.name,
+        sessionToken: p.sessionToken,
+        isReady: p.isReady,
+        strategy: p.strategy || null
+      }))
+    };
+  }
+
+  // Called after every committed action; a failing store is logged rather than ending the game.
+  // Only the replay events and draws since the last save are written, appended to the room log.
+  saveRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!this.store || !room) return;
+
+    try {
+      const replayEvents = room.replay ? room.replay.events : [];
+      const entries = {
+        replay: replayEvents.slice(room.savedLog.replay),
+        random: room.random.log.slice(room.savedLog.random)
+      };
+      if (entries.replay.length || entries.random.length) {
+        this.store.appendRoomLog(roomId, room.savedLog, entries);
+      }
+      this.store.saveRoom(roomId, this.snapshotRoom(room));
+      room.savedLog = { replay: replayEvents.length, random: room.random.log.length };
+    } catch (error) {
+      console.error(`Failed to save room ${roomId}:`, error);
+    }
+  }
+
+  archiveGame(roomId, room, gameOver) {
+    if (!this.store) return;
+
+    const record = {
+      id: `${roomId}-${Date.now()}`,
+      roomId: roomId,
+      finishedAt: Date.now(),
+      listed: isOpenRoom(room),
+      board: { id: this.board.id, version: this.board.version },
+      rules: room.rules,
+      players: (room.gameState.players || []).map(p => ({
+        id: p.id,
+        name: room.players.has(p.id) ? room.players.get(p.id).name : null
+      })),
+      winnerId: gameOver.winnerId,
+      reason: gameOver.reason,
+      standings: gameOver.standings,
+      seed: room.random.seed,
+      randomLog: room.random.log,
+      replay: room.replay ? this.getReplay(room) : null
+    };
+
+    try {
+      this.store.archiveGame(record);
+    } catch (error) {
+      console.error(`Failed to archive game in room ${roomId}:`, error);
+    }
+  }
+
+  // Rebuilds saved rooms with every seat held, so players get the grace period to rejoin
+  restoreRooms() {
+    if (!this.store) return;
+
+    this.store.loadRooms().forEach(snapshot => {
+      if (snapshot.version !== SNAPSHOT_VERSION || snapshot.board.id !== this.board.id ||
+          snapshot.board.version !== this.board.version) {
+        console.warn(`Not restoring room ${snapshot.id}: saved for another board or snapshot version`);
+        return;
+      }
+
+      // Log entries past the snapshot were appended just before a crash; they are written again
+      const length = snapshot.logLength;
+      const random = SeededRandom.fromJSON({ ...snapshot.random, log: snapshot.log.random.slice(0, length.random) });
+      const room = this.createRoom(snapshot.id, snapshot.hostId, snapshot.maxPlayers, snapshot.rules, random);
+      room.isStarted = snapshot.isStarted;
+      room.visibility = snapshot.visibility || 'public';
+      room.passwordHash = snapshot.passwordHash || null;
+      room.gameState = snapshot.gameState;
+      room.replay = snapshot.replay && { ...snapshot.replay, events: snapshot.log.replay.slice(0, length.replay) };
+      room.savedLog = { ...length };
+
+      snapshot.players.forEach(saved => {
+        if (saved.strategy) {
+          room.players.set(saved.id, this.createBot(snapshot.id, saved.id, saved.name, saved.strategy));
+          return;
+        }
+        const player = this.createPlayer(snapshot.id, saved.id, saved.name, null, saved.sessionToken);
+        player.isReady = saved.isReady;
+        room.players.set(saved.id, player);
+        this.sessions.set(saved.sessionToken, { roomId: snapshot.id, playerId: saved.id });
+      });
+      this.rooms.set(snapshot.id, room);
+
+      // Bots carry on by themselves; people get the grace period to rejoin
+      room.players.forEach(player => {
+        if (player.bot) {
+          player.bot.schedule();
+        } else {
+          this.holdSeat(snapshot.id, room, player.id);
+        }
+      });
+      if (room.gameState && room.gameState.gamePhase === 'PLAYING') {
+        this.updateTurnTimer(snapshot.id, room);
+        if (room.gameState.auction) this.resetAuctionTimer(snapshot.id, room);
+      }
+    });
+
+    if (this.rooms.size) console.log(`Restored ${this.rooms.size} room(s)`);
+  }
+
+  createSession(roomId, playerId) {
+    const token = crypto.randomBytes(24).toString('hex');
+    this.sessions.set(token, { roomId: roomId, playerId: playerId });
+    return token;
+  }
+
+  // Every die and shuffle of a game comes from this seed; its hash is published at game start
+  // and the seed itself at game over
+  createRandom() {
+    return new SeededRandom(crypto.randomBytes(16).toString('hex'));
+  }
+
+  initializeGameState(room) {
+    const playerIds = Array.from(room.players.keys());
+    return room.engine.createInitialState(playerIds, room.rules.victory, room.rules.houseRules);
+  }
+
   broadcastToRoom(roomId, message, excludeWs = null) {
     const room = this.rooms.get(roomId);
     if (!room) return;
 
+    this.recordReplay(room, message);
     room.players.forEach(player => {
-      if (player.ws !== excludeWs && player.ws.readyState === WebSocket.OPEN) {
+      if (player.ws && player.ws !== excludeWs && player.ws.readyState === WebSocket.OPEN) {
         this.send(player.ws, message);
       }
     });
+    this.sendToSpectators(room, message);
+  }
+
+  // Tells spectators their room is gone when the last player leaves
+  closeSpectators(room) {
+    room.spectators.forEach(spectator => {
+      const clientInfo = this.clients.get(spectator.ws);
+      if (clientInfo) {
+        clientInfo.roomId = null;
+        clientInfo.playerId = null;
+        clientInfo.spectating = false;
+      }
+      this.send(spectator.ws, { type: 'room_closed', payload: { roomId: room.id } });
+    });
+    room.spectators.clear();
   }
 
   send(ws, message) {
@@ -423,13 +2077,34 @@ class GameServer {
     }
   }
 
-  sendError(ws, errorMessage) {
+  // code is one of ERROR_CODES in shared/protocol.js
+  sendError(ws, code, errorMessage, details = {}) {
     this.send(ws, {
       type: 'error',
-      payload: { message: errorMessage }
+      requestId: this.getRequestId(ws),
+      payload: { code: code, message: errorMessage, ...details }
+    });
+  }
+
+  // Tells the sender why a game action was refused
+  sendRejection(ws, action, rejection, details = {}) {
+    this.send(ws, {
+      type: 'action_rejected',
+      requestId: this.getRequestId(ws),
+      payload: {
+        action: action,
+        reason: rejection.reason,
+        message: rejection.message,
+        ...details
+      }
     });
   }
 
+  getRequestId(ws) {
+    const clientInfo = this.clients.get(ws);
+    return clientInfo ? clientInfo.requestId : undefined;
+  }
+
   generateRoomId() {
     return Math.random().toString(36).substring(2, 8).toUpperCase();
   }
@@ -448,7 +2123,14 @@ class GameServer {
 // Start server
 if (require.main === module) {
   const port = process.env.PORT || 8080;
-  const server = new GameServer(port);
+  const server = new GameServer(port, {
+    boardId: process.env.BOARD,
+    // STORE=json (default), sqlite or none; DATA_DIR / SQLITE_FILE override where it lives
+    store: createStore(process.env.STORE || 'json', process.env.STORE === 'sqlite' ? process.env.SQLITE_FILE : process.env.DATA_DIR),
+    // BANNED_WORDS_FILE lists one word per line
+    bannedWords: process.env.BANNED_WORDS_FILE ? loadBannedWords(process.env.BANNED_WORDS_FILE) : [],
+    trustProxy: process.env.TRUST_PROXY === '1'
+  });
   server.start();
 }
 
@@ -0,0 +1,142 @@
+// board.js - Board definition validation and loading shared by server and client
+// Boards are versioned JSON files in shared/boards/; see classic.json for the reference layout.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.BlueMarble = root.BlueMarble || {};
+    Object.assign(root.BlueMarble, factory());
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const BOARD_SCHEMA_VERSION = 1;
+
+  const TILE_TYPES = ['city', 'transport', 'chance', 'special'];
+
+  // role marks tiles with rules attached: start (tile 0, salary when passed),
+  // deserted_island (jail), welfare_contribute / welfare_receive (Social Welfare Fund),
+  // space_travel (pick a destination on the next turn)
+  const TILE_ROLES = ['start', 'deserted_island', 'welfare_contribute', 'welfare_receive', 'space_travel'];
+  const REQUIRED_ROLES = ['start', 'deserted_island'];
+
+  const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+  class BoardValidationError extends Error {
+    constructor(boardId, errors) {
+      super(`Invalid board "${boardId}":\n  - ${errors.join('\n  - ')}`);
+      this.name = 'BoardValidationError';
+      this.boardId = boardId;
+      this.errors = errors;
+    }
+  }
+
+  function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+  }
+
+  // Returns a list of human-readable problems; empty when the definition is valid
+  function validateBoard(definition) {
+    const errors = [];
+    if (!definition || typeof definition !== 'object') return ['Board definition must be an object'];
+
+    if (definition.schemaVersion !== BOARD_SCHEMA_VERSION) {
+      errors.push(`schemaVersion must be ${BOARD_SCHEMA_VERSION} (got ${definition.schemaVersion})`);
+    }
+    ['id', 'name', 'version'].forEach(field => {
+      if (typeof definition[field] !== 'string' || !definition[field]) errors.push(`${field} must be a non-empty string`);
+    });
+
+    const buildCosts = definition.buildCosts;
+    if (!Array.isArray(buildCosts) || !buildCosts.length || !buildCosts.every(isPositiveInteger)) {
+      errors.push('buildCosts must be a non-empty array of positive integers');
+    }
+
+    const groups = definition.groups || {};
+    if (typeof groups !== 'object' || Array.isArray(groups)) errors.push('groups must be an object');
+    Object.keys(groups).forEach(key => {
+      if (!COLOR_PATTERN.test(groups[key] && groups[key].color)) errors.push(`group "${key}" needs a #RRGGBB color`);
+    });
+
+    const tiles = definition.tiles;
+    if (!Array.isArray(tiles)) {
+      errors.push('tiles must be an array');
+      return errors;
+    }
+    if (tiles.length < 8 || tiles.length % 4 !== 0) {
+      errors.push(`the number of tiles must be a multiple of 4 (at least 8) so the board is square (got ${tiles.length})`);
+    }
+
+    const levels = Array.isArray(buildCosts) ? buildCosts.length + 1 : 0;
+    const transportCount = tiles.filter(tile => tile && tile.type === 'transport').length;
+    const keys = new Set();
+    const roleCounts = {};
+
+    tiles.forEach((tile, index) => {
+      const at = `tiles[${index}]`;
+      if (!tile || typeof tile !== 'object') {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      if (tile.id !== index) errors.push(`${at}.id must be ${index}`);
+      if (typeof tile.name !== 'string' || !tile.name) errors.push(`${at}.name must be a non-empty string`);
+      if (!TILE_TYPES.includes(tile.type)) errors.push(`${at}.type must be one of ${TILE_TYPES.join(', ')}`);
+
+      if (tile.key !== undefined) {
+        if (keys.has(tile.key)) errors.push(`${at}.key "${tile.key}" is used twice`);
+        keys.add(tile.key);
+      }
+
+      if (tile.group !== undefined && !groups[tile.group]) errors.push(`${at}.group "${tile.group}" is not defined in groups`);
+      if (tile.group === undefined && !COLOR_PATTERN.test(tile.color)) errors.push(`${at} needs a group or a #RRGGBB color`);
+
+      if (tile.role !== undefined) {
+        if (!TILE_ROLES.includes(tile.role)) errors.push(`${at}.role must be one of ${TILE_ROLES.join(', ')}`);
+        roleCounts[tile.role] = (roleCounts[tile.role] || 0) + 1;
+      }
+
+      if (tile.type === 'city' || tile.type === 'transport') {
+        const expected = tile.type === 'city' ? levels : transportCount;
+        if (!isPositiveInteger(tile.price)) errors.push(`${at}.price must be a positive integer`);
+        if (!Array.isArray(tile.rentTable) || tile.rentTable.length !== expected ||
+            !tile.rentTable.every(rent => Number.isInteger(rent) && rent >= 0)) {
+          errors.push(tile.type === 'city'
+            ? `${at}.rentTable must list ${expected} rents, one per building level`
+            : `${at}.rentTable must list ${expected} rents, one per transport tile owned`);
+        }
+      }
+      if (tile.type === 'city' && tile.group === undefined) errors.push(`${at} is a city and needs a group`);
+    });
+
+    REQUIRED_ROLES.forEach(role => {
+      if (roleCounts[role] !== 1) errors.push(`exactly one tile must have role "${role}"`);
+    });
+    if (tiles[0] && tiles[0].role !== 'start') errors.push('tiles[0] must be the start tile');
+
+    return errors;
+  }
+
+  // Validates a parsed JSON definition and returns the board the rules engine and renderer use:
+  // tiles get numeric colors (taken from their group when not set) and a default price of 0
+  function loadBoard(definition) {
+    const errors = validateBoard(definition);
+    if (errors.length) throw new BoardValidationError(definition && definition.id || 'unknown', errors);
+
+    const groups = definition.groups || {};
+    const tiles = definition.tiles.map(tile => ({
+      ...tile,
+      price: tile.price || 0,
+      color: parseInt((tile.color || groups[tile.group].color).slice(1), 16)
+    }));
+
+    return {
+      id: definition.id,
+      name: definition.name,
+      version: definition.version,
+      groups: groups,
+      buildCosts: definition.buildCosts.slice(),
+      tiles: tiles,
+      islandTile: tiles.find(tile => tile.role === 'deserted_island').id
+    };
+  }
+
+  return { BOARD_SCHEMA_VERSION, TILE_TYPES, TILE_ROLES, BoardValidationError, validateBoard, loadBoard };
+});
@@ -0,0 +1,74 @@
+// golden-keys.js - Golden Key (황금열쇠) card catalogue and deck helpers
+// The deck itself lives in the server's game state; only counts are sent to clients.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.BlueMarble = root.BlueMarble || {};
+    Object.assign(root.BlueMarble, factory());
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  // Effect types:
+  //   advance_to { tileKey }         move forward to the board tile with that key, collecting salary past Start
+  //   move_relative { steps }        move by steps (negative = backwards, no salary)
+  //   receive { amount }             bank pays the player
+  //   pay { amount, toFund }         player pays the bank, or the Social Welfare Fund
+  //   pay_per_building { amount }    player pays per building level owned
+  //   collect_from_players { amount } every other player pays the drawer
+  //   go_to_island                   straight to Deserted Island
+  //   hold                           kept by the player until used
+  const GOLDEN_KEY_CARDS = [
+    { id: 'advance_start', title: '출발지로 이동', text: 'Advance to Start and collect your salary.', effect: { type: 'advance_to', tileKey: 'start' } },
+    { id: 'advance_seoul', title: '서울 올림픽 초대', text: 'Advance to Seoul.', effect: { type: 'advance_to', tileKey: 'seoul' } },
+    { id: 'advance_busan', title: '부산 여행', text: 'Advance to Busan.', effect: { type: 'advance_to', tileKey: 'busan' } },
+    { id: 'move_back_3', title: '뒤로 세 칸', text: 'Go back three tiles.', effect: { type: 'move_relative', steps: -3 } },
+    { id: 'lottery', title: '복권 당첨', text: 'You won the lottery. Receive 200,000.', effect: { type: 'receive', amount: 200000 } },
+    { id: 'scholarship', title: '장학금 혜택', text: 'Receive a scholarship of 100,000.', effect: { type: 'receive', amount: 100000 } },
+    { id: 'hospital', title: '병원비 지불', text: 'Pay hospital fees of 50,000.', effect: { type: 'pay', amount: 50000 } },
+    { id: 'speeding', title: '과속 벌금', text: 'Speeding fine. Pay 30,000.', effect: { type: 'pay', amount: 30000 } },
+    { id: 'welfare_donation', title: '사회복지기금 기부', text: 'Donate 100,000 to the Social Welfare Fund.', effect: { type: 'pay', amount: 100000, toFund: true } },
+    { id: 'repairs', title: '건물 수리비', text: 'Pay 30,000 for each building level you own.', effect: { type: 'pay_per_building', amount: 30000 } },
+    { id: 'birthday', title: '생일 축하', text: 'It is your birthday. Collect 20,000 from every player.', effect: { type: 'collect_from_players', amount: 20000 } },
+    { id: 'go_to_island', title: '무인도로 가시오', text: 'Go straight to Deserted Island.', effect: { type: 'go_to_island' } },
+    { id: 'island_escape', title: '무인도 탈출권', text: 'Keep this card. Escape Deserted Island once.', effect: { type: 'hold' } },
+    { id: 'rent_exemption', title: '통행료 면제권', text: 'Keep this card. Skip paying rent once.', effect: { type: 'hold' } }
+  ];
+
+  function getCard(cardId) {
+    return GOLDEN_KEY_CARDS.find(card => card.id === cardId);
+  }
+
+  function shuffle(items, random) {
+    const result = items.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(random('shuffle') * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  // cards lets a board leave out cards it cannot play (e.g. a missing advance_to tile)
+  function createDeck(random, cards = GOLDEN_KEY_CARDS) {
+    return {
+      drawPile: shuffle(cards.map(card => card.id), random),
+      discardPile: []
+    };
+  }
+
+  // Draws the top card, reshuffling the discards when the pile runs out
+  function drawCard(deck, random) {
+    if (deck.drawPile.length === 0) {
+      deck.drawPile = shuffle(deck.discardPile, random);
+      deck.discardPile = [];
+    }
+
+    const cardId = deck.drawPile.shift();
+    return cardId ? getCard(cardId) : null;
+  }
+
+  function discardCard(deck, cardId) {
+    deck.discardPile.push(cardId);
+  }
+
+  return { GOLDEN_KEY_CARDS, getGoldenKey: getCard, shuffle, createDeck, drawCard, discardCard };
+});
@@ -0,0 +1,315 @@
+// protocol.js - Message schemas shared by server and client
+// Every message is { type, payload, requestId? }. CLIENT_MESSAGES and SERVER_MESSAGES declare the
+// payload fields of each type and validateMessage() checks a message against one of the tables.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.BlueMarble = root.BlueMarble || {};
+    Object.assign(root.BlueMarble, factory());
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  // Bumped on any incompatible change to the tables below. Clients offer their version in the
+  // socket URL (?protocol=N); the server answers with the version it will speak in `connected`.
+  const PROTOCOL_VERSION = 1;
+  // Oldest version the other side may speak
+  const MIN_PROTOCOL_VERSION = 1;
+
+  const MAX_NAME_LENGTH = 20;
+  const MAX_CHAT_LENGTH = 200;
+  const MAX_REQUEST_ID_LENGTH = 64;
+  const MAX_PASSWORD_LENGTH = 32;
+
+  // Public rooms are listed by list_rooms; private ones are only joined by their code
+  const ROOM_VISIBILITIES = ['public', 'private'];
+
+  // Codes of `error` messages. A refused game action is an action_rejected carrying the rules
+  // engine's reason instead (NOT_YOUR_TURN, INSUFFICIENT_FUNDS, ...) or GAME_NOT_STARTED.
+  const ERROR_CODES = [
+    'UNSUPPORTED_PROTOCOL', // the client's protocol version is not spoken here; it must be updated
+    'INVALID_MESSAGE', // not JSON, no type, or a bad requestId
+    'UNKNOWN_MESSAGE_TYPE',
+    'INVALID_PAYLOAD', // a payload field is missing, of the wrong type or out of range
+    'INTERNAL_ERROR',
+    'INVALID_RULES',
+    'ROOM_NOT_FOUND',
+    'ROOM_FULL',
+    'GAME_ALREADY_STARTED',
+    'NOT_HOST',
+    'NOT_ENOUGH_PLAYERS',
+    'SPECTATORS_FULL',
+    'UNKNOWN_STRATEGY',
+    'BOT_NOT_FOUND',
+    'PASSWORD_REQUIRED', // the room has a password and join_room did not give one
+    'WRONG_PASSWORD',
+    'TOO_MANY_PASSWORD_TRIES', // this address gave too many wrong passwords for the room; the message says how long to wait
+    'INVALID_NAME', // empty once control characters are stripped, or contains a banned word
+    'TOO_MANY_ROOMS', // this address already has the most open rooms allowed
+    'DISCONNECTED' // sent just before the server closes a socket that ignored its warnings
+  ];
+
+  // Codes of `warning` messages; each warning uses up one of warningsLeft
+  const WARNING_CODES = [
+    'RATE_LIMITED', // the message was dropped; retryAfter says when that type is accepted again
+    'BANNED_WORD'
+  ];
+
+  // Field specs: type is string, integer, number, boolean, object, array or any.
+  // optional fields may be left out, nullable ones may be null; min/max bound numbers,
+  // minLength/maxLength strings and arrays; values lists the only values allowed;
+  // items and fields describe array and object contents.
+  function field(type, options = {}) {
+    return { type: type, ...options };
+  }
+
+  function optional(spec) {
+    return { ...spec, optional: true };
+  }
+
+  const NAME = field('string', { minLength: 1, maxLength: MAX_NAME_LENGTH });
+  const ROOM_ID = field('string', { minLength: 1, maxLength: 16 });
+  const PLAYER_ID = field('string', { minLength: 1, maxLength: 32 });
+  const TILE_ID = field('integer', { min: 0 });
+  const TRADE_ID = field('integer', { min: 1 });
+  const AMOUNT = field('integer', { min: 0 });
+  const TRADE_SIDE = field('object', {
+    fields: { tiles: optional(field('array', { items: TILE_ID })), cash: optional(AMOUNT) }
+  });
+  const DEADLINE = field('number', { nullable: true }); // ms since epoch, null when untimed
+  const GAME_STATE = field('object');
+  const EVENTS = field('array', { items: field('object') });
+  const RULES = field('object');
+  const PASSWORD = field('string', { minLength: 1, maxLength: MAX_PASSWORD_LENGTH });
+
+  // client -> server
+  const CLIENT_MESSAGES = {
+    create_room: {
+      playerName: NAME, maxPlayers: optional(field('integer', { min: 2, max: 4 })), rules: optional(RULES),
+      visibility: optional(field('string', { values: ROOM_VISIBILITIES })), password: optional(PASSWORD)
+    },
+    join_room: { roomId: ROOM_ID, playerName: NAME, spectate: optional(field('boolean')), password: optional(PASSWORD) },
+    list_rooms: {},
+    rejoin: { sessionToken: field('string', { minLength: 1, maxLength: 64 }) },
+    leave_room: {},
+    start_game: {},
+    add_bot: { strategy: optional(field('string', { maxLength: 32 })), name: optional(NAME) },
+    remove_bot: { playerId: PLAYER_ID },
+    roll_dice: {},
+    buy_property: { tileId: TILE_ID },
+    build: { tileId: TILE_ID },
+    choose_destination: { tileId: TILE_ID },
+    transport_travel: { tileId: TILE_ID },
+    sell_building: { tileId: TILE_ID },
+    sell_property: { tileId: TILE_ID },
+    mortgage: { tileId: TILE_ID },
+    unmortgage: { tileId: TILE_ID },
+    declare_bankruptcy: {},
+    propose_trade: { toId: PLAYER_ID, offer: TRADE_SIDE, request: TRADE_SIDE },
+    counter_trade: { tradeId: TRADE_ID, offer: TRADE_SIDE, request: TRADE_SIDE },
+    accept_trade: { tradeId: TRADE_ID },
+    reject_trade: { tradeId: TRADE_ID },
+    bid: { amount: AMOUNT },
+    pass: {},
+    end_turn: {},
+    chat: { message: field('string', { minLength: 1, maxLength: MAX_CHAT_LENGTH }) }
+  };
+
+  const SYNC_STATE = {
+    roomId: ROOM_ID,
+    playerId: field('string', { nullable: true }),
+    isHost: field('boolean'),
+    board: field('object'),
+    rules: RULES,
+    players: field('array'),
+    spectatorCount: field('integer'),
+    seedHash: field('string', { nullable: true }),
+    deadline: DEADLINE,
+    auctionDeadline: DEADLINE,
+    gameState: field('object', { nullable: true })
+  };
+
+  // server -> client; the top-level `message` of `connected` is free text for logs.
+  // error, action_rejected and warning repeat the requestId of the message that caused them.
+  const SERVER_MESSAGES = {
+    connected: { protocolVersion: field('integer'), board: field('object'), botStrategies: field('array') },
+    room_created: {
+      roomId: ROOM_ID, playerId: PLAYER_ID, isHost: field('boolean'), sessionToken: field('string'), rules: RULES,
+      visibility: field('string', { values: ROOM_VISIBILITIES }), hasPassword: field('boolean')
+    },
+    room_joined: {
+      roomId: ROOM_ID, playerId: PLAYER_ID, isHost: field('boolean'), sessionToken: field('string'), rules: RULES,
+      players: field('array')
+    },
+    player_joined: { playerId: PLAYER_ID, playerName: field('string'), isBot: optional(field('boolean')), strategy: optional(field('string')) },
+    player_left: { playerId: PLAYER_ID, playerName: field('string'), gameState: optional(field('object', { nullable: true })) },
+    player_disconnected: { playerId: PLAYER_ID, playerName: field('string'), deadline: DEADLINE },
+    player_reconnected: { playerId: PLAYER_ID, playerName: field('string') },
+    sync_state: SYNC_STATE,
+    spectating: { ...SYNC_STATE, spectatorId: PLAYER_ID, delaySeconds: field('number') },
+    spectators_changed: { count: field('integer') },
+    spectator_chat: { spectatorId: PLAYER_ID, name: field('string'), message: field('string'), timestamp: field('number') },
+    room_closed: { roomId: ROOM_ID },
+    // The public rooms, sent for list_rooms and again whenever one of them changes
+    room_list: {
+      rooms: field('array', {
+        items: field('object', {
+          fields: {
+            roomId: ROOM_ID,
+            hostName: field('string', { nullable: true }), // null once the host has left
+            playerCount: field('integer'),
+            maxPlayers: field('integer'),
+            spectatorCount: field('integer'),
+            hasPassword: field('boolean'),
+            status: field('string', { values: ['waiting', 'playing', 'ended'] }),
+            rules: field('object')
+          }
+        })
+      })
+    },
+    game_started: { rules: RULES, seedHash: field('string'), deadline: DEADLINE, gameState: GAME_STATE },
+    dice_rolled: { playerId: PLAYER_ID, diceResult: field('object'), events: EVENTS, gameState: GAME_STATE },
+    card_drawn: { playerId: PLAYER_ID, card: field('object') },
+    property_bought: { playerId: PLAYER_ID, tileId: TILE_ID, price: AMOUNT, gameState: GAME_STATE },
+    building_built: { playerId: PLAYER_ID, tileId: TILE_ID, buildingLevel: field('integer'), cost: AMOUNT, gameState: GAME_STATE },
+    destination_chosen: { playerId: PLAYER_ID, tileId: TILE_ID, events: EVENTS, gameState: GAME_STATE },
+    transport_travelled: { playerId: PLAYER_ID, tileId: TILE_ID, events: EVENTS, gameState: GAME_STATE },
+    asset_sold: { playerId: PLAYER_ID, tileId: TILE_ID, kind: field('string'), events: EVENTS, gameState: GAME_STATE },
+    mortgage_changed: {
+      playerId: PLAYER_ID, tileId: TILE_ID, mortgaged: field('boolean'), amount: AMOUNT, events: EVENTS, gameState: GAME_STATE
+    },
+    player_bankrupt: { playerId: PLAYER_ID, creditorId: field('any', { nullable: true }), gameState: GAME_STATE },
+    auction_started: { tileId: TILE_ID, minimumBid: AMOUNT, deadline: DEADLINE, events: EVENTS, gameState: GAME_STATE },
+    auction_bid: { playerId: PLAYER_ID, tileId: TILE_ID, amount: AMOUNT, deadline: DEADLINE, gameState: GAME_STATE },
+    auction_passed: { playerId: PLAYER_ID, tileId: TILE_ID, gameState: GAME_STATE },
+    auction_ended: {
+      tileId: TILE_ID, winnerId: field('string', { nullable: true }), amount: AMOUNT, events: EVENTS, gameState: GAME_STATE
+    },
+    trade_proposed: { trade: field('object'), replacesId: field('integer', { nullable: true }), gameState: GAME_STATE },
+    trade_accepted: { tradeId: TRADE_ID, events: EVENTS, gameState: GAME_STATE },
+    trade_rejected: { tradeId: TRADE_ID, playerId: field('string', { nullable: true }), reason: field('string'), gameState: GAME_STATE },
+    game_over: {
+      winnerId: field('string', { nullable: true }), reason: field('string'), standings: field('array'),
+      seed: field('string'), randomLog: field('array'), gameState: GAME_STATE
+    },
+    turn_changed: { currentPlayerId: PLAYER_ID, turnPhase: field('string'), round: field('integer'), deadline: DEADLINE },
+    turn_timer: { currentPlayerId: PLAYER_ID, turnPhase: field('string'), deadline: DEADLINE },
+    turn_timeout: { playerIds: field('array', { items: PLAYER_ID }), turnPhase: field('string') },
+    player_afk: { playerId: PLAYER_ID, gameState: GAME_STATE },
+    auto_liquidated: { playerId: PLAYER_ID, events: EVENTS, gameState: GAME_STATE },
+    chat_message: { playerId: PLAYER_ID, playerName: field('string'), message: field('string'), timestamp: field('number') },
+    // Refused game action: reason is the code; tileId, tradeId or amount echo the request
+    action_rejected: {
+      action: field('string'), reason: field('string'), message: field('string'),
+      tileId: optional(TILE_ID), tradeId: optional(TRADE_ID), amount: optional(AMOUNT)
+    },
+    error: { code: field('string'), message: field('string'), protocolVersion: optional(field('integer')) },
+    warning: { code: field('string'), message: field('string'), warningsLeft: field('integer'), retryAfter: optional(field('number')) }
+  };
+
+  // requestId is echoed in the error or action_rejected a message causes
+  function isRequestId(value) {
+    return (typeof value === 'string' && value.length <= MAX_REQUEST_ID_LENGTH) || Number.isInteger(value);
+  }
+
+  function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function describe(spec) {
+    if (spec.values) return `one of ${spec.values.join(', ')}`;
+    if (spec.type === 'string') {
+      return spec.maxLength ? `a string of ${spec.minLength || 0}-${spec.maxLength} characters` : 'a string';
+    }
+    if (spec.type === 'integer' || spec.type === 'number') {
+      const range = spec.max !== undefined ? ` between ${spec.min} and ${spec.max}`
+        : spec.min !== undefined ? ` of at least ${spec.min}` : '';
+      return `${spec.type === 'integer' ? 'an integer' : 'a number'}${range}`;
+    }
+    return `${spec.type === 'array' || spec.type === 'object' ? 'an' : 'a'} ${spec.type}`;
+  }
+
+  // Returns a problem string for value at name, or null when it fits spec
+  function checkField(name, value, spec) {
+    if (value === undefined) return spec.optional ? null : `${name} is required`;
+    if (value === null) return spec.nullable || spec.optional ? null : `${name} must not be null`;
+
+    let ok;
+    switch (spec.type) {
+      case 'string':
+        ok = typeof value === 'string' && value.length >= (spec.minLength || 0) &&
+          (spec.maxLength === undefined || value.length <= spec.maxLength);
+        break;
+      case 'integer':
+      case 'number':
+        ok = (spec.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value)) &&
+          (spec.min === undefined || value >= spec.min) && (spec.max === undefined || value <= spec.max);
+        break;
+      case 'boolean':
+        ok = typeof value === 'boolean';
+        break;
+      case 'array':
+        ok = Array.isArray(value) && (spec.maxLength === undefined || value.length <= spec.maxLength);
+        break;
+      case 'object':
+        ok = isPlainObject(value);
+        break;
+      default:
+        ok = true;
+    }
+    if (!ok || (spec.values && !spec.values.includes(value))) return `${name} must be ${describe(spec)}`;
+
+    if (spec.items) {
+      for (let i = 0; i < value.length; i++) {
+        const problem = checkField(`${name}[${i}]`, value[i], spec.items);
+        if (problem) return problem;
+      }
+    }
+    return spec.fields ? checkFields(name, value, spec.fields) : null;
+  }
+
+  function checkFields(prefix, value, fields) {
+    const unknown = Object.keys(value).find(key => !(key in fields));
+    if (unknown) return `${prefix ? `${prefix}.` : ''}${unknown} is not a known field`;
+
+    for (const key of Object.keys(fields)) {
+      const problem = checkField(prefix ? `${prefix}.${key}` : key, value[key], fields[key]);
+      if (problem) return problem;
+    }
+    return null;
+  }
+
+  // schemas is CLIENT_MESSAGES or SERVER_MESSAGES. Returns null when the message is valid,
+  // otherwise { code, message } with code INVALID_MESSAGE, UNKNOWN_MESSAGE_TYPE or INVALID_PAYLOAD.
+  // A missing payload counts as {}.
+  function validateMessage(schemas, message) {
+    if (!isPlainObject(message) || typeof message.type !== 'string') {
+      return { code: 'INVALID_MESSAGE', message: 'A message must be an object with a string type' };
+    }
+    if (message.requestId !== undefined && !isRequestId(message.requestId)) {
+      return { code: 'INVALID_MESSAGE', message: `requestId must be an integer or a string of up to ${MAX_REQUEST_ID_LENGTH} characters` };
+    }
+    if (!Object.prototype.hasOwnProperty.call(schemas, message.type)) {
+      return { code: 'UNKNOWN_MESSAGE_TYPE', message: `Unknown message type: ${message.type}` };
+    }
+
+    const payload = message.payload === undefined || message.payload === null ? {} : message.payload;
+    if (!isPlainObject(payload)) return { code: 'INVALID_PAYLOAD', message: 'payload must be an object' };
+
+    const problem = checkFields('', payload, schemas[message.type]);
+    return problem ? { code: 'INVALID_PAYLOAD', message: problem } : null;
+  }
+
+  return {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    MAX_NAME_LENGTH,
+    MAX_CHAT_LENGTH,
+    MAX_PASSWORD_LENGTH,
+    ROOM_VISIBILITIES,
+    ERROR_CODES,
+    WARNING_CODES,
+    CLIENT_MESSAGES,
+    SERVER_MESSAGES,
+    validateMessage
+  };
+});
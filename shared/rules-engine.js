@@ -0,0 +1,1287 @@
+// rules-engine.js - Headless Blue Marble rules shared by server and client
+// The server runs this authoritatively; clients only use it to render outcomes.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./golden-keys'));
+  } else {
+    root.BlueMarble = root.BlueMarble || {};
+    Object.assign(root.BlueMarble, factory(root.BlueMarble));
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (shared) {
+  const DEFAULT_RULES = {
+    startingCash: 2000000,
+    salary: 200000,
+    jailTurns: 3,
+    doublesLimit: 3,
+    welfareContribution: 150000,
+    spaceTravelFare: 50000, // 0 makes Space Travel free
+    sellBackRate: 0.5, // Share of price/build cost the bank pays when liquidating
+    rentMultiplier: 1, // Scales every rent on the board
+    setRentMultiplier: 2, // Rent multiplier on every city of a completed colour set
+    buildCostMultiplier: 1, // Scales the board's build costs
+    buildLimitWithoutSet: 2, // Highest building level allowed before the colour set is complete
+    auctionIncrement: 10000, // Smallest opening bid and raise
+    auctionSeconds: 10, // Bidding window, restarted by every bid
+    mortgageRate: 0.5, // Share of the price the bank lends against a tile
+    mortgageInterest: 0.1, // Extra share of the loan due when redeeming
+    rollSeconds: 30, // Turn clock for ROLL / CHOOSE_DESTINATION before the server rolls (0: no limit)
+    actionSeconds: 60, // Turn clock for ACTION before the server ends the turn (0: no limit)
+    liquidateSeconds: 90, // Clock for debtors before the server sells their assets (0: no limit)
+    afkTimeouts: 3, // Consecutive timeouts before a player is marked AFK and removed
+    spectatorDelaySeconds: 0 // How far behind the game spectators are kept (0: live)
+  };
+
+  // Rules a room may override at creation: [min, max, integer]
+  const ROOM_RULE_LIMITS = {
+    startingCash: [100000, 10000000, true],
+    salary: [0, 1000000, true],
+    jailTurns: [0, 10, true],
+    doublesLimit: [1, 10, true],
+    rentMultiplier: [0.1, 10, false],
+    setRentMultiplier: [1, 10, false],
+    buildCostMultiplier: [0.1, 10, false],
+    rollSeconds: [0, 600, true],
+    actionSeconds: [0, 600, true],
+    liquidateSeconds: [0, 600, true],
+    afkTimeouts: [1, 10, true],
+    spectatorDelaySeconds: [0, 300, true]
+  };
+
+  const START_TILE = 0;
+  const PURCHASABLE_TYPES = ['city', 'transport'];
+
+  // ROLL: current player must roll, ACTION: player may act and end turn,
+  // CHOOSE_DESTINATION: player arrived at Space Travel last turn and picks where to fly,
+  // LIQUIDATE: play is paused until every debtor has sold enough assets or gone bankrupt,
+  // AUCTION: a declined city is up for auction; once it closes the turn passes, or the
+  // lander rolls again if a double sent them on
+  const TURN_PHASES = {
+    ROLL: 'ROLL',
+    ACTION: 'ACTION',
+    CHOOSE_DESTINATION: 'CHOOSE_DESTINATION',
+    LIQUIDATE: 'LIQUIDATE',
+    AUCTION: 'AUCTION'
+  };
+
+  // Rule holding each phase's turn clock; AUCTION runs on its own bidding window
+  const PHASE_TIMERS = {
+    ROLL: 'rollSeconds',
+    CHOOSE_DESTINATION: 'rollSeconds',
+    ACTION: 'actionSeconds',
+    LIQUIDATE: 'liquidateSeconds'
+  };
+
+  const BANK = null;
+  const FUND = 'fund';
+
+  // last_standing: play until one player is left
+  // round_limit: after roundLimit rounds the richest player (by net worth) wins
+  // monopolyWin adds an instant win for owning monopolySets complete colour sets
+  const DEFAULT_VICTORY = {
+    mode: 'last_standing',
+    roundLimit: 30,
+    monopolyWin: false,
+    monopolySets: 3
+  };
+  const VICTORY_MODES = ['last_standing', 'round_limit'];
+
+  // Optional rules a room can switch on
+  // auction: a city the lander declines is auctioned to every solvent player
+  // transportTravel: landing on your own transport tile lets you fly to another transport tile
+  const DEFAULT_HOUSE_RULES = {
+    auction: false,
+    transportTravel: false
+  };
+
+  // Events after which a double no longer earns another roll
+  const TURN_ENDING_EVENTS = ['sent_to_island', 'space_travel_pending'];
+
+  class RulesEngine {
+    // board comes from loadBoard() in board.js; options.random is the [0, 1) source for dice
+    // and shuffles (the server passes the room's SeededRandom)
+    constructor(board, rules = {}, options = {}) {
+      this.board = board;
+      this.tiles = board.tiles;
+      this.boardSize = board.tiles.length;
+      this.islandTile = board.islandTile;
+      this.maxBuildingLevel = board.buildCosts.length;
+      this.rules = { ...DEFAULT_RULES, ...rules };
+      this.random = options.random || Math.random;
+    }
+
+    // Returns { victory } with defaults filled in, or { error } describing the bad field
+    resolveVictory(input = {}) {
+      const victory = { ...DEFAULT_VICTORY, ...input };
+
+      if (!VICTORY_MODES.includes(victory.mode)) return { error: `Unknown victory mode: ${victory.mode}` };
+      if (!Number.isInteger(victory.roundLimit) || victory.roundLimit < 1 || victory.roundLimit > 200) {
+        return { error: 'roundLimit must be an integer between 1 and 200' };
+      }
+      if (typeof victory.monopolyWin !== 'boolean') return { error: 'monopolyWin must be true or false' };
+      if (!Number.isInteger(victory.monopolySets) || victory.monopolySets < 1) {
+        return { error: 'monopolySets must be a positive integer' };
+      }
+      return { victory: victory };
+    }
+
+    // Returns { houseRules } with defaults filled in, or { error } naming the bad toggle
+    resolveHouseRules(input = {}) {
+      const houseRules = { ...DEFAULT_HOUSE_RULES, ...input };
+
+      const unknown = Object.keys(houseRules).find(key => !(key in DEFAULT_HOUSE_RULES));
+      if (unknown) return { error: `Unknown house rule: ${unknown}` };
+      const invalid = Object.keys(houseRules).find(key => typeof houseRules[key] !== 'boolean');
+      if (invalid) return { error: `${invalid} must be true or false` };
+      return { houseRules: houseRules };
+    }
+
+    // Returns { rules } with every overridable value filled in, or { error } naming the bad field.
+    // rules.victory and rules.houseRules are resolved by resolveVictory / resolveHouseRules.
+    resolveRules(input = {}) {
+      if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'rules must be an object' };
+
+      const { victory, houseRules, ...values } = input;
+      const unknown = Object.keys(values).find(key => !(key in ROOM_RULE_LIMITS));
+      if (unknown) return { error: `Unknown rule: ${unknown}` };
+
+      const rules = {};
+      for (const key of Object.keys(ROOM_RULE_LIMITS)) {
+        const [min, max, integer] = ROOM_RULE_LIMITS[key];
+        const value = key in values ? values[key] : this.rules[key];
+        if (typeof value !== 'number' || (integer && !Number.isInteger(value)) || !(value >= min && value <= max)) {
+          return { error: `${key} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}` };
+        }
+        rules[key] = value;
+      }
+
+      const resolvedVictory = this.resolveVictory(victory);
+      if (resolvedVictory.error) return resolvedVictory;
+      const resolvedHouseRules = this.resolveHouseRules(houseRules);
+      if (resolvedHouseRules.error) return resolvedHouseRules;
+
+      rules.victory = resolvedVictory.victory;
+      rules.houseRules = resolvedHouseRules.houseRules;
+      return { rules: rules };
+    }
+
+    createInitialState(playerIds, victory = DEFAULT_VICTORY, houseRules = DEFAULT_HOUSE_RULES) {
+      return {
+        gamePhase: 'PLAYING', // PLAYING, ENDED
+        victory: { ...victory },
+        houseRules: { ...houseRules },
+        round: 1,
+        currentPlayerId: playerIds[0],
+        turnOrder: playerIds.slice(),
+        turnPhase: TURN_PHASES.ROLL,
+        // Phase to return to once all debts are settled
+        resumePhase: null,
+        players: playerIds.map(id => ({
+          id: id,
+          position: START_TILE,
+          money: this.rules.startingCash,
+          properties: [],
+          inJail: false,
+          jailTurns: 0,
+          doublesCount: 0,
+          spaceTravelPending: false,
+          bankrupt: false,
+          heldCards: [] // Golden Key cards kept for later use
+        })),
+        // tileId -> { ownerId, buildingLevel, mortgaged }
+        ownership: {},
+        // Tile the current player landed on this turn (buy/build target)
+        landedTileId: null,
+        // Social Welfare Fund pot, paid out on the receiving tile
+        pot: 0,
+        // Outstanding payments: { debtorId, creditorId (player id, 'fund' or null for bank), amount, reason }
+        debts: [],
+        // Player ids in the order they were knocked out
+        eliminationOrder: [],
+        // Open trade offers: { id, fromId, toId, offer, request }, each side { tiles, cash }
+        trades: [],
+        nextTradeId: 1,
+        // Running auction: { tileId, highestBid, highestBidderId, bidderIds, extraRoll }
+        auction: null,
+        winnerId: null,
+        standings: null,
+        goldenKeys: shared.createDeck(this.random, this.getPlayableCards()),
+        lastDiceRoll: null
+      };
+    }
+
+    // Game state safe to send to clients: hides the Golden Key draw order
+    // and adds each player's colour-set progress
+    getPublicState(state) {
+      const setProgress = {};
+      state.players.forEach(player => {
+        setProgress[player.id] = this.getSetProgress(state, player.id);
+      });
+
+      return {
+        ...state,
+        setProgress: setProgress,
+        goldenKeys: {
+          drawPileCount: state.goldenKeys.drawPile.length,
+          discardPileCount: state.goldenKeys.discardPile.length
+        }
+      };
+    }
+
+    getPlayer(state, playerId) {
+      return state.players.find(p => p.id === playerId);
+    }
+
+    getTile(tileId) {
+      return this.tiles[tileId];
+    }
+
+    getTileByKey(key) {
+      return this.tiles.find(tile => tile.key === key);
+    }
+
+    // random receives the draw's purpose so a SeededRandom can label its log
+    rollDice(random = this.random) {
+      const dice1 = Math.floor(random('dice') * 6) + 1;
+      const dice2 = Math.floor(random('dice') * 6) + 1;
+
+      return {
+        dice: [dice1, dice2],
+        total: dice1 + dice2,
+        isDouble: dice1 === dice2
+      };
+    }
+
+    // Validators return a rejection { reason, message }, or null if allowed
+    reject(reason, message) {
+      return { reason: reason, message: message };
+    }
+
+    // Checks shared by every action the current player takes on their turn
+    validateTurn(state, playerId) {
+      if (state.gamePhase === 'ENDED') return this.reject('GAME_OVER', 'The game is over');
+      if (state.currentPlayerId !== playerId) return this.reject('NOT_YOUR_TURN', 'Not your turn');
+      if (state.turnPhase === TURN_PHASES.LIQUIDATE) return this.reject('IN_LIQUIDATION', 'Settle outstanding debts first');
+      if (state.turnPhase === TURN_PHASES.AUCTION) return this.reject('AUCTION_RUNNING', 'Wait for the auction to close');
+      return null;
+    }
+
+    // Rolling during CHOOSE_DESTINATION gives up the Space Travel flight
+    validateRoll(state, playerId) {
+      const turnRejection = this.validateTurn(state, playerId);
+      if (turnRejection) return turnRejection;
+      if (state.turnPhase !== TURN_PHASES.ROLL && state.turnPhase !== TURN_PHASES.CHOOSE_DESTINATION) {
+        return this.reject('ALREADY_ROLLED', 'Already rolled this turn');
+      }
+      return null;
+    }
+
+    validateDestination(state, playerId, tileId) {
+      const player = this.getPlayer(state, playerId);
+      const tile = this.getTile(tileId);
+
+      const turnRejection = this.validateTurn(state, playerId);
+      if (turnRejection) return turnRejection;
+      if (state.turnPhase !== TURN_PHASES.CHOOSE_DESTINATION) return this.reject('NO_PENDING_CHOICE', 'No destination to choose');
+      if (!Number.isInteger(tileId) || !tile) return this.reject('INVALID_TILE', 'Unknown tile');
+      if (tileId === player.position) return this.reject('INVALID_TILE', 'Choose a different tile');
+      if (player.money < this.rules.spaceTravelFare) return this.reject('INSUFFICIENT_FUNDS', 'Not enough money for the fare');
+      return null;
+    }
+
+    validateEndTurn(state, playerId) {
+      const turnRejection = this.validateTurn(state, playerId);
+      if (turnRejection) return turnRejection;
+      if (state.turnPhase !== TURN_PHASES.ACTION) return this.reject('MUST_ROLL', 'Roll the dice first');
+      return null;
+    }
+
+    validateBuy(state, playerId, tileId) {
+      const player = this.getPlayer(state, playerId);
+      const tile = this.getTile(tileId);
+
+      const turnRejection = this.validateTurn(state, playerId);
+      if (turnRejection) return turnRejection;
+      if (!tile || !PURCHASABLE_TYPES.includes(tile.type)) return this.reject('NOT_PURCHASABLE', 'This tile cannot be bought');
+      if (state.landedTileId !== tileId || player.position !== tileId) {
+        return this.reject('NOT_ON_TILE', 'You can only buy the tile you landed on');
+      }
+      if (state.ownership[tileId]) return this.reject('ALREADY_OWNED', 'This tile is already owned');
+      if (player.money < tile.price) return this.reject('INSUFFICIENT_FUNDS', 'Not enough money');
+      return null;
+    }
+
+    validateBuild(state, playerId, tileId) {
+      const player = this.getPlayer(state, playerId);
+      const tile = this.getTile(tileId);
+      const owned = state.ownership[tileId];
+
+      const turnRejection = this.validateTurn(state, playerId);
+      if (turnRejection) return turnRejection;
+      if (!tile || tile.type !== 'city') return this.reject('NOT_BUILDABLE', 'Buildings are not allowed on this tile');
+      if (state.landedTileId !== tileId || player.position !== tileId) {
+        return this.reject('NOT_ON_TILE', 'You can only build on the tile you landed on');
+      }
+      if (!owned || owned.ownerId !== playerId) return this.reject('NOT_OWNER', 'You do not own this tile');
+      if (owned.mortgaged) return this.reject('MORTGAGED', 'Redeem the mortgage before building');
+      if (owned.buildingLevel >= this.maxBuildingLevel) return this.reject('MAX_LEVEL', 'This tile is fully built');
+      if (owned.buildingLevel >= this.rules.buildLimitWithoutSet && !this.ownsUnmortgagedSet(state, playerId, tile.group)) {
+        return this.reject('SET_INCOMPLETE', 'Complete the colour set to build higher');
+      }
+      if (player.money < this.getBuildCost(owned.buildingLevel)) return this.reject('INSUFFICIENT_FUNDS', 'Not enough money');
+      return null;
+    }
+
+    buyProperty(state, playerId, tileId) {
+      const player = this.getPlayer(state, playerId);
+      const tile = this.getTile(tileId);
+
+      player.money -= tile.price;
+      player.properties.push(tileId);
+      state.ownership[tileId] = { ownerId: playerId, buildingLevel: 0, mortgaged: false };
+
+      return { type: 'property_bought', playerId: playerId, tileId: tileId, price: tile.price };
+    }
+
+    build(state, playerId, tileId) {
+      const player = this.getPlayer(state, playerId);
+      const owned = state.ownership[tileId];
+      const cost = this.getBuildCost(owned.buildingLevel);
+
+      player.money -= cost;
+      owned.buildingLevel++;
+
+      return { type: 'building_built', playerId: playerId, tileId: tileId, buildingLevel: owned.buildingLevel, cost: cost };
+    }
+
+    getBuildCost(currentLevel) {
+      return Math.floor(this.board.buildCosts[currentLevel] * this.rules.buildCostMultiplier);
+    }
+
+    validateSell(state, playerId, tileId, kind) {
+      const owned = state.ownership[tileId];
+
+      if (!this.getDebtTotal(state, playerId)) return this.reject('NO_DEBT', 'You have no debt to cover');
+      if (!owned || owned.ownerId !== playerId) return this.reject('NOT_OWNER', 'You do not own this tile');
+      if (kind === 'building' && owned.buildingLevel === 0) return this.reject('NO_BUILDING', 'There is no building to sell');
+      if (kind === 'property' && owned.buildingLevel > 0) return this.reject('HAS_BUILDINGS', 'Sell the buildings first');
+      return null;
+    }
+
+    // Mortgages are allowed at any time, so a debtor can raise cash without selling
+    validateMortgage(state, playerId, tileId) {
+      const owned = state.ownership[tileId];
+
+      if (state.gamePhase !== 'PLAYING') return this.reject('GAME_OVER', 'The game is over');
+      if (!state.turnOrder.includes(playerId)) return this.reject('INVALID_PLAYER', 'You are not in this game');
+      if (!owned || owned.ownerId !== playerId) return this.reject('NOT_OWNER', 'You do not own this tile');
+      if (owned.mortgaged) return this.reject('ALREADY_MORTGAGED', 'This tile is already mortgaged');
+      if (owned.buildingLevel > 0) return this.reject('HAS_BUILDINGS', 'Sell the buildings first');
+      return null;
+    }
+
+    validateUnmortgage(state, playerId, tileId) {
+      const player = this.getPlayer(state, playerId);
+      const owned = state.ownership[tileId];
+
+      if (state.gamePhase !== 'PLAYING') return this.reject('GAME_OVER', 'The game is over');
+      if (!state.turnOrder.includes(playerId)) return this.reject('INVALID_PLAYER', 'You are not in this game');
+      if (!owned || owned.ownerId !== playerId) return this.reject('NOT_OWNER', 'You do not own this tile');
+      if (!owned.mortgaged) return this.reject('NOT_MORTGAGED', 'This tile is not mortgaged');
+      if (this.getDebtTotal(state, playerId)) return this.reject('IN_LIQUIDATION', 'Settle outstanding debts first');
+      if (player.money < this.getRedeemCost(this.getTile(tileId))) return this.reject('INSUFFICIENT_FUNDS', 'Not enough money');
+      return null;
+    }
+
+    getMortgageValue(tile) {
+      return Math.floor(tile.price * this.rules.mortgageRate);
+    }
+
+    // Loan plus interest
+    getRedeemCost(tile) {
+      return Math.floor(this.getMortgageValue(tile) * (1 + this.rules.mortgageInterest));
+    }
+
+    mortgage(state, playerId, tileId) {
+      const player = this.getPlayer(state, playerId);
+      const amount = this.getMortgageValue(this.getTile(tileId));
+      const events = [];
+
+      state.ownership[tileId].mortgaged = true;
+      player.money += amount;
+      events.push({ type: 'property_mortgaged', playerId: playerId, tileId: tileId, amount: amount });
+
+      this.settleDebts(state, player, events);
+      return events;
+    }
+
+    unmortgage(state, playerId, tileId) {
+      const player = this.getPlayer(state, playerId);
+      const amount = this.getRedeemCost(this.getTile(tileId));
+
+      state.ownership[tileId].mortgaged = false;
+      player.money -= amount;
+      return [{ type: 'property_unmortgaged', playerId: playerId, tileId: tileId, amount: amount }];
+    }
+
+    validateBankruptcy(state, playerId) {
+      if (!this.getDebtTotal(state, playerId)) return this.reject('NO_DEBT', 'You have no debt');
+      return null;
+    }
+
+    // Sells one building level back to the bank and puts the proceeds towards the debt
+    sellBuilding(state, playerId, tileId) {
+      const player = this.getPlayer(state, playerId);
+      const owned = state.ownership[tileId];
+      const events = [];
+
+      owned.buildingLevel--;
+      const amount = Math.floor(this.getBuildCost(owned.buildingLevel) * this.rules.sellBackRate);
+      player.money += amount;
+      events.push({ type: 'asset_sold', playerId: playerId, tileId: tileId, kind: 'building', amount: amount, buildingLevel: owned.buildingLevel });
+
+      this.settleDebts(state, player, events);
+      return events;
+    }
+
+    sellProperty(state, playerId, tileId) {
+      const player = this.getPlayer(state, playerId);
+      const events = [];
+
+      const amount = this.getPropertySaleValue(state, tileId);
+      delete state.ownership[tileId];
+      player.properties = player.properties.filter(id => id !== tileId);
+      player.money += amount;
+      events.push({ type: 'asset_sold', playerId: playerId, tileId: tileId, kind: 'property', amount: amount });
+
+      this.settleDebts(state, player, events);
+      return events;
+    }
+
+    // Seconds the phase may last before the server acts for the player; 0 means untimed
+    getPhaseSeconds(phase) {
+      return PHASE_TIMERS[phase] ? this.rules[PHASE_TIMERS[phase]] : 0;
+    }
+
+    // Sells a debtor's buildings, then bare tiles, until their debts are paid (turn clock expiry)
+    autoLiquidate(state, playerId) {
+      const player = this.getPlayer(state, playerId);
+      const events = [];
+
+      while (this.getDebtTotal(state, playerId) > 0 && player.properties.length > 0) {
+        const built = player.properties.find(tileId => state.ownership[tileId].buildingLevel > 0);
+        events.push(...(built !== undefined
+          ? this.sellBuilding(state, playerId, built)
+          : this.sellProperty(state, playerId, player.properties[0])));
+      }
+
+      if (this.getDebtTotal(state, playerId) > 0) events.push(...this.declareBankruptcy(state, playerId));
+      return events;
+    }
+
+    declareBankruptcy(state, playerId) {
+      const events = [];
+      this.bankruptPlayer(state, this.getPlayer(state, playerId), events);
+      this.resumeIfSettled(state);
+      return events;
+    }
+
+    // Returns { tiles, cash } with duplicates removed, or null if malformed
+    normalizeTradeSide(side = {}) {
+      const tiles = side.tiles === undefined ? [] : side.tiles;
+      const cash = side.cash === undefined ? 0 : side.cash;
+
+      if (!Array.isArray(tiles) || !tiles.every(Number.isInteger)) return null;
+      if (!Number.isInteger(cash) || cash < 0) return null;
+      return { tiles: [...new Set(tiles)], cash: cash };
+    }
+
+    // Checks that a player owes nothing and still holds everything on their side of a trade.
+    // A debtor's assets are their creditors' due, so they cannot be traded away to a friend.
+    validateTradeSide(state, player, side) {
+      if (this.getDebtTotal(state, player.id)) return this.reject('IN_LIQUIDATION', 'Players with outstanding debts cannot trade');
+      for (const tileId of side.tiles) {
+        const owned = state.ownership[tileId];
+        if (!owned || owned.ownerId !== player.id) return this.reject('NOT_OWNER', `Tile ${tileId} is not owned by the offering player`);
+        if (owned.buildingLevel > 0) return this.reject('HAS_BUILDINGS', 'Sell the buildings before trading a tile');
+      }
+      if (player.money < side.cash) return this.reject('INSUFFICIENT_FUNDS', 'Not enough money for this trade');
+      return null;
+    }
+
+    validateTradeProposal(state, fromId, toId, offer, request) {
+      const from = this.getPlayer(state, fromId);
+      const to = this.getPlayer(state, toId);
+
+      if (state.gamePhase !== 'PLAYING') return this.reject('GAME_OVER', 'The game is over');
+      if (!state.turnOrder.includes(fromId)) return this.reject('INVALID_PLAYER', 'You are not in this game');
+      if (!state.turnOrder.includes(toId) || toId === fromId) return this.reject('INVALID_PLAYER', 'Choose another active player');
+      if (!offer || !request) return this.reject('INVALID_TRADE', 'Malformed trade');
+      if (!offer.tiles.length && !offer.cash && !request.tiles.length && !request.cash) {
+        return this.reject('INVALID_TRADE', 'A trade must exchange something');
+      }
+      return this.validateTradeSide(state, from, offer) || this.validateTradeSide(state, to, request);
+    }
+
+    // Only the player a trade is addressed to may answer it
+    validateTradeResponse(state, playerId, tradeId) {
+      const trade = state.trades.find(t => t.id === tradeId);
+
+      if (state.gamePhase !== 'PLAYING') return this.reject('GAME_OVER', 'The game is over');
+      if (!trade) return this.reject('TRADE_NOT_FOUND', 'This trade is no longer open');
+      if (trade.toId !== playerId) return this.reject('NOT_TRADE_RECIPIENT', 'This trade is not addressed to you');
+      return null;
+    }
+
+    proposeTrade(state, fromId, toId, offer, request) {
+      const trade = { id: state.nextTradeId++, fromId: fromId, toId: toId, offer: offer, request: request };
+      state.trades.push(trade);
+      return trade;
+    }
+
+    // Replaces an offer with the recipient's counter-proposal, addressed back to the proposer
+    counterTrade(state, playerId, tradeId, offer, request) {
+      const original = state.trades.find(t => t.id === tradeId);
+      this.rejectTrade(state, tradeId);
+      return this.proposeTrade(state, playerId, original.fromId, offer, request);
+    }
+
+    rejectTrade(state, tradeId) {
+      state.trades = state.trades.filter(t => t.id !== tradeId);
+    }
+
+    // Swaps both sides in one step; callers re-check validateTradeSide first
+    acceptTrade(state, tradeId) {
+      const trade = state.trades.find(t => t.id === tradeId);
+      const from = this.getPlayer(state, trade.fromId);
+      const to = this.getPlayer(state, trade.toId);
+      const events = [];
+
+      this.rejectTrade(state, tradeId);
+      this.transferTradeSide(state, from, to, trade.offer);
+      this.transferTradeSide(state, to, from, trade.request);
+      events.push({ type: 'trade_completed', tradeId: trade.id, fromId: from.id, toId: to.id, offer: trade.offer, request: trade.request });
+
+      // Incoming tiles may complete a monopoly
+      this.checkVictory(state, events);
+      return events;
+    }
+
+    transferTradeSide(state, giver, receiver, side) {
+      side.tiles.forEach(tileId => {
+        state.ownership[tileId].ownerId = receiver.id;
+        giver.properties = giver.properties.filter(id => id !== tileId);
+        receiver.properties.push(tileId);
+      });
+      giver.money -= side.cash;
+      receiver.money += side.cash;
+    }
+
+    // Applies a dice roll for the current player and returns the resulting events
+    applyDiceRoll(state, playerId, diceResult) {
+      const events = this.resolveDiceRoll(state, playerId, diceResult);
+      this.checkSolvency(state, events);
+      return events;
+    }
+
+    resolveDiceRoll(state, playerId, diceResult) {
+      const player = this.getPlayer(state, playerId);
+      const events = [];
+      let extraRoll = false;
+
+      state.lastDiceRoll = diceResult;
+      state.turnPhase = TURN_PHASES.ACTION;
+
+      if (player.spaceTravelPending) {
+        player.spaceTravelPending = false;
+        events.push({ type: 'space_travel_declined', playerId: playerId });
+      }
+
+      if (player.inJail) {
+        if (diceResult.isDouble) {
+          player.inJail = false;
+          player.jailTurns = 0;
+          events.push({ type: 'island_escaped', playerId: playerId, reason: 'doubles' });
+        } else {
+          player.jailTurns--;
+          if (player.jailTurns <= 0) {
+            player.inJail = false;
+            player.jailTurns = 0;
+            events.push({ type: 'island_escaped', playerId: playerId, reason: 'served' });
+          } else {
+            events.push({ type: 'island_stay', playerId: playerId, turnsLeft: player.jailTurns });
+            return events;
+          }
+        }
+      } else if (diceResult.isDouble) {
+        player.doublesCount++;
+
+        if (player.doublesCount >= this.rules.doublesLimit) {
+          player.doublesCount = 0;
+          this.sendToIsland(state, player, 'doubles_limit', events);
+          return events;
+        }
+
+        extraRoll = true;
+      } else {
+        player.doublesCount = 0;
+      }
+
+      this.movePlayer(state, player, diceResult.total, events);
+
+      // A double earns another roll unless the landing ended the turn
+      if (extraRoll && !events.some(event => TURN_ENDING_EVENTS.includes(event.type))) {
+        state.turnPhase = TURN_PHASES.ROLL;
+      }
+
+      return events;
+    }
+
+    // Flies the current player to their chosen tile, paying salary if the route passes Start
+    chooseDestination(state, playerId, tileId) {
+      const player = this.getPlayer(state, playerId);
+      const events = [];
+      const fare = this.rules.spaceTravelFare;
+
+      player.spaceTravelPending = false;
+      state.turnPhase = TURN_PHASES.ACTION;
+
+      if (fare > 0) {
+        const paid = this.charge(state, player, fare, BANK, 'space_travel_fare', events);
+        events.push({ type: 'cash_changed', playerId: player.id, amount: -paid, reason: 'space_travel_fare' });
+      }
+
+      const steps = (tileId - player.position + this.boardSize) % this.boardSize;
+      this.movePlayer(state, player, steps, events, 'travel');
+
+      this.checkSolvency(state, events);
+      return events;
+    }
+
+    // Negative steps move backwards and never pay salary.
+    // via is 'walk' for normal movement or 'travel' for flights the client should not walk
+    movePlayer(state, player, steps, events, via = 'walk') {
+      const from = player.position;
+      const to = ((from + steps) % this.boardSize + this.boardSize) % this.boardSize;
+      const passedStart = from + steps >= this.boardSize;
+
+      player.position = to;
+      events.push({ type: 'moved', playerId: player.id, from: from, to: to, steps: steps, passedStart: passedStart, via: via });
+
+      if (passedStart) {
+        player.money += this.rules.salary;
+        events.push({ type: 'salary', playerId: player.id, amount: this.rules.salary });
+      }
+
+      this.resolveLanding(state, player, events);
+    }
+
+    resolveLanding(state, player, events) {
+      const tile = this.getTile(player.position);
+      state.landedTileId = tile.id;
+
+      if (PURCHASABLE_TYPES.includes(tile.type)) {
+        const owned = state.ownership[tile.id];
+        // Mortgaged tiles collect no rent until redeemed
+        if (owned && owned.ownerId !== player.id && !owned.mortgaged) {
+          if (this.useHeldCard(player, 'rent_exemption', state, events)) return;
+
+          const rent = tile.type === 'transport'
+            ? this.getTransportRent(state, tile, owned.ownerId)
+            : this.calculateRent(tile, owned.buildingLevel, this.ownsUnmortgagedSet(state, owned.ownerId, tile.group));
+          this.charge(state, player, rent, owned.ownerId, 'rent', events);
+          events.push({ type: 'rent_paid', playerId: player.id, ownerId: owned.ownerId, tileId: tile.id, amount: rent });
+        }
+      } else if (tile.type === 'chance') {
+        this.drawGoldenKey(state, player, events);
+      } else if (tile.role === 'welfare_contribute') {
+        this.payToFund(state, player, this.rules.welfareContribution, 'welfare_tile', events);
+      } else if (tile.role === 'welfare_receive') {
+        this.collectFund(state, player, events);
+      } else if (tile.role === 'space_travel') {
+        player.spaceTravelPending = true;
+        state.turnPhase = TURN_PHASES.ACTION;
+        events.push({ type: 'space_travel_pending', playerId: player.id, fare: this.rules.spaceTravelFare });
+      } else if (tile.role === 'deserted_island') {
+        this.sendToIsland(state, player, 'landed', events);
+      }
+    }
+
+    payToFund(state, player, amount, reason, events) {
+      this.charge(state, player, amount, FUND, reason, events);
+      events.push({ type: 'fund_paid', playerId: player.id, amount: amount, reason: reason, pot: state.pot });
+    }
+
+    collectFund(state, player, events) {
+      const amount = state.pot;
+      player.money += amount;
+      state.pot = 0;
+      events.push({ type: 'fund_received', playerId: player.id, amount: amount });
+    }
+
+    drawGoldenKey(state, player, events) {
+      const card = shared.drawCard(state.goldenKeys, this.random);
+      if (!card) return;
+
+      events.push({ type: 'card_drawn', playerId: player.id, cardId: card.id });
+      this.applyGoldenKey(state, player, card, events);
+    }
+
+    // Golden Keys whose targets exist on this board
+    getPlayableCards() {
+      return shared.GOLDEN_KEY_CARDS.filter(card => card.effect.type !== 'advance_to' || this.getTileByKey(card.effect.tileKey));
+    }
+
+    applyGoldenKey(state, player, card, events) {
+      const effect = card.effect;
+
+      switch (effect.type) {
+        case 'advance_to': {
+          const target = this.getTileByKey(effect.tileKey);
+          const steps = (target.id - player.position + this.boardSize) % this.boardSize;
+          this.movePlayer(state, player, steps, events);
+          break;
+        }
+        case 'move_relative':
+          this.movePlayer(state, player, effect.steps, events);
+          break;
+        case 'receive':
+          this.changeCash(player, effect.amount, card.id, events);
+          break;
+        case 'pay':
+          if (effect.toFund) {
+            this.payToFund(state, player, effect.amount, card.id, events);
+          } else {
+            this.payBank(state, player, effect.amount, card.id, events);
+          }
+          break;
+        case 'pay_per_building': {
+          const levels = player.properties.reduce((sum, tileId) => {
+            const owned = state.ownership[tileId];
+            return sum + (owned ? owned.buildingLevel : 0);
+          }, 0);
+          if (levels > 0) this.payBank(state, player, effect.amount * levels, card.id, events);
+          break;
+        }
+        case 'collect_from_players':
+          state.players.forEach(other => {
+            if (other.id === player.id || !state.turnOrder.includes(other.id)) return;
+            const paid = this.charge(state, other, effect.amount, player.id, card.id, events);
+            events.push({ type: 'cash_changed', playerId: other.id, amount: -paid, reason: card.id });
+            events.push({ type: 'cash_changed', playerId: player.id, amount: paid, reason: card.id });
+          });
+          break;
+        case 'go_to_island':
+          this.sendToIsland(state, player, card.id, events);
+          break;
+        case 'hold':
+          player.heldCards.push(card.id);
+          events.push({ type: 'card_held', playerId: player.id, cardId: card.id });
+          // Held cards stay out of the deck until used
+          return;
+      }
+
+      shared.discardCard(state.goldenKeys, card.id);
+    }
+
+    // Spends a held Golden Key card if the player has one, returning it to the deck
+    useHeldCard(player, cardId, state, events) {
+      const index = player.heldCards.indexOf(cardId);
+      if (index === -1) return false;
+
+      player.heldCards.splice(index, 1);
+      shared.discardCard(state.goldenKeys, cardId);
+      events.push({ type: 'card_used', playerId: player.id, cardId: cardId });
+      return true;
+    }
+
+    changeCash(player, amount, reason, events) {
+      player.money += amount;
+      events.push({ type: 'cash_changed', playerId: player.id, amount: amount, reason: reason });
+    }
+
+    payBank(state, player, amount, reason, events) {
+      const paid = this.charge(state, player, amount, BANK, reason, events);
+      events.push({ type: 'cash_changed', playerId: player.id, amount: -paid, reason: reason });
+    }
+
+    // Moves money from payer to creditor (a player id, FUND or BANK) and returns what was paid.
+    // Whatever the payer cannot cover is recorded as a debt to be settled by liquidation.
+    charge(state, payer, amount, creditorId, reason, events) {
+      const paid = Math.min(Math.max(payer.money, 0), amount);
+      payer.money -= paid;
+      this.credit(state, creditorId, paid);
+
+      const shortfall = amount - paid;
+      if (shortfall > 0) {
+        state.debts.push({ debtorId: payer.id, creditorId: creditorId, amount: shortfall, reason: reason });
+        events.push({ type: 'debt_incurred', playerId: payer.id, creditorId: creditorId, amount: shortfall, reason: reason });
+      }
+
+      return paid;
+    }
+
+    credit(state, creditorId, amount) {
+      if (creditorId === FUND) {
+        state.pot += amount;
+      } else if (creditorId !== BANK) {
+        const creditor = this.getPlayer(state, creditorId);
+        if (creditor) creditor.money += amount;
+      }
+    }
+
+    getDebtTotal(state, playerId) {
+      return state.debts
+        .filter(debt => debt.debtorId === playerId)
+        .reduce((sum, debt) => sum + debt.amount, 0);
+    }
+
+    // Cash the bank would pay if the player sold every building and property
+    getLiquidationValue(state, player) {
+      return player.properties.reduce((sum, tileId) => {
+        const owned = state.ownership[tileId];
+        let value = 0;
+        for (let level = 0; level < owned.buildingLevel; level++) {
+          value += this.getBuildCost(level) * this.rules.sellBackRate;
+        }
+        return sum + Math.floor(value) + this.getPropertySaleValue(state, tileId);
+      }, 0);
+    }
+
+    // What the bank pays for a bare tile, after repaying any mortgage on it
+    getPropertySaleValue(state, tileId) {
+      const tile = this.getTile(tileId);
+      const value = Math.floor(tile.price * this.rules.sellBackRate);
+      return state.ownership[tileId].mortgaged ? Math.max(0, value - this.getMortgageValue(tile)) : value;
+    }
+
+    // Bankrupts debtors whose assets cannot cover their debts and pauses play for the rest
+    checkSolvency(state, events) {
+      const debtorIds = [...new Set(state.debts.map(debt => debt.debtorId))];
+
+      debtorIds.forEach(debtorId => {
+        const debtor = this.getPlayer(state, debtorId);
+        if (this.getLiquidationValue(state, debtor) + Math.max(debtor.money, 0) < this.getDebtTotal(state, debtorId)) {
+          this.bankruptPlayer(state, debtor, events);
+        }
+      });
+
+      if (state.debts.length > 0 && state.turnPhase !== TURN_PHASES.LIQUIDATE) {
+        state.resumePhase = state.turnPhase;
+        state.turnPhase = TURN_PHASES.LIQUIDATE;
+        events.push({ type: 'liquidation_started', debts: state.debts.map(debt => ({ ...debt })) });
+      }
+    }
+
+    // Pays the player's debts from cash, oldest first
+    settleDebts(state, player, events) {
+      state.debts.filter(debt => debt.debtorId === player.id).forEach(debt => {
+        const paid = Math.min(player.money, debt.amount);
+        if (paid <= 0) return;
+
+        player.money -= paid;
+        debt.amount -= paid;
+        this.credit(state, debt.creditorId, paid);
+        events.push({ type: 'debt_paid', playerId: player.id, creditorId: debt.creditorId, amount: paid, remaining: debt.amount });
+      });
+
+      state.debts = state.debts.filter(debt => debt.amount > 0);
+      this.resumeIfSettled(state);
+    }
+
+    resumeIfSettled(state) {
+      if (state.debts.length === 0 && state.turnPhase === TURN_PHASES.LIQUIDATE) {
+        state.turnPhase = state.resumePhase || TURN_PHASES.ACTION;
+        state.resumePhase = null;
+      }
+    }
+
+    // Hands a bankrupt player's assets to their first creditor (or the bank) and eliminates them
+    bankruptPlayer(state, player, events) {
+      const debt = state.debts.find(d => d.debtorId === player.id);
+      const creditorId = debt && debt.creditorId !== FUND ? debt.creditorId : BANK;
+      const creditor = creditorId !== BANK ? this.getPlayer(state, creditorId) : null;
+
+      if (player.money > 0) this.credit(state, creditorId, player.money);
+
+      player.properties.forEach(tileId => {
+        if (creditor && !creditor.bankrupt) {
+          state.ownership[tileId].ownerId = creditor.id;
+          creditor.properties.push(tileId);
+        } else {
+          delete state.ownership[tileId];
+        }
+      });
+
+      player.heldCards.forEach(cardId => shared.discardCard(state.goldenKeys, cardId));
+
+      player.money = 0;
+      player.properties = [];
+      player.heldCards = [];
+      player.bankrupt = true;
+      state.debts = state.debts.filter(d => d.debtorId !== player.id);
+      events.push({ type: 'player_bankrupt', playerId: player.id, creditorId: creditor ? creditor.id : BANK });
+
+      this.eliminatePlayer(state, player.id, events);
+    }
+
+    // Removes a player from play (bankruptcy or leaving) and ends the game if one remains
+    eliminatePlayer(state, playerId, events = []) {
+      if (state.turnOrder.includes(playerId)) {
+        state.eliminationOrder.push(playerId);
+        this.releaseAssets(state, this.getPlayer(state, playerId), events);
+      }
+      this.removePlayer(state, playerId);
+
+      this.checkVictory(state, events);
+      return events;
+    }
+
+    // A leaver's tiles, buildings included, go back to the bank and their held cards to the deck
+    // (a bankrupt player has already handed theirs over)
+    releaseAssets(state, player, events) {
+      const tileIds = player.properties;
+
+      tileIds.forEach(tileId => delete state.ownership[tileId]);
+      player.heldCards.forEach(cardId => shared.discardCard(state.goldenKeys, cardId));
+      player.properties = [];
+      player.heldCards = [];
+      if (tileIds.length) events.push({ type: 'properties_released', playerId: player.id, tileIds: tileIds });
+    }
+
+    // Ends the game if any configured victory condition is met
+    checkVictory(state, events = []) {
+      if (state.gamePhase !== 'PLAYING') return events;
+
+      if (state.turnOrder.length <= 1) {
+        this.endGame(state, state.turnOrder[0] || null, 'last_standing', events);
+        return events;
+      }
+
+      if (state.victory.monopolyWin) {
+        const monopolist = state.turnOrder.find(id => this.getCompletedSets(state, id).length >= state.victory.monopolySets);
+        if (monopolist) {
+          this.endGame(state, monopolist, 'monopoly', events);
+          return events;
+        }
+      }
+
+      if (state.victory.mode === 'round_limit' && state.round > state.victory.roundLimit) {
+        this.endOnStandings(state, 'round_limit', events);
+      }
+
+      return events;
+    }
+
+    // Ends the game with the highest net worth as the winner
+    endOnStandings(state, reason, events = []) {
+      if (state.gamePhase !== 'PLAYING') return events;
+      this.endGame(state, this.getStandings(state)[0].playerId, reason, events);
+      return events;
+    }
+
+    // group -> tile ids, in board order
+    getColorGroups() {
+      const groups = {};
+      this.tiles.filter(tile => tile.group).forEach(tile => {
+        groups[tile.group] = groups[tile.group] || [];
+        groups[tile.group].push(tile.id);
+      });
+      return groups;
+    }
+
+    ownsSet(state, playerId, group) {
+      const tileIds = this.getColorGroups()[group];
+      return !!tileIds && tileIds.every(tileId => {
+        const owned = state.ownership[tileId];
+        return owned && owned.ownerId === playerId;
+      });
+    }
+
+    // A complete set earns its rent bonus and lifts the building cap only while none of it is mortgaged
+    ownsUnmortgagedSet(state, playerId, group) {
+      return this.ownsSet(state, playerId, group) &&
+        this.getColorGroups()[group].every(tileId => !state.ownership[tileId].mortgaged);
+    }
+
+    // Group keys of every colour set the player owns outright
+    getCompletedSets(state, playerId) {
+      return Object.keys(this.getColorGroups()).filter(group => this.ownsSet(state, playerId, group));
+    }
+
+    // [{ group, owned, total, complete }] for every colour group
+    getSetProgress(state, playerId) {
+      const groups = this.getColorGroups();
+      return Object.keys(groups).map(group => {
+        const owned = groups[group].filter(tileId => {
+          const entry = state.ownership[tileId];
+          return entry && entry.ownerId === playerId;
+        }).length;
+        return { group: group, owned: owned, total: groups[group].length, complete: owned === groups[group].length };
+      });
+    }
+
+    // Cash plus the full price of properties and buildings, less outstanding mortgages
+    getNetWorth(state, player) {
+      const assets = player.properties.reduce((sum, tileId) => {
+        const owned = state.ownership[tileId];
+        const tile = this.getTile(tileId);
+        let value = owned.mortgaged ? tile.price - this.getMortgageValue(tile) : tile.price;
+        for (let level = 0; level < owned.buildingLevel; level++) {
+          value += this.getBuildCost(level);
+        }
+        return sum + value;
+      }, 0);
+
+      return player.money + assets;
+    }
+
+    // Active players by net worth, then eliminated players, last knocked out first
+    getStandings(state) {
+      const active = state.turnOrder
+        .map(id => this.getPlayer(state, id))
+        .sort((a, b) => this.getNetWorth(state, b) - this.getNetWorth(state, a));
+      const eliminated = state.eliminationOrder.slice().reverse().map(id => this.getPlayer(state, id));
+
+      return active.concat(eliminated).map((player, index) => ({
+        playerId: player.id,
+        rank: index + 1,
+        netWorth: player.bankrupt ? 0 : this.getNetWorth(state, player),
+        cash: player.money,
+        properties: player.properties.length,
+        bankrupt: player.bankrupt
+      }));
+    }
+
+    endGame(state, winnerId, reason, events) {
+      state.gamePhase = 'ENDED';
+      state.winnerId = winnerId;
+      state.auction = null;
+      state.standings = this.getStandings(state);
+      events.push({ type: 'game_over', winnerId: winnerId, reason: reason, standings: state.standings });
+    }
+
+    sendToIsland(state, player, reason, events) {
+      const from = player.position;
+      player.position = this.islandTile;
+      state.turnPhase = TURN_PHASES.ACTION;
+      state.landedTileId = null;
+
+      // An escape card lets the player stay on the island tile without being stuck;
+      // with rules.jailTurns at 0 nobody is held and the card is kept
+      const stuck = this.rules.jailTurns > 0 && !this.useHeldCard(player, 'island_escape', state, events);
+      player.inJail = stuck;
+      player.jailTurns = stuck ? this.rules.jailTurns : 0;
+
+      events.push({ type: 'sent_to_island', playerId: player.id, from: from, reason: reason, turns: player.jailTurns });
+    }
+
+    calculateRent(tile, buildingLevel = 0, setComplete = false) {
+      const rent = tile.rentTable ? tile.rentTable[buildingLevel] : 0;
+      return Math.floor(rent * this.rules.rentMultiplier * (setComplete ? this.rules.setRentMultiplier : 1));
+    }
+
+    // True when leaving the landed tile (ending the turn, or rolling again after a double)
+    // should auction the unowned city the player declined
+    shouldAuction(state) {
+      const tile = state.landedTileId !== null ? this.getTile(state.landedTileId) : null;
+      return state.houseRules.auction && !!tile && PURCHASABLE_TYPES.includes(tile.type) && !state.ownership[tile.id];
+    }
+
+    // Opens bidding to every player with cash and no debts
+    startAuction(state, tileId) {
+      const bidderIds = state.turnOrder.filter(id => {
+        const player = this.getPlayer(state, id);
+        return player.money > 0 && !this.getDebtTotal(state, id);
+      });
+
+      const extraRoll = state.turnPhase === TURN_PHASES.ROLL;
+      state.auction = { tileId: tileId, highestBid: 0, highestBidderId: null, bidderIds: bidderIds, extraRoll: extraRoll };
+      state.turnPhase = TURN_PHASES.AUCTION;
+      return [{ type: 'auction_started', tileId: tileId, bidderIds: bidderIds, minimumBid: this.rules.auctionIncrement }];
+    }
+
+    validateBid(state, playerId, amount) {
+      const auction = state.auction;
+      const player = this.getPlayer(state, playerId);
+
+      if (!auction) return this.reject('NO_AUCTION', 'There is no auction running');
+      if (!auction.bidderIds.includes(playerId)) return this.reject('NOT_BIDDING', 'You are not bidding in this auction');
+      if (!Number.isInteger(amount) || amount < auction.highestBid + this.rules.auctionIncrement) {
+        return this.reject('BID_TOO_LOW', `Bid at least ${auction.highestBid + this.rules.auctionIncrement}`);
+      }
+      if (amount > player.money) return this.reject('INSUFFICIENT_FUNDS', 'Not enough money');
+      return null;
+    }
+
+    validatePass(state, playerId) {
+      if (!state.auction) return this.reject('NO_AUCTION', 'There is no auction running');
+      if (!state.auction.bidderIds.includes(playerId)) return this.reject('NOT_BIDDING', 'You are not bidding in this auction');
+      if (state.auction.highestBidderId === playerId) return this.reject('HIGHEST_BIDDER', 'You hold the highest bid');
+      return null;
+    }
+
+    placeBid(state, playerId, amount) {
+      state.auction.highestBid = amount;
+      state.auction.highestBidderId = playerId;
+      return { type: 'auction_bid', playerId: playerId, tileId: state.auction.tileId, amount: amount };
+    }
+
+    passAuction(state, playerId) {
+      state.auction.bidderIds = state.auction.bidderIds.filter(id => id !== playerId);
+      return { type: 'auction_passed', playerId: playerId, tileId: state.auction.tileId };
+    }
+
+    // Nobody left to outbid the leader (or nobody left at all)
+    isAuctionDecided(state) {
+      const auction = state.auction;
+      return !!auction && auction.bidderIds.every(id => id === auction.highestBidderId);
+    }
+
+    // Sells the tile to the highest bidder who can still pay, then passes the turn
+    // (or hands the lander the roll their double earned)
+    closeAuction(state) {
+      const auction = state.auction;
+      const winner = auction.highestBidderId ? this.getPlayer(state, auction.highestBidderId) : null;
+      const events = [];
+
+      state.auction = null;
+      if (winner && !winner.bankrupt && winner.money >= auction.highestBid) {
+        winner.money -= auction.highestBid;
+        winner.properties.push(auction.tileId);
+        state.ownership[auction.tileId] = { ownerId: winner.id, buildingLevel: 0, mortgaged: false };
+        events.push({ type: 'auction_won', playerId: winner.id, tileId: auction.tileId, amount: auction.highestBid });
+      } else {
+        events.push({ type: 'auction_unsold', tileId: auction.tileId });
+      }
+
+      if (auction.extraRoll) {
+        state.turnPhase = TURN_PHASES.ROLL;
+        state.landedTileId = null;
+        this.checkVictory(state, events);
+        return events;
+      }
+
+      state.turnPhase = TURN_PHASES.ACTION;
+      return events.concat(this.endTurn(state));
+    }
+
+    // Rent from the tile's table, indexed by how many unmortgaged transport tiles the owner holds
+    getTransportRent(state, tile, ownerId) {
+      const count = this.tiles.filter(t => {
+        const owned = state.ownership[t.id];
+        return t.type === 'transport' && owned && owned.ownerId === ownerId && !owned.mortgaged;
+      }).length;
+      return Math.floor(tile.rentTable[Math.max(count, 1) - 1] * this.rules.rentMultiplier);
+    }
+
+    // Transport travel: from your own transport tile to any transport tile you do not own
+    validateTransportTravel(state, playerId, tileId) {
+      const player = this.getPlayer(state, playerId);
+      const from = this.getTile(player.position);
+      const owned = state.ownership[player.position];
+      const tile = this.getTile(tileId);
+
+      const turnRejection = this.validateTurn(state, playerId);
+      if (turnRejection) return turnRejection;
+      if (!state.houseRules.transportTravel) return this.reject('RULE_DISABLED', 'Transport travel is not enabled in this room');
+      if (state.landedTileId !== player.position || from.type !== 'transport' || !owned || owned.ownerId !== playerId) {
+        return this.reject('NOT_ON_TILE', 'Land on a transport tile you own first');
+      }
+      if (!tile || tile.type !== 'transport' || tileId === player.position) return this.reject('INVALID_TILE', 'Choose another transport tile');
+      if (state.ownership[tileId] && state.ownership[tileId].ownerId === playerId) {
+        return this.reject('INVALID_TILE', 'You already own that transport tile');
+      }
+      return null;
+    }
+
+    travelByTransport(state, playerId, tileId) {
+      const player = this.getPlayer(state, playerId);
+      const events = [];
+
+      const steps = (tileId - player.position + this.boardSize) % this.boardSize;
+      this.movePlayer(state, player, steps, events, 'travel');
+
+      this.checkSolvency(state, events);
+      return events;
+    }
+
+    // Ends the current player's turn and checks the round limit
+    endTurn(state) {
+      const events = [];
+      this.advanceTurn(state);
+      this.checkVictory(state, events);
+      return events;
+    }
+
+    advanceTurn(state) {
+      const current = this.getPlayer(state, state.currentPlayerId);
+      if (current) current.doublesCount = 0;
+
+      const currentIndex = state.turnOrder.indexOf(state.currentPlayerId);
+      const nextIndex = (currentIndex + 1) % state.turnOrder.length;
+
+      // Wrapping back to the first seat starts a new round
+      if (nextIndex === 0) state.round++;
+      state.currentPlayerId = state.turnOrder[nextIndex];
+      state.landedTileId = null;
+
+      const next = this.getPlayer(state, state.currentPlayerId);
+      state.turnPhase = next && next.spaceTravelPending ? TURN_PHASES.CHOOSE_DESTINATION : TURN_PHASES.ROLL;
+
+      return state.currentPlayerId;
+    }
+
+    // Drops a departed or bankrupt player from the turn order, passing the turn on if it was theirs
+    removePlayer(state, playerId) {
+      const index = state.turnOrder.indexOf(playerId);
+      if (index === -1) return;
+
+      state.debts = state.debts.filter(debt => debt.debtorId !== playerId);
+      state.trades = state.trades.filter(t => t.fromId !== playerId && t.toId !== playerId);
+
+      if (state.auction) {
+        if (state.currentPlayerId === playerId) {
+          // The lander's turn is over, so their auction is called off
+          state.auction = null;
+        } else {
+          state.auction.bidderIds = state.auction.bidderIds.filter(id => id !== playerId);
+          if (state.auction.highestBidderId === playerId) {
+            state.auction.highestBid = 0;
+            state.auction.highestBidderId = null;
+          }
+        }
+      }
+
+      if (state.currentPlayerId === playerId && state.turnOrder.length > 1) {
+        // A debt pause outlives the turn change if other debtors remain
+        const paused = state.turnPhase === TURN_PHASES.LIQUIDATE && state.debts.length > 0;
+        this.advanceTurn(state);
+        if (paused) {
+          state.resumePhase = state.turnPhase;
+          state.turnPhase = TURN_PHASES.LIQUIDATE;
+        } else {
+          state.resumePhase = null;
+        }
+      }
+
+      state.turnOrder.splice(index, 1);
+      if (state.turnOrder.length === 0) {
+        state.currentPlayerId = null;
+      }
+
+      this.resumeIfSettled(state);
+    }
+
+    // Tile indices walked through when moving `steps` from `from` (negative = backwards)
+    getPath(from, steps) {
+      const path = [];
+      const direction = steps < 0 ? -1 : 1;
+      for (let i = 1; i <= Math.abs(steps); i++) {
+        path.push(((from + i * direction) % this.boardSize + this.boardSize) % this.boardSize);
+      }
+      return path;
+    }
+  }
+
+  return { RulesEngine, PURCHASABLE_TYPES, DEFAULT_RULES, ROOM_RULE_LIMITS, DEFAULT_VICTORY, VICTORY_MODES, DEFAULT_HOUSE_RULES, TURN_PHASES, BANK, FUND, START_TILE };
+});
@@ -0,0 +1,80 @@
+// seeded-random.js - Deterministic, logged random numbers for a room
+// The server commits to a seed by publishing its hash when the game starts and reveals
+// the seed when it ends; anyone can then replay the log with verifyRandomLog().
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.BlueMarble = root.BlueMarble || {};
+    Object.assign(root.BlueMarble, factory());
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const SEED_PATTERN = /^[0-9a-f]{32}$/;
+
+  // Outputs discarded after seeding so nearby seeds do not start out correlated
+  const WARMUP_DRAWS = 12;
+
+  class SeededRandom {
+    // seed is 32 hex characters (128 bits), e.g. crypto.randomBytes(16).toString('hex')
+    constructor(seed) {
+      if (!SEED_PATTERN.test(seed)) throw new Error('Seed must be 32 lowercase hex characters');
+      this.seed = seed;
+      this.state = [0, 8, 16, 24].map(offset => parseInt(seed.slice(offset, offset + 8), 16) | 0);
+      this.log = []; // { index, purpose, value } per draw, value being the raw 32-bit output
+      for (let i = 0; i < WARMUP_DRAWS; i++) this.nextUint32();
+      // Bound so it can be handed around as a plain random() function
+      this.next = this.next.bind(this);
+    }
+
+    // sfc32 step
+    nextUint32() {
+      let [a, b, c, d] = this.state;
+      const t = (((a + b) | 0) + d) | 0;
+      d = (d + 1) | 0;
+      a = b ^ (b >>> 9);
+      b = (c + (c << 3)) | 0;
+      c = (c << 21) | (c >>> 11);
+      c = (c + t) | 0;
+      this.state = [a, b, c, d];
+      return t >>> 0;
+    }
+
+    // Float in [0, 1) like Math.random(); purpose labels the draw in the log (dice, shuffle, ...)
+    next(purpose = 'draw') {
+      const value = this.nextUint32();
+      this.log.push({ index: this.log.length, purpose: purpose, value: value });
+      return value / 4294967296;
+    }
+
+    // Generator position and log, for saving a room and resuming its draws later
+    toJSON() {
+      return { seed: this.seed, state: this.state.slice(), log: this.log };
+    }
+
+    static fromJSON(data) {
+      const random = new SeededRandom(data.seed);
+      random.state = data.state.slice();
+      random.log = data.log.slice();
+      return random;
+    }
+  }
+
+  // Replays seed and checks every logged draw; returns { valid } or { valid: false, index } at the first mismatch
+  function verifyRandomLog(seed, log) {
+    let replay;
+    try {
+      replay = new SeededRandom(seed);
+    } catch (error) {
+      return { valid: false, index: 0 };
+    }
+
+    for (let i = 0; i < log.length; i++) {
+      replay.next(log[i].purpose);
+      const expected = replay.log[i];
+      if (log[i].index !== i || log[i].value !== expected.value) return { valid: false, index: i };
+    }
+    return { valid: true };
+  }
+
+  return { SeededRandom, verifyRandomLog };
+});